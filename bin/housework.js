@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/**
+ * Housework Queue on the command line, working on a backup file (the JSON the
+ * app's Backup tab downloads and Restore reads). No dependencies beyond Node.
+ *
+ *   housework list [--date D] [--json]
+ *   housework plan [--date D] [--budget MIN] [--new] [--save] [--json]
+ *   housework done <task> [--minutes MIN] [--date D] [--by MEMBER]
+ *   housework import <file|-> [--replace] [--date-format mdy|dmy|ymd]
+ *   housework export [--format csv|tsv|json] [--history]
+ *
+ * The file is --file, else $HOUSEWORK_FILE, else ./housework-backup.json.
+ * Dates are YYYY-MM-DD (default today). Imported rows' dates follow
+ * --date-format, else the order the file's dates show (25/03/2025 is day
+ * first), else month first. <task> is a task id, its name, or a
+ * unique part of its name. Changes go to the file's action log like the
+ * app's, and the file is replaced in one step, so cron jobs can't leave
+ * half a file behind. Exit code 0 on success, 1 on errors, 2 on bad usage.
+ *
+ * Plans follow the app: a day's saved plan stays locked (shown as is) unless
+ * --new or --budget is given; --save stores the plan shown as that day's plan.
+ * When the app plans by the week, a new plan is that day of the week plan
+ * (moved up to the day first, see weekPlan.js), and --save stores both.
+ */
+
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import {
+  applyImportDiff,
+  backupPayload,
+  DATE_FORMAT_HINTS,
+  DATE_FORMATS,
+  diffImport,
+  exportHistory,
+  exportTasks,
+  formatOverdueLabel,
+  isValidISODate,
+  loadAndValidate,
+  markDone,
+  parsePasteDetailed,
+  pasteDateOrder,
+  planDay,
+  planDayFromWeek,
+  plannedMinutes,
+  recordAction,
+  rollWeekPlan,
+  scheduleContext,
+  stampChanges,
+  stateFromBackup,
+  todayISO,
+  urgencyScore,
+} from "../src/core/index.js";
+import { dataIssueText, dataRecordText, importReasonText } from "../src/i18n/format.js";
+import { setLocale } from "../src/i18n/index.js";
+
+// Report text in English with dates as YYYY-MM-DD, like everything else the CLI prints
+setLocale({ language: "en", dateFormat: "ymd" });
+
+const DEFAULT_FILE = "housework-backup.json";
+
+const USAGE = `Usage: housework <command> [options]
+
+Commands:
+  list                   tasks, most urgent first
+  plan                   the day's plan (--budget MIN, --new, --save)
+  done <task>            mark a task done (--minutes MIN, --by MEMBER)
+  import <file|->        merge pasted rows (CSV/TSV) into the list (--replace,
+                         --date-format mdy|dmy|ymd for their dates)
+  export                 tasks as CSV (--format tsv|json, --history)
+
+Options:
+  --file PATH            backup file (default $HOUSEWORK_FILE or ./${DEFAULT_FILE})
+  --date YYYY-MM-DD      day to work on (default today)
+  --json                 machine-readable output for list and plan
+  -h, --help             this help`;
+
+const OPTIONS = {
+  file: { type: "string" },
+  date: { type: "string" },
+  budget: { type: "string" },
+  minutes: { type: "string" },
+  by: { type: "string" },
+  format: { type: "string" },
+  "date-format": { type: "string" },
+  history: { type: "boolean" },
+  replace: { type: "boolean" },
+  new: { type: "boolean" },
+  save: { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+class CliError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+function usageError(message) {
+  return new CliError(`${message}\n\n${USAGE}`, 2);
+}
+
+async function loadFile(file, { missingOk = false } = {}) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT" && missingOk) return loadAndValidate({ tasks: [] }).state;
+    if (e.code === "ENOENT") throw new CliError(`No backup file at ${file}. Download one from the app's Backup tab, or start one with "housework import".`);
+    throw e;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new CliError(`${file} is not valid JSON.`);
+  }
+  const { state, report } = loadAndValidate(stateFromBackup(parsed));
+  for (const r of report.repaired) console.error(`warning: ${dataRecordText(r.record)}: ${dataIssueText(r.issue)}`);
+  for (const r of report.rejected) console.error(`warning: ${dataRecordText(r.record)} left out: ${dataIssueText(r.reason)}`);
+  return state;
+}
+
+async function saveFile(file, state) {
+  await writeFile(`${file}.tmp`, JSON.stringify(backupPayload(state), null, 2) + "\n");
+  await rename(`${file}.tmp`, file);
+}
+
+// Same bookkeeping as the app's commit(): sync stamps + action log
+function change(prev, next, type, label) {
+  const { undo: _undo, ...recorded } = recordAction(prev, stampChanges(prev, next), type, label);
+  return recorded;
+}
+
+function readStdin() {
+  return new Promise((resolveText, reject) => {
+    const chunks = [];
+    process.stdin.on("data", (chunk) => chunks.push(chunk));
+    process.stdin.on("end", () => resolveText(Buffer.concat(chunks).toString("utf8")));
+    process.stdin.on("error", reject);
+  });
+}
+
+function dateOption(values) {
+  const dateISO = values.date ?? todayISO();
+  if (!isValidISODate(dateISO)) throw usageError(`--date must be YYYY-MM-DD, got "${values.date}".`);
+  return dateISO;
+}
+
+function minutesOption(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw usageError(`--${name} must be a whole number of minutes above 0, got "${value}".`);
+  return n;
+}
+
+function normalized(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+// By id, then exact name, then the one task whose name contains the query
+function findTask(tasks, query) {
+  const q = normalized(query);
+  const exact = tasks.find((t) => t.id === query) ?? tasks.find((t) => normalized(t.name) === q);
+  if (exact) return exact;
+
+  const partial = tasks.filter((t) => normalized(t.name).includes(q));
+  if (partial.length === 1) return partial[0];
+  if (partial.length === 0) throw new CliError(`No task matches "${query}".`);
+  throw new CliError(`"${query}" matches ${partial.length} tasks: ${partial.map((t) => t.name).join(", ")}. Be more specific.`);
+}
+
+function findMember(members, query) {
+  const q = normalized(query);
+  const member = members.find((m) => m.id === query || normalized(m.name) === q);
+  if (!member) throw new CliError(`No household member "${query}". Members: ${members.map((m) => m.name).join(", ") || "none"}.`);
+  return member;
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  for (const r of rows) console.log(r.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd());
+}
+
+function listTasks(state, values) {
+  const dateISO = dateOption(values);
+  const ctx = scheduleContext(state.settings);
+  const tasks = state.tasks
+    .map((t) => ({ task: t, score: urgencyScore(t, dateISO, ctx) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ task }) => task);
+
+  if (values.json) {
+    const out = tasks.map((t) => ({ id: t.id, name: t.name, due: formatOverdueLabel(t, dateISO, ctx), estMin: t.estMin, room: t.room ?? null }));
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+  if (tasks.length === 0) return console.log("No tasks.");
+  printTable([
+    ["TASK", "DUE", "MIN", "ROOM"],
+    ...tasks.map((t) => [t.name, formatOverdueLabel(t, dateISO, ctx), t.estMin, t.room ?? ""]),
+  ]);
+}
+
+// Returns the state to save, or null if nothing changed
+function showPlan(state, values) {
+  const dateISO = dateOption(values);
+  const budgetMin = values.budget === undefined ? undefined : minutesOption(values.budget, "budget");
+  const saved = state.todayPlan?.dateISO === dateISO ? state.todayPlan : null;
+  const fresh = !saved || values.new || budgetMin !== undefined;
+  const byWeek = fresh && state.settings.planMode === "week" && budgetMin === undefined;
+  const weekPlan = byWeek ? rollWeekPlan(state, dateISO) : state.weekPlan;
+  let plan = saved;
+  if (byWeek) plan = planDayFromWeek(state, weekPlan, dateISO, { regenerated: !!saved });
+  else if (fresh) plan = planDay(state, dateISO, { budgetMin, regenerated: !!saved });
+
+  const byId = new Map(state.tasks.map((t) => [t.id, t]));
+  const memberName = new Map(state.settings.members.map((m) => [m.id, m.name]));
+  const ownerOf = new Map();
+  for (const [memberId, ids] of Object.entries(plan.byMember ?? {})) for (const id of ids) ownerOf.set(id, memberName.get(memberId) ?? "");
+  const done = new Set(plan.completedIds ?? []);
+  const skipped = new Set(plan.skippedIds ?? []);
+  const picked = plan.pickedIds.map((id) => byId.get(id)).filter(Boolean);
+  const confidence = state.settings.planConfidence;
+
+  if (values.json) {
+    const out = picked.map((t) => ({
+      id: t.id,
+      name: t.name,
+      plannedMin: plannedMinutes(t, confidence),
+      member: ownerOf.get(t.id) ?? null,
+      status: done.has(t.id) ? "done" : skipped.has(t.id) ? "skipped" : "open",
+    }));
+    console.log(JSON.stringify({ dateISO, locked: !fresh, tasks: out }, null, 2));
+  } else if (picked.length === 0) {
+    console.log(`Nothing planned for ${dateISO}.`);
+  } else {
+    const total = picked.reduce((sum, t) => sum + plannedMinutes(t, confidence), 0);
+    console.log(`${dateISO}: ${picked.length} task${picked.length === 1 ? "" : "s"}, about ${total} min${fresh ? "" : " (saved plan)"}`);
+    printTable(
+      picked.map((t) => [
+        done.has(t.id) ? "[x]" : skipped.has(t.id) ? "[-]" : "[ ]",
+        t.name,
+        `${plannedMinutes(t, confidence)} min`,
+        ownerOf.get(t.id) ?? "",
+      ])
+    );
+  }
+
+  if (!values.save || !fresh) return null;
+  return change(state, { ...state, weekPlan, todayPlan: plan }, "regenerate", `Planned ${dateISO} (CLI)`);
+}
+
+function doneTask(state, values, query) {
+  if (!query) throw usageError("done needs a task.");
+  const task = findTask(state.tasks, query);
+  const dateISO = dateOption(values);
+  const actualMin = values.minutes === undefined ? task.estMin : minutesOption(values.minutes, "minutes");
+  const byMemberId = values.by ? findMember(state.settings.members, values.by).id : undefined;
+
+  const next = markDone(state, task.id, { dateISO, actualMin, byMemberId });
+  const logged = next.tasks.find((t) => t.id === task.id).history[0].actualMin;
+  console.log(`Done: ${task.name} (${logged} min) on ${dateISO}`);
+  return change(state, next, "done", `Done: ${task.name} (${logged} min)`);
+}
+
+async function importRows(state, values, source) {
+  if (!source) throw usageError('import needs a file, or "-" for standard input.');
+  const text = source === "-" ? await readStdin() : await readFile(source, "utf8");
+  const dateFormat = importDateFormat(values["date-format"], pasteDateOrder(text));
+  const { rows, rejected } = parsePasteDetailed(text, { dateFormat });
+  for (const r of rejected) console.error(`warning: line ${r.lineNo} left out: ${importReasonText(r.reason)}`);
+  for (const r of rows.filter((x) => x.ambiguousDate)) {
+    console.error(`warning: line ${r.lineNo} date read as ${r.task.lastDoneISO} (${DATE_FORMAT_HINTS[dateFormat]}); it could be either way round.`);
+  }
+  if (rows.length === 0) {
+    throw new CliError(`No valid rows found. Each row needs: name, frequency (days), last done (${DATE_FORMAT_HINTS[dateFormat]}), minutes[, room[, tags]].`);
+  }
+
+  if (values.replace) {
+    const tasks = rows.map((r) => r.task);
+    console.log(`Replaced the list with ${tasks.length} tasks.`);
+    return change(state, { ...state, tasks, todayPlan: null, weekPlan: null, timer: null }, "import", `Imported ${tasks.length} tasks (replaced list)`);
+  }
+
+  const diff = diffImport(state.tasks, rows);
+  const added = diff.filter((d) => d.status === "added").length;
+  const changed = diff.filter((d) => d.status === "changed").length;
+  console.log(`Merged: ${added} added, ${changed} updated, ${diff.length - added - changed} unchanged.`);
+  if (added + changed === 0) return null;
+  return change(state, { ...state, tasks: applyImportDiff(state.tasks, diff) }, "import", `Merged import: ${added} added, ${changed} updated`);
+}
+
+// --date-format if given (warning when the file's dates say otherwise), else what the dates show
+function importDateFormat(option, detected) {
+  if (option === undefined) return detected ?? "mdy";
+  if (!DATE_FORMATS.includes(option)) throw usageError(`--date-format must be ${DATE_FORMATS.join(", ")}, got "${option}".`);
+  if (detected && option !== "ymd" && detected !== option) {
+    console.error(`warning: some dates only make sense as ${DATE_FORMAT_HINTS[detected]}; reading them as ${DATE_FORMAT_HINTS[option]} anyway.`);
+  }
+  return option;
+}
+
+function exportData(state, values) {
+  const format = values.format ?? "csv";
+  if (!["csv", "tsv", "json"].includes(format)) throw usageError(`--format must be csv, tsv or json, got "${format}".`);
+  if (format === "json") {
+    if (values.history) throw usageError("--history is a table; use --format csv or tsv.");
+    process.stdout.write(JSON.stringify(backupPayload(state), null, 2) + "\n");
+    return;
+  }
+  const delimiter = format === "tsv" ? "\t" : ",";
+  process.stdout.write(values.history ? exportHistory(state.tasks, state.settings.members, delimiter) : exportTasks(state.tasks, delimiter));
+}
+
+async function main(argv = process.argv.slice(2), env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw usageError(e.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, arg, ...extra] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (extra.length > 0) throw usageError(`Unexpected argument "${extra[0]}".`);
+
+  const file = values.file || env.HOUSEWORK_FILE || DEFAULT_FILE;
+  const state = await loadFile(file, { missingOk: command === "import" });
+  let next = null;
+
+  switch (command) {
+    case "list":
+      listTasks(state, values);
+      break;
+    case "plan":
+      next = showPlan(state, values);
+      break;
+    case "done":
+      next = doneTask(state, values, arg);
+      break;
+    case "import":
+      next = await importRows(state, values, arg);
+      break;
+    case "export":
+      exportData(state, values);
+      break;
+    default:
+      throw usageError(`Unknown command "${command}".`);
+  }
+
+  if (next) await saveFile(file, next);
+}
+
+main().catch((e) => {
+  console.error(e instanceof CliError ? e.message : `Error: ${e.message}`);
+  process.exitCode = e instanceof CliError ? e.exitCode : 1;
+});
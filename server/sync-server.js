@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Reference sync server for Housework Queue. No dependencies beyond Node.
+ *
+ *   npm run sync-server
+ *
+ * Environment:
+ *   PORT               default 8787
+ *   SYNC_DATA_DIR      where household files go (default ./sync-data)
+ *   SYNC_TOKEN         optional shared secret; clients send "Authorization: Bearer <token>"
+ *   SYNC_ALLOW_ORIGIN  CORS origin of the app (default *)
+ *
+ * API:
+ *   POST /households/:id  { state }  merge into the stored copy, answer { state }
+ *   GET  /households/:id             { state } (404 until the first push)
+ *   GET  /health
+ *
+ * Each household is one JSON file, merged with src/core/syncMerge.js (the same
+ * rules the app uses). Requests for one household run one at a time so two
+ * phones pushing together can't drop each other's changes.
+ */
+
+import { timingSafeEqual } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { loadAndValidate, mergeStates, syncPayload } from "../src/core/index.js";
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const HOUSEHOLD_ID = /^[A-Za-z0-9_-]{3,64}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function tokenMatches(header, token) {
+  const given = Buffer.from(String(header ?? "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export function createSyncServer({ dataDir = "sync-data", token = "", allowOrigin = "*" } = {}) {
+  const dir = resolve(dataDir);
+  const queues = new Map(); // householdId -> promise of the last request
+
+  function serialized(id, work) {
+    const run = (queues.get(id) ?? Promise.resolve()).then(work, work);
+    queues.set(id, run.catch(() => {}));
+    return run;
+  }
+
+  async function readHousehold(id) {
+    try {
+      return JSON.parse(await readFile(join(dir, `${id}.json`), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function writeHousehold(id, state) {
+    await mkdir(dir, { recursive: true });
+    const file = join(dir, `${id}.json`);
+    await writeFile(`${file}.tmp`, JSON.stringify(state));
+    await rename(`${file}.tmp`, file);
+  }
+
+  async function handle(req) {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/health") return { status: 200, body: { ok: true } };
+
+    const match = url.pathname.match(/^\/households\/([^/]+)$/);
+    if (!match) throw new HttpError(404, "Not found.");
+    const id = decodeURIComponent(match[1]);
+    if (!HOUSEHOLD_ID.test(id)) throw new HttpError(400, "Household ID must be 3–64 letters, digits, - or _.");
+    if (token && !tokenMatches(req.headers.authorization, token)) throw new HttpError(401, "Wrong sync token.");
+
+    if (req.method === "GET") {
+      const stored = await serialized(id, () => readHousehold(id));
+      if (!stored) throw new HttpError(404, "Nothing synced for this household yet.");
+      return { status: 200, body: { state: stored } };
+    }
+
+    if (req.method === "POST") {
+      let incoming;
+      try {
+        incoming = loadAndValidate(JSON.parse(await readBody(req)).state).state;
+      } catch (e) {
+        if (e instanceof HttpError) throw e;
+        throw new HttpError(400, `Invalid state: ${e.message}`);
+      }
+      const merged = await serialized(id, async () => {
+        const stored = await readHousehold(id);
+        const next = syncPayload(stored ? mergeStates(loadAndValidate(stored).state, incoming) : incoming);
+        await writeHousehold(id, next);
+        return next;
+      });
+      return { status: 200, body: { state: merged } };
+    }
+
+    throw new HttpError(405, "Method not allowed.");
+  }
+
+  return createServer(async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+
+    let status;
+    let body;
+    try {
+      ({ status, body } = await handle(req));
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      body = { error: e instanceof HttpError ? e.message : "Server error." };
+      if (status === 500) console.error(e);
+    }
+    res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const server = createSyncServer({
+    dataDir: process.env.SYNC_DATA_DIR || "sync-data",
+    token: process.env.SYNC_TOKEN || "",
+    allowOrigin: process.env.SYNC_ALLOW_ORIGIN || "*",
+  });
+  server.listen(port, () => {
+    console.log(`Housework Queue sync server on http://localhost:${port}${process.env.SYNC_TOKEN ? " (token required)" : ""}`);
+  });
+}
@@ -1,176 +1,195 @@
-import React, { useEffect, useMemo, useState } from "react";
-
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  addDaysISO,
+  adoptMergedState,
+  adoptSavedState,
+  applyFrequency,
+  applyImportDiff,
+  awayPeriodOn,
+  backupPayload,
+  budgetForDate,
+  canRedo,
+  canUndo,
+  clampInt,
+  computeDueISO,
+  CONFIDENCE_LEVELS,
+  DATE_FORMATS,
+  daysBetweenISO,
+  deadlineSchedule,
+  defaultSettings,
+  deferralCounts,
+  deferTask,
+  diffImport,
+  dismissFrequencySuggestion,
+  emptyUndo,
+  estimateRange,
+  exportHistory,
+  exportTasks,
+  forecastWorkload,
+  formatISODate,
+  formatElapsed,
+  frequencySuggestion,
+  hasIssues,
+  householdBudgetForDate,
+  IMPORTANCE_LEVELS,
+  isOverdue,
+  isRunning,
+  isSnoozed,
+  loadAndValidate,
+  markDone,
+  MAX_BUDGET_MIN,
+  MAX_LOG_ENTRIES,
+  mergeSavedState,
+  mergeStates,
+  MIN_SAMPLES,
+  moveWeekTask,
+  newAwayPeriod,
+  newMember,
+  normalizeAwayPeriods,
+  normalizeRule,
+  normalizeSettings,
+  normalizeTimer,
+  parsePasteDetailed,
+  pasteDateOrder,
+  parseTags,
+  pauseTimer,
+  persistable,
+  planDay,
+  planDayFromWeek,
+  plannedMinutes,
+  planOptions,
+  planWeek,
+  recordAction,
+  redoAction,
+  resumeTimer,
+  rollWeekPlan,
+  roomOf,
+  rulePeriodDays,
+  scheduleContext,
+  SCHEMA_VERSION,
+  stampChanges,
+  startTimer,
+  stateFromBackup,
+  taskRule,
+  timerElapsedMs,
+  timerMinutes,
+  todayISO,
+  uid,
+  undoAction,
+  urgencyScore,
+  weekdayOfISO,
+  weekSummary,
+} from "./core/index.js";
+import {
+  notificationPermission,
+  onUpdateReady,
+  requestNotificationPermission,
+  sendRemindersToWorker,
+  showNotification,
+} from "./pwa.js";
+import {
+  acceptedDateFormats,
+  ambiguousDateNote,
+  dateFormatHint,
+  dateFormatLabel,
+  formatDate,
+  formatDateLong,
+  formatDateTime,
+  formatShortDate,
+  formatWeekdayTime,
+  LANGUAGES,
+  loadLocalePrefs,
+  monthLabels,
+  parseDate,
+  saveLocalePrefs,
+  setLocale,
+  tr,
+  weekdayLabels,
+} from "./i18n/index.js";
+import {
+  awayPeriodText,
+  dataIssueText,
+  dataRecordText,
+  dueText,
+  errorText,
+  estimateText,
+  frequencyReasonText,
+  importReasonText,
+  ruleText,
+} from "./i18n/format.js";
+import { focusableIn, isPaletteShortcut, isTypingTarget, searchCommands } from "./commands.js";
+import { loadReminderPrefs, planReminders, saveReminderPrefs, scheduleReminders } from "./reminders.js";
+import { loadSavedState } from "./storage.js";
+import { loadSyncConfig, pendingChanges, pushAndPull, saveSyncConfig, SYNC_INTERVAL_MS, syncEnabled } from "./sync.js";
 /**
  * Housework Queue MVP (Locked Daily Plan)
- * - Local storage via localStorage (simple MVP)
- * - Backup/Restore JSON
- * - Import paste rows (tab or comma separated)
+ * - Installable offline app: manifest + service worker, with a prompt when an update is ready
+ * - Optional sync between devices through a self-hosted server (server/sync-server.js)
+ * - Opt-in reminders (list ready, tasks still open, important task overdue) with quiet hours
+ * - Saved in the browser: IndexedDB with full task history, localStorage as fallback (see storage.js)
+ * - Several open tabs stay in step: the newest save from any tab replaces the others' state
+ * - Settings: per-weekday time budgets + date overrides
+ * - Away periods (household or per task) don't count toward overdue (see away.js)
+ * - Household members: tasks can be fixed to a person or shared; one locked list per person
+ * - Rooms + tags on tasks; optional room-by-room ("zone") planning
+ * - Calendar: 4–8 week workload forecast from simulated daily plans
+ * - Backup/Restore JSON; CSV/TSV export of tasks and completion history
+ * - Saved data and backups are versioned, migrated and validated on load (see schema.js)
+ * - Import paste rows (tab or comma separated): replace the list, or merge with a preview
  * - Daily plan "locks" once generated; tasks do NOT refill as you complete them
- * - Mark done -> enter actual minutes -> estimate updates (EWMA)
- * - Add/Edit/Delete tasks; edit frequency (days), last done, estimate
+ * - Plan picks the most urgent set that fits the budget (see planner.js)
+ * - Optional week plan: tasks spread over the next 7 days within each day's budget,
+ *   unfinished ones carried forward, pick a day (or drag, mouse only) to move one (see weekPlan.js)
+ * - Mark done -> enter actual minutes -> estimate updates (EWMA); past times give a range per task
+ * - Optional planning buffer: plan so the day fits 80/90/95% of the time
+ * - Task importance (low/normal/high) weights urgency; hard deadlines are planned
+ *   early enough to make it on the daily budget, then cleared when done
+ * - Frequency suggestions when tasks are really done more or less often than set
+ * - Skip today / snooze N days / not needed this cycle, logged to task history
+ * - Start/Pause/Stop timer per planned task; stopping fills in the Done minutes
+ * - Every change is logged (History tab) and can be undone/redone, back to the last
+ *   time a sync or another tab brought in changes
+ * - Ctrl/Cmd-K command palette (fuzzy search over tasks and actions); number keys switch
+ *   tabs, j/k + d/l/e/s work through today's list (see commands.js)
+ * - Scheduling logic lives in src/core (no React), shared with the housework CLI (bin/housework.js)
+ * - Per-device date format (month/day first or ISO) for display, typing and import, with
+ *   warnings for dates like 3/4/2025 that read either way; UI text in src/i18n catalogs
+ * - Add/Edit/Delete tasks; edit frequency (days or calendar rule), last done, estimate
  */
 
-const STORAGE_KEY = "housework_queue_v2";
-
-function todayISO() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
-}
-
-function parseUSDateToISO(s) {
-  // Accepts: M/D/YYYY, MM/DD/YYYY, or YYYY-MM-DD
-  const t = String(s ?? "").trim();
-  if (!t) return null;
-
-  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) return t;
-
-  const m = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (!m) return null;
-
-  const mm = String(m[1]).padStart(2, "0");
-  const dd = String(m[2]).padStart(2, "0");
-  const yy = m[3];
-  return `${yy}-${mm}-${dd}`;
-}
-
-function addDaysISO(iso, days) {
-  const [y, m, d] = iso.split("-").map(Number);
-  const dt = new Date(y, m - 1, d);
-  dt.setDate(dt.getDate() + days);
-  const yy = dt.getFullYear();
-  const mm = String(dt.getMonth() + 1).padStart(2, "0");
-  const dd = String(dt.getDate()).padStart(2, "0");
-  return `${yy}-${mm}-${dd}`;
-}
-
-function daysBetweenISO(aISO, bISO) {
-  // b - a in days
-  const [ay, am, ad] = aISO.split("-").map(Number);
-  const [by, bm, bd] = bISO.split("-").map(Number);
-  const a = new Date(ay, am - 1, ad);
-  const b = new Date(by, bm - 1, bd);
-  const ms = b.getTime() - a.getTime();
-  return Math.floor(ms / (1000 * 60 * 60 * 24));
-}
-
-function clampInt(n, min, max) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return min;
-  return Math.max(min, Math.min(max, Math.round(x)));
-}
-
-function uid() {
-  return Math.random().toString(36).slice(2, 10) + "-" + Date.now().toString(36);
-}
+const NO_ROOM = "__none__"; // Tasks tab filter value for tasks without a room
 
-function loadState() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
+// `loaded` comes from storage.js loadSavedState; start from sample tasks if nothing usable was saved
+function initialState(loaded) {
+  if (loaded?.state?.tasks.length) {
+    return { state: { ...loaded.state, undo: emptyUndo() }, report: loaded.report };
   }
-}
 
-function saveState(state) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  const seed = {
+    schemaVersion: SCHEMA_VERSION, // see schema.js
+    tasks: defaultTasksFromSample(),
+    todayPlan: null, // { dateISO, pickedIds: string[], completedIds: string[], skippedIds?: string[] }
+    weekPlan: null, // { startISO, days: { [dateISO]: taskIds[] }, unplannedIds } see weekPlan.js
+    settings: normalizeSettings(loaded?.state?.settings),
+    timer: null, // { taskId, startedAtMs, elapsedMs } see timer.js
+    log: loaded?.state?.log ?? [], // see actionLog.js
+    tombstones: loaded?.state?.tombstones ?? {}, // sync bookkeeping, see syncMerge.js
+    settingsUpdatedAtISO: null,
+    undo: emptyUndo(),
+  };
+  return { state: seed, report: loaded?.report ?? null };
 }
 
 function defaultTasksFromSample() {
-  const t = todayISO();
+  const today = todayISO();
   return [
-    { id: uid(), name: "Swiffer front hallway", freqDays: 4, lastDoneISO: addDaysISO(t, -10), estMin: 15, history: [] },
-    { id: uid(), name: "Change AC filters", freqDays: 31, lastDoneISO: addDaysISO(t, -60), estMin: 15, history: [] },
+    { id: uid(), name: tr("sample.swiffer"), freqDays: 4, lastDoneISO: addDaysISO(today, -10), estMin: 15, history: [] },
+    { id: uid(), name: tr("sample.acFilters"), freqDays: 31, lastDoneISO: addDaysISO(today, -60), estMin: 15, history: [] },
   ];
 }
 
-function computeDueISO(task) {
-  return addDaysISO(task.lastDoneISO, Math.max(1, task.freqDays));
-}
-
-function isOverdue(task, nowISO) {
-  const due = computeDueISO(task);
-  return daysBetweenISO(due, nowISO) > 0;
-}
-
-/**
- * Urgency scoring:
- * latenessRatio = daysSinceDone / freqDays
- * overdue if ratio >= 1
- * score ramps faster the more overdue it is (relative to frequency)
- */
-function urgencyScore(task, nowISO) {
-  const freq = Math.max(1, task.freqDays);
-  const daysSince = Math.max(0, daysBetweenISO(task.lastDoneISO, nowISO));
-  const ratio = daysSince / freq;
-
-  if (ratio < 1) return 0.02 * ratio; // small for not-due
-  const base = ratio - 1;
-  return base * base + 0.05 * ratio; // ramps as overdue grows
-}
-
-/**
- * Build today's plan:
- * - Each task at most once/day
- * - Prioritize overdue first (then score)
- * - Fill up to budget minutes (<= budget)
- *
- * Greedy fill is fine initially; can upgrade later.
- */
-function buildPlan(tasks, nowISO, budgetMin) {
-  const scored = tasks
-    .map((t) => ({
-      task: t,
-      score: urgencyScore(t, nowISO),
-      est: Math.max(1, t.estMin || 15),
-      overdue: isOverdue(t, nowISO),
-      dueISO: computeDueISO(t),
-    }))
-    .sort((a, b) => {
-      if (a.overdue !== b.overdue) return a.overdue ? -1 : 1; // overdue first
-      if (b.score !== a.score) return b.score - a.score; // higher score first
-      return a.dueISO.localeCompare(b.dueISO); // earlier due first
-    });
-
-  const picked = [];
-  let total = 0;
-
-  for (const item of scored) {
-    if (total >= budgetMin) break;
-    if (item.est + total > budgetMin) continue; // never exceed
-    picked.push(item.task.id);
-    total += item.est;
-  }
-
-  // If nothing fits (rare), pick the most urgent single task
-  if (picked.length === 0 && scored.length > 0) {
-    picked.push(scored[0].task.id);
-    total = Math.max(1, scored[0].est);
-  }
-
-  return { pickedIds: picked, totalEstMin: total };
-}
-
-function formatOverdueLabel(task, nowISO) {
-  const due = computeDueISO(task);
-  const delta = daysBetweenISO(due, nowISO); // positive overdue
-  if (delta > 0) return `Overdue by ${delta}d`;
-  if (delta === 0) return `Due today`;
-  return `Due in ${Math.abs(delta)}d`;
-}
-
-function ewmaUpdate(oldEst, actualMin, alpha = 0.3) {
-  const oldV = Math.max(1, Number(oldEst) || 15);
-  const actV = Math.max(1, Number(actualMin) || oldV);
-  return Math.max(1, Math.round(oldV * (1 - alpha) + actV * alpha));
-}
-
-function downloadText(filename, text) {
-  const blob = new Blob([text], { type: "application/json" });
+function downloadText(filename, text, type = "application/json") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -185,48 +204,11 @@ function readFileText(file) {
   return new Promise((resolve, reject) => {
     const r = new FileReader();
     r.onload = () => resolve(String(r.result || ""));
-    r.onerror = () => reject(new Error("Failed to read file"));
+    r.onerror = () => reject(new Error(tr("error.readFile")));
     r.readAsText(file);
   });
 }
 
-function normalizeImportedRow(parts) {
-  // parts: [name, freqDays, lastDone, estMin]
-  const name = (parts[0] || "").trim();
-  const freqDays = clampInt(parts[1], 1, 3650);
-  const lastDoneISO = parseUSDateToISO(parts[2]);
-  const estMin = clampInt(parts[3] ?? 15, 1, 240);
-
-  if (!name || !lastDoneISO) return null;
-
-  return {
-    id: uid(),
-    name,
-    freqDays,
-    lastDoneISO,
-    estMin,
-    history: [],
-  };
-}
-
-function parsePaste(text) {
-  const lines = String(text ?? "")
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  const tasks = [];
-  for (const line of lines) {
-    const parts = line.includes("\t")
-      ? line.split("\t")
-      : line.split(",").map((p) => p.trim());
-
-    const t = normalizeImportedRow(parts);
-    if (t) tasks.push(t);
-  }
-  return tasks;
-}
-
 /* ---------- UI helpers ---------- */
 
 function Card({ children }) {
@@ -267,7 +249,57 @@ function SmallButton({ children, onClick, kind = "default", title, disabled }) {
   );
 }
 
-function Modal({ open, title, children, onClose }) {
+/**
+ * Dialog over the page. While open, Tab and Shift-Tab stay inside it, Escape
+ * closes it, and focus goes back to where it was when it closes.
+ * initialFocus: ref to focus on open (default: the first field or button).
+ */
+function Modal({ open, title, children, onClose, initialFocus }) {
+  const dialogRef = useRef(null);
+  const bodyRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    if (!open) return;
+    const returnTo = document.activeElement;
+    const dialog = dialogRef.current;
+    const first = initialFocus?.current ?? focusableIn(bodyRef.current)[0] ?? dialog;
+    first.focus();
+
+    function onKeyDown(e) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = focusableIn(dialog);
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const [head, tail] = [items[0], items[items.length - 1]];
+      const inside = dialog.contains(document.activeElement);
+      if (e.shiftKey && (document.activeElement === head || !inside)) {
+        e.preventDefault();
+        tail.focus();
+      } else if (!e.shiftKey && (document.activeElement === tail || !inside)) {
+        e.preventDefault();
+        head.focus();
+      }
+    }
+
+    document.addEventListener("keydown", onKeyDown, true);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown, true);
+      if (returnTo?.isConnected) returnTo.focus();
+    };
+  }, [open, initialFocus]);
+
   if (!open) return null;
   return (
     <div
@@ -284,22 +316,32 @@ function Modal({ open, title, children, onClose }) {
       }}
     >
       <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={typeof title === "string" ? title : undefined}
+        tabIndex={-1}
         onClick={(e) => e.stopPropagation()}
         style={{
           width: "min(640px, 100%)",
+          maxHeight: "calc(100vh - 32px)",
+          overflowY: "auto",
           background: "#fff",
           borderRadius: 14,
           border: "1px solid #ddd",
           padding: 16,
+          outline: "none",
         }}
       >
         <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
           <h3 style={{ margin: 0 }}>{title}</h3>
-          <SmallButton onClick={onClose} title="Close">
+          <SmallButton onClick={onClose} title={tr("modal.close")}>
             ✕
           </SmallButton>
         </div>
-        <div style={{ marginTop: 12 }}>{children}</div>
+        <div ref={bodyRef} style={{ marginTop: 12 }}>
+          {children}
+        </div>
       </div>
     </div>
   );
@@ -343,10 +385,31 @@ function NumberInput(props) {
   );
 }
 
-function Tabs({ tab, setTab }) {
-  const Item = ({ id, label }) => (
+function Select({ options, ...props }) {
+  return (
+    <select
+      {...props}
+      style={{
+        padding: 10,
+        borderRadius: 10,
+        border: "1px solid #ddd",
+        background: "#fff",
+      }}
+    >
+      {options.map((o) => (
+        <option key={o.value} value={o.value}>
+          {o.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function TabItem({ id, label, tab, setTab, shortcut }) {
+  return (
     <button
       onClick={() => setTab(id)}
+      title={tr("tab.shortcut", { key: shortcut })}
       style={{
         padding: "10px 12px",
         borderRadius: 999,
@@ -359,79 +422,385 @@ function Tabs({ tab, setTab }) {
       {label}
     </button>
   );
+}
+
+// Tab order is also the number-key shortcut order (1 = Today)
+const TABS = ["today", "week", "tasks", "calendar", "import", "settings", "backup", "history"];
+
+function Tabs({ tab, setTab, timerRunning }) {
   return (
     <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
-      <Item id="today" label="Today" />
-      <Item id="tasks" label="Tasks" />
-      <Item id="import" label="Import" />
-      <Item id="backup" label="Backup" />
+      {TABS.map((id, i) => (
+        <TabItem
+          key={id}
+          id={id}
+          label={id === "today" && timerRunning ? tr("tab.todayTimer") : tr(`tab.${id}`)}
+          tab={tab}
+          setTab={setTab}
+          shortcut={i + 1}
+        />
+      ))}
     </div>
   );
 }
 
-/* ---------- App ---------- */
+/* ---------- Command palette ---------- */
+
+// [keys, catalog key of what they do]
+const SHORTCUT_HELP = [
+  ["Ctrl/⌘ K", "shortcut.palette"],
+  ["1–8", "shortcut.tabs"],
+  ["j / k", "shortcut.move"],
+  ["d", "shortcut.done"],
+  ["l", "shortcut.later"],
+  ["e", "shortcut.edit"],
+  ["s", "shortcut.timer"],
+  ["n", "shortcut.newTask"],
+];
+
+function Highlighted({ text, positions }) {
+  if (positions.length === 0) return text;
+  const marked = new Set(positions);
+  return [...text].map((ch, i) => (marked.has(i) ? <b key={i}>{ch}</b> : <span key={i}>{ch}</span>));
+}
 
-export default function App() {
-  const [tab, setTab] = useState("today");
+// Fuzzy search over commands (see commands.js); ↑/↓ to choose, Enter to run
+function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const results = useMemo(() => searchCommands(commands, query), [commands, query]);
+  const current = Math.min(active, results.length - 1);
+
+  function run(result) {
+    onClose();
+    result.command.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + results.length) % Math.max(1, results.length));
+    } else if (e.key === "Enter" && results[current]) {
+      e.preventDefault();
+      run(results[current]);
+    }
+  }
+
+  return (
+    <Modal open title={tr("palette.title")} onClose={onClose} initialFocus={inputRef}>
+      <div style={{ display: "grid", gap: 10 }}>
+        <TextInput
+          ref={inputRef}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={onKeyDown}
+          placeholder={tr("palette.placeholder")}
+          aria-label={tr("palette.inputLabel")}
+        />
+        {results.length === 0 ? (
+          <div style={{ fontSize: 13, color: "#666" }}>{tr("palette.noMatches")}</div>
+        ) : (
+          <div role="listbox" aria-label={tr("palette.title")} style={{ display: "grid", gap: 2, maxHeight: 360, overflowY: "auto" }}>
+            {results.map((r, i) => (
+              <button
+                key={r.command.id}
+                role="option"
+                aria-selected={i === current}
+                tabIndex={-1}
+                onClick={() => run(r)}
+                onMouseMove={() => i !== current && setActive(i)}
+                ref={i === current ? (el) => el?.scrollIntoView({ block: "nearest" }) : undefined}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  gap: 12,
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "none",
+                  background: i === current ? "#f0f0f0" : "transparent",
+                  color: "#111",
+                  textAlign: "left",
+                  cursor: "pointer",
+                  fontSize: 14,
+                }}
+              >
+                <span>
+                  <Highlighted text={r.command.label} positions={r.positions} />
+                </span>
+                {r.command.hint && <span style={{ fontSize: 12, color: "#666" }}>{r.command.hint}</span>}
+              </button>
+            ))}
+          </div>
+        )}
+        {!query && (
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 12, color: "#666" }}>
+            {SHORTCUT_HELP.map(([keys, what]) => (
+              <span key={keys}>
+                <b>{keys}</b> {tr(what)}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+/* ---------- Sync ---------- */
+
+/**
+ * Multi-device sync (see sync.js / syncMerge.js). Syncs when local changes
+ * are waiting (shortly after the last one), at start, when the connection
+ * comes back, when the app is shown again, and every couple of minutes.
+ * `markChanged` is called for every local action.
+ */
+function useSync(state, setState) {
+  const [config, setConfig] = useState(loadSyncConfig);
+  const [status, setStatus] = useState({ kind: "idle", message: "" }); // idle | syncing | ok | offline | error
+  const latest = useRef({ state, config });
+  const running = useRef(false);
+
+  useEffect(() => {
+    latest.current = { state, config };
+  });
 
-  const [state, setState] = useState(() => {
-    const loaded = loadState();
+  useEffect(() => {
+    saveSyncConfig(config);
+  }, [config]);
+
+  const syncNow = useCallback(async () => {
+    const { state: current, config: cfg } = latest.current;
+    if (!syncEnabled(cfg) || running.current) return;
+    if (!navigator.onLine) {
+      setStatus({ kind: "offline", message: "" });
+      return;
+    }
 
-    // Upgrade older saved data
-    if (loaded?.tasks?.length) {
-      if (!("todayPlan" in loaded)) loaded.todayPlan = null;
-      return loaded;
+    running.current = true;
+    const seq = cfg.changeSeq;
+    setStatus({ kind: "syncing", message: "" });
+    try {
+      const remote = await pushAndPull(cfg, current);
+      setState((prev) => adoptMergedState(prev, mergeStates(prev, remote)));
+      setConfig((c) => ({ ...c, syncedSeq: Math.max(c.syncedSeq, seq), lastSyncAtISO: new Date().toISOString() }));
+      setStatus({ kind: "ok", message: "" });
+    } catch (e) {
+      setStatus({ kind: navigator.onLine ? "error" : "offline", message: errorText(e) });
+    } finally {
+      running.current = false;
     }
+  }, [setState]);
+
+  const enabled = syncEnabled(config);
+  const pending = pendingChanges(config) > 0;
+  const target = `${config.url}\n${config.householdId}\n${config.token}`; // sync right away when this changes
 
-    const seed = {
-      tasks: defaultTasksFromSample(),
-      todayPlan: null, // { dateISO, pickedIds: string[], completedIds: string[] }
+  useEffect(() => {
+    if (!enabled || !pending) return;
+    const h = setTimeout(syncNow, 1500);
+    return () => clearTimeout(h);
+  }, [enabled, pending, state, syncNow]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const first = setTimeout(syncNow, 0);
+    const h = setInterval(syncNow, SYNC_INTERVAL_MS);
+    const onVisible = () => {
+      if (document.visibilityState === "visible") syncNow();
+    };
+    window.addEventListener("online", syncNow);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearTimeout(first);
+      clearInterval(h);
+      window.removeEventListener("online", syncNow);
+      document.removeEventListener("visibilitychange", onVisible);
     };
-    saveState(seed);
-    return seed;
+  }, [enabled, target, syncNow]);
+
+  const markChanged = useCallback(() => setConfig((c) => ({ ...c, changeSeq: c.changeSeq + 1 })), []);
+
+  return { config, setConfig, status, syncNow, markChanged };
+}
+
+/**
+ * Reminders while the app is open (see reminders.js). The same list goes to
+ * the service worker so it can show them while the app is closed.
+ */
+// locale: replan when the language or date format changes, since the text depends on it
+function useReminders(state, nowISO, locale) {
+  const [prefs, setPrefs] = useState(loadReminderPrefs);
+  const [permission, setPermission] = useState(notificationPermission);
+
+  useEffect(() => {
+    saveReminderPrefs(prefs);
+  }, [prefs]);
+
+  const active = prefs.enabled && permission === "granted";
+  const { sent, ...schedulePrefs } = prefs;
+  const key = JSON.stringify({ schedulePrefs, locale });
+  const reminders = useMemo(
+    () => (active ? planReminders(state, JSON.parse(key).schedulePrefs, nowISO) : []),
+    [active, key, state, nowISO]
+  );
+
+  useEffect(() => {
+    sendRemindersToWorker(reminders.filter((r) => !sent[r.tag])).catch(() => {});
+    return scheduleReminders(reminders, {
+      sent,
+      show: (r) => showNotification(r).catch(() => {}),
+      onSent: (next) => setPrefs((p) => ({ ...p, sent: next })),
+    });
+  }, [reminders, sent]);
+
+  async function enable() {
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    if (result === "granted") setPrefs((p) => ({ ...p, enabled: true }));
+  }
+
+  return { prefs, setPrefs, permission, enable, upcoming: reminders.filter((r) => !sent[r.tag]) };
+}
+
+/* ---------- App ---------- */
+
+export default function App({ storage, loaded }) {
+  const [tab, setTab] = useState("today");
+
+  // Language and date format, per device (see i18n/index.js); set before anything renders text
+  const [localePrefs, setLocalePrefs] = useState(() => {
+    const prefs = loadLocalePrefs();
+    setLocale(prefs);
+    return prefs;
   });
 
-  const [budgetMin, setBudgetMin] = useState(60);
+  function changeLocale(prefs) {
+    saveLocalePrefs(prefs);
+    setLocale(prefs);
+    setLocalePrefs(prefs);
+  }
+
+  const [initial] = useState(() => initialState(loaded));
+  const [state, setState] = useState(initial.state);
+  // { title, repaired, rejected } from schema.js validation, shown until dismissed
+  const [dataReport, setDataReport] = useState(() =>
+    hasIssues(initial.report) ? { title: tr("dataReport.loadedTitle"), ...initial.report } : null
+  );
+
   const nowISO = todayISO();
+  const budgetMin = householdBudgetForDate(state.settings, state.todayPlan?.dateISO ?? nowISO);
+  const members = state.settings.members;
+
+  // Take over what another tab saved: its revision is newer, so it replaces ours
+  // (a change of ours that didn't get saved is merged instead, see mergeWithStorage)
+  const adopted = useRef(null);
+  const loadFromStorage = useCallback(async () => {
+    const stored = (await loadSavedState(storage))?.state;
+    if (!stored) return;
+    adopted.current = adoptSavedState(stored);
+    setState(adopted.current);
+  }, [storage]);
+
+  // Another tab saved first, so nothing was written: merge our change onto its copy, which saves again
+  const mergeWithStorage = useCallback(async () => {
+    const stored = (await loadSavedState(storage))?.state;
+    if (stored) setState((prev) => mergeSavedState(prev, stored));
+  }, [storage]);
 
   // Persist app state
+  const [saveError, setSaveError] = useState(null);
+  useEffect(() => {
+    if (state === adopted.current) return; // just loaded from storage
+    storage.save(persistable(state)).then(
+      (saved) => {
+        setSaveError(null);
+        if (!saved) mergeWithStorage();
+      },
+      (e) => setSaveError(errorText(e))
+    );
+  }, [storage, state, mergeWithStorage]);
+
+  useEffect(() => storage.subscribe(loadFromStorage), [storage, loadFromStorage]);
+
+  // New app version installed in the background (see pwa.js)
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  useEffect(() => onUpdateReady((apply) => setApplyUpdate(() => apply)), []);
+
+  // Re-render every second while a timer runs
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const timerRunning = isRunning(state.timer);
   useEffect(() => {
-    saveState(state);
-  }, [state]);
+    if (!timerRunning) return;
+    const h = setInterval(() => setNowMs(Date.now()), 1000);
+    return () => clearInterval(h);
+  }, [timerRunning]);
 
-  // Create today's plan if needed (once/day)
+  // Create today's plan if needed (once/day), moving the week plan along with it
   useEffect(() => {
-    if (!state.todayPlan || state.todayPlan.dateISO !== nowISO) {
+    const weekBehind = state.settings.planMode === "week" && state.weekPlan?.startISO !== nowISO;
+    if (!state.todayPlan || state.todayPlan.dateISO !== nowISO || weekBehind) {
       ensureTodayPlan(false);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [nowISO]);
 
-  // Create/replace today's plan
-  function ensureTodayPlan(forceRegenerate = false) {
+  const sync = useSync(state, setState);
+  const reminders = useReminders(state, nowISO, localePrefs);
+
+  // Apply a user action: logged, undoable as one step, and queued for sync
+  function commit(type, label, updater) {
+    setState((prev) => {
+      const next = updater(prev);
+      return next === prev ? prev : recordAction(prev, stampChanges(prev, next), type, label);
+    });
+    sync.markChanged();
+  }
+
+  function undo() {
+    setState((prev) => {
+      const next = stampChanges(prev, undoAction(prev));
+      return { ...next, timer: normalizeTimer(next.timer, next.tasks) };
+    });
+    sync.markChanged();
+  }
+
+  function redo() {
     setState((prev) => {
+      const next = stampChanges(prev, redoAction(prev));
+      return { ...next, timer: normalizeTimer(next.timer, next.tasks) };
+    });
+    sync.markChanged();
+  }
+
+  // Create/replace today's plan (only a manual regenerate counts as an action).
+  // Planning by the week, today's list is that day of the week plan; regenerating replans the week.
+  function ensureTodayPlan(forceRegenerate = false) {
+    const update = (prev) => {
       const existing = prev.todayPlan;
       const isForToday = existing?.dateISO === nowISO;
 
+      if (prev.settings.planMode === "week") {
+        const weekPlan = forceRegenerate ? planWeek(prev, nowISO) : rollWeekPlan(prev, nowISO);
+        if (!forceRegenerate && isForToday) return weekPlan === prev.weekPlan ? prev : { ...prev, weekPlan };
+        return { ...prev, weekPlan, todayPlan: planDayFromWeek(prev, weekPlan, nowISO, { regenerated: forceRegenerate }) };
+      }
       if (!forceRegenerate && isForToday) return prev;
+      return { ...prev, todayPlan: planDay(prev, nowISO, { regenerated: forceRegenerate }) };
+    };
 
-      const plan = buildPlan(prev.tasks, nowISO, budgetMin);
-
-      return {
-        ...prev,
-        todayPlan: {
-          dateISO: nowISO,
-          pickedIds: plan.pickedIds,
-          completedIds: [],
-        },
-      };
-    });
+    if (forceRegenerate) commit("regenerate", tr("log.regenerated"), update);
+    else setState(update);
   }
 
-  // Today's tasks are from todayPlan, minus completedIds
+  // Today's tasks are from todayPlan, minus completedIds and skippedIds
   const plannedTasks = useMemo(() => {
     const pickedIds = state.todayPlan?.pickedIds ?? [];
-    const completed = new Set(state.todayPlan?.completedIds ?? []);
+    const completed = new Set([...(state.todayPlan?.completedIds ?? []), ...(state.todayPlan?.skippedIds ?? [])]);
     const map = new Map(state.tasks.map((t) => [t.id, t]));
 
     return pickedIds
@@ -440,7 +809,36 @@ export default function App() {
       .filter(Boolean);
   }, [state.tasks, state.todayPlan]);
 
-  const totalEstRemaining = plannedTasks.reduce((sum, t) => sum + Math.max(1, t.estMin || 15), 0);
+  // Minutes set aside per task, including the confidence buffer the plan was made with
+  const confidence = state.settings.planConfidence;
+  const reservedMin = (tasks) => tasks.reduce((sum, t) => sum + plannedMinutes(t, confidence), 0);
+
+  // Household away periods for the due-date math (see away.js)
+  const scheduleCtx = useMemo(() => scheduleContext(state.settings), [state.settings]);
+  const awayToday = awayPeriodOn(state.settings.awayPeriods, nowISO);
+
+  // taskId -> { deadlineISO, startByISO, critical } (see deadlineSchedule)
+  const deadlines = useMemo(
+    () => deadlineSchedule(state.tasks, nowISO, planOptions(state.settings).budgetForDate, { confidence }),
+    [state.tasks, state.settings, nowISO, confidence]
+  );
+  const totalEstRemaining = reservedMin(plannedTasks);
+
+  // One list per person when the plan was split across the household
+  const plannedByMember = useMemo(() => {
+    const byMember = state.todayPlan?.byMember;
+    if (!byMember) return null;
+    const remaining = new Map(plannedTasks.map((t) => [t.id, t]));
+    return Object.entries(byMember).map(([memberId, ids]) => {
+      const member = members.find((m) => m.id === memberId);
+      return {
+        memberId,
+        name: member?.name ?? tr("members.former"),
+        budgetMin: member ? budgetForDate(member.budgets, state.todayPlan.dateISO) : 0,
+        tasks: ids.map((id) => remaining.get(id)).filter(Boolean),
+      };
+    });
+  }, [state.todayPlan, plannedTasks, members]);
 
   /* ---- Done modal ---- */
   const [doneOpen, setDoneOpen] = useState(false);
@@ -448,63 +846,199 @@ export default function App() {
 
   // IMPORTANT: string while typing so user can delete freely
   const [actualMin, setActualMin] = useState("15");
+  const [doneBy, setDoneBy] = useState("");
+
+  /* ---- Skip/Snooze modal ---- */
+  const [deferOpen, setDeferOpen] = useState(false);
+  const [deferTaskId, setDeferTaskId] = useState(null);
+  const [deferAction, setDeferAction] = useState("skip");
+  const [deferDays, setDeferDays] = useState("3");
+  const [deferReason, setDeferReason] = useState("");
 
   /* ---- Add/Edit modal ---- */
   const [editOpen, setEditOpen] = useState(false);
   const [editTaskId, setEditTaskId] = useState(null);
 
+  /* ---- Tasks tab filters ---- */
+  const [roomFilter, setRoomFilter] = useState(""); // "" = all, NO_ROOM = tasks without a room
+  const [tagFilter, setTagFilter] = useState("");
+  const [groupRooms, setGroupRooms] = useState(false);
+
+  const rooms = useMemo(
+    () => [...new Set(state.tasks.map(roomOf).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+    [state.tasks]
+  );
+  const tags = useMemo(
+    () => [...new Set(state.tasks.flatMap((t) => t.tags ?? []))].sort((a, b) => a.localeCompare(b)),
+    [state.tasks]
+  );
+
+  const taskGroups = useMemo(() => {
+    const list = state.tasks
+      .filter((t) => !roomFilter || (roomFilter === NO_ROOM ? !roomOf(t) : roomOf(t) === roomFilter))
+      .filter((t) => !tagFilter || (t.tags ?? []).includes(tagFilter))
+      .sort((a, b) => {
+        const ac = !!deadlines.get(a.id)?.critical;
+        const bc = !!deadlines.get(b.id)?.critical;
+        if (ac !== bc) return ac ? -1 : 1;
+        const ao = isOverdue(a, nowISO, scheduleCtx);
+        const bo = isOverdue(b, nowISO, scheduleCtx);
+        if (ao !== bo) return ao ? -1 : 1;
+        const as = urgencyScore(a, nowISO, scheduleCtx);
+        const bs = urgencyScore(b, nowISO, scheduleCtx);
+        if (bs !== as) return bs - as;
+        return a.name.localeCompare(b.name);
+      });
+
+    if (!groupRooms) return [{ room: null, tasks: list }];
+    const groups = new Map();
+    for (const t of list) {
+      const room = roomOf(t) || tr("tasks.noRoom");
+      if (!groups.has(room)) groups.set(room, []);
+      groups.get(room).push(t);
+    }
+    return [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([room, tasks]) => ({ room, tasks }));
+  }, [state.tasks, roomFilter, tagFilter, groupRooms, nowISO, deadlines, scheduleCtx]);
+
+  // Tasks whose frequency doesn't match how often they're really done (see frequency.js)
+  const [reviewFrequencies, setReviewFrequencies] = useState(false);
+  const freqSuggestions = useMemo(
+    () => new Map(state.tasks.map((t) => [t.id, frequencySuggestion(t)]).filter(([, sug]) => sug)),
+    [state.tasks]
+  );
+
   /* ---- Import box ---- */
   const [importText, setImportText] = useState("");
+  const [importDateChoice, setImportDateChoice] = useState(null); // null = the user's date format
+  const importDateFormat = importDateChoice ?? localePrefs.dateFormat;
+
+  // detected: the order the pasted dates must be in, when it isn't the chosen one;
+  // ambiguous: rows whose date reads either way round (see pasteDateOrder / isAmbiguousDate)
+  const importDateCheck = useMemo(() => {
+    const detected = pasteDateOrder(importText);
+    const { rows } = parsePasteDetailed(importText, { dateFormat: importDateFormat });
+    return {
+      detected: detected && detected !== importDateFormat ? detected : null,
+      ambiguous: rows.filter((r) => r.ambiguousDate).length,
+    };
+  }, [importText, importDateFormat]);
+  const [importPreview, setImportPreview] = useState(null); // { diff, rejected } see spreadsheet.js
 
-  function openDone(task) {
+  function openDone(task, measuredMin) {
     setDoneTaskId(task.id);
-    setActualMin(String(Math.max(1, task.estMin || 15)));
+    setActualMin(String(measuredMin ?? Math.max(1, task.estMin || 15)));
+    setDoneBy(defaultDoneBy(task));
     setDoneOpen(true);
   }
 
+  // Whoever's list the task is on today, else its assignee, else the first member
+  function defaultDoneBy(task) {
+    if (members.length === 0) return "";
+    const byMember = state.todayPlan?.byMember ?? {};
+    const planned = Object.keys(byMember).find((id) => byMember[id].includes(task.id));
+    const candidates = [planned, task.assigneeId, members[0].id];
+    return candidates.find((id) => id && members.some((m) => m.id === id));
+  }
+
   function confirmDone() {
     const id = doneTaskId;
     if (!id) return;
 
     const actual = clampInt(actualMin, 1, 240);
+    const name = state.tasks.find((t) => t.id === id)?.name ?? tr("log.someTask");
 
-    setState((prev) => {
-      const tasks = prev.tasks.map((t) => {
-        if (t.id !== id) return t;
-
-        const newEst = ewmaUpdate(t.estMin, actual, 0.3);
-        const newHist = Array.isArray(t.history) ? [...t.history] : [];
-        newHist.unshift({ dateISO: nowISO, actualMin: actual });
-        const trimmed = newHist.slice(0, 20);
-
-        return {
-          ...t,
-          lastDoneISO: nowISO,
-          estMin: newEst,
-          history: trimmed,
-        };
+    commit("done", tr("log.done", { name, min: actual }), (prev) =>
+      markDone(prev, id, { dateISO: nowISO, actualMin: actual, byMemberId: doneBy || undefined })
+    );
+
+    setDoneOpen(false);
+    setDoneTaskId(null);
+  }
+
+  /* ---- Timer ---- */
+  function startTaskTimer(task) {
+    const current = state.timer;
+    if (current && current.taskId !== task.id) {
+      const other = state.tasks.find((t) => t.id === current.taskId);
+      const msg = tr("timer.confirmSwitch", {
+        name: other?.name ?? tr("timer.anotherTask"),
+        elapsed: formatElapsed(timerElapsedMs(current, Date.now())),
       });
+      if (!confirm(msg)) return;
+    }
+    const now = Date.now();
+    setNowMs(now);
+    setState((prev) => ({ ...prev, timer: startTimer(task.id, now) }));
+  }
+
+  function pauseTaskTimer() {
+    const now = Date.now();
+    setNowMs(now);
+    setState((prev) => ({ ...prev, timer: pauseTimer(prev.timer, now) }));
+  }
+
+  function resumeTaskTimer() {
+    const now = Date.now();
+    setNowMs(now);
+    setState((prev) => ({ ...prev, timer: resumeTimer(prev.timer, now) }));
+  }
+
+  // Stop pauses the clock and opens Done; confirming clears it, cancelling lets you resume
+  function stopTaskTimer() {
+    const timer = state.timer;
+    const task = state.tasks.find((t) => t.id === timer?.taskId);
+    if (!task) return;
+    const now = Date.now();
+    setNowMs(now);
+    setState((prev) => ({ ...prev, timer: pauseTimer(prev.timer, now) }));
+    openDone(task, timerMinutes(timer, now));
+  }
+
+  const timerControls = {
+    start: startTaskTimer,
+    pause: pauseTaskTimer,
+    resume: resumeTaskTimer,
+    stop: stopTaskTimer,
+  };
+  const timerTask = state.timer ? state.tasks.find((t) => t.id === state.timer.taskId) : null;
+
+  function openDefer(task) {
+    setDeferTaskId(task.id);
+    setDeferAction("skip");
+    setDeferDays("3");
+    setDeferReason("");
+    setDeferOpen(true);
+  }
+
+  // Skip, snooze or "not needed": the task leaves today's list without unlocking it
+  function confirmDefer() {
+    const id = deferTaskId;
+    if (!id) return;
+    const name = state.tasks.find((t) => t.id === id)?.name ?? tr("log.someTask");
+    commit(deferAction, tr(`log.${deferAction}`, { name, days: clampInt(deferDays, 1, 365) }), (prev) => {
+      const tasks = prev.tasks.map((t) =>
+        t.id === id ? deferTask(t, deferAction, nowISO, { days: deferDays, reason: deferReason }) : t
+      );
 
       const tp = prev.todayPlan;
-      if (!tp || tp.dateISO !== nowISO) {
+      if (!tp || tp.dateISO !== nowISO || !(tp.pickedIds || []).includes(id)) {
         return { ...prev, tasks };
       }
 
-      const completedSet = new Set(tp.completedIds || []);
-      completedSet.add(id);
-
       return {
         ...prev,
         tasks,
         todayPlan: {
           ...tp,
-          completedIds: Array.from(completedSet),
+          skippedIds: Array.from(new Set([...(tp.skippedIds || []), id])),
         },
       };
     });
 
-    setDoneOpen(false);
-    setDoneTaskId(null);
+    setDeferOpen(false);
+    setDeferTaskId(null);
   }
 
   function openEdit(taskId) {
@@ -513,7 +1047,8 @@ export default function App() {
   }
 
   function upsertTask(updated) {
-    setState((prev) => {
+    const exists = state.tasks.some((t) => t.id === updated.id);
+    commit(exists ? "edit" : "add", tr(exists ? "log.edited" : "log.added", { name: updated.name }), (prev) => {
       const exists = prev.tasks.some((t) => t.id === updated.id);
       const tasks = exists ? prev.tasks.map((t) => (t.id === updated.id ? updated : t)) : [...prev.tasks, updated];
 
@@ -523,8 +1058,25 @@ export default function App() {
     });
   }
 
+  function acceptFrequency(sug) {
+    const name = state.tasks.find((t) => t.id === sug.taskId)?.name ?? tr("log.someTask");
+    commit("frequency", tr("log.frequencyAccepted", { name, days: sug.suggestedDays }), (prev) => ({
+      ...prev,
+      tasks: prev.tasks.map((t) => (t.id === sug.taskId ? applyFrequency(t, sug.suggestedDays) : t)),
+    }));
+  }
+
+  function dismissFrequency(sug) {
+    const name = state.tasks.find((t) => t.id === sug.taskId)?.name ?? tr("log.someTask");
+    commit("frequency", tr("log.frequencyKept", { name, days: sug.currentDays }), (prev) => ({
+      ...prev,
+      tasks: prev.tasks.map((t) => (t.id === sug.taskId ? dismissFrequencySuggestion(t, sug.suggestedDays) : t)),
+    }));
+  }
+
   function deleteTask(id) {
-    setState((prev) => {
+    const name = state.tasks.find((t) => t.id === id)?.name ?? tr("log.someTask");
+    commit("delete", tr("log.deleted", { name }), (prev) => {
       const tasks = prev.tasks.filter((t) => t.id !== id);
 
       // Also remove it from today's plan if it exists there
@@ -534,61 +1086,133 @@ export default function App() {
             ...tp,
             pickedIds: (tp.pickedIds || []).filter((x) => x !== id),
             completedIds: (tp.completedIds || []).filter((x) => x !== id),
+            skippedIds: (tp.skippedIds || []).filter((x) => x !== id),
+            ...(tp.byMember && {
+              byMember: Object.fromEntries(
+                Object.entries(tp.byMember).map(([memberId, ids]) => [memberId, ids.filter((x) => x !== id)])
+              ),
+            }),
           }
         : null;
 
-      return { ...prev, tasks, todayPlan };
+      const timer = prev.timer?.taskId === id ? null : prev.timer;
+      return { ...prev, tasks, todayPlan, timer };
+    });
+  }
+
+  function updateSettings(settings) {
+    // Budgets apply the next time a plan is generated; today's list stays locked.
+    commit("settings", tr("log.settings"), (prev) => ({ ...prev, settings }));
+  }
+
+  // Plan the week from today, keeping today's list as it is if there is one
+  function weekPlanFrom(prev) {
+    const fixedDays = prev.todayPlan?.dateISO === nowISO ? { [nowISO]: prev.todayPlan.pickedIds } : {};
+    return planWeek(prev, nowISO, { fixedDays });
+  }
+
+  function setPlanMode(planMode) {
+    commit("settings", tr(planMode === "week" ? "log.weekMode" : "log.dayMode"), (prev) => {
+      const next = { ...prev, settings: { ...prev.settings, planMode } };
+      return { ...next, weekPlan: planMode === "week" ? weekPlanFrom(next) : null };
     });
   }
 
+  function replanWeek() {
+    commit("week", tr("log.weekReplanned"), (prev) => ({ ...prev, weekPlan: weekPlanFrom(prev) }));
+  }
+
+  function moveInWeek(taskId, fromISO, toISO) {
+    const name = state.tasks.find((t) => t.id === taskId)?.name ?? tr("log.someTask");
+    commit("week", tr("log.weekMoved", { name, date: formatDate(toISO) }), (prev) => moveWeekTask(prev, taskId, fromISO, toISO));
+  }
+
   function importTasksReplaceList() {
-    const parsed = parsePaste(importText);
+    const { rows, rejected } = parsePasteDetailed(importText, { dateFormat: importDateFormat });
+    const parsed = rows.map((r) => r.task);
     if (parsed.length === 0) {
-      alert("No valid rows found. Each row needs 4 columns: name, frequency(days), last done (M/D/YYYY), minutes.");
+      alert(tr("import.noValidRows", { dateFormat: dateFormatHint(importDateFormat) }));
       return;
     }
-    setState((prev) => ({
+    if (rejected.length > 0 && !confirm(tr("import.confirmReplaceWithRejected", { count: rejected.length }))) {
+      setImportPreview(importPreviewOf(rows, rejected));
+      return;
+    }
+    commit("import", tr("log.importReplaced", { count: parsed.length }), (prev) => ({
       ...prev,
       tasks: parsed,
       todayPlan: null, // force new plan
+      weekPlan: null,
+      timer: null,
     }));
     setImportText("");
+    setImportDateChoice(null);
+    setImportPreview(null);
     setTab("today");
   }
 
+  function previewMergeImport() {
+    const { rows, rejected } = parsePasteDetailed(importText, { dateFormat: importDateFormat });
+    if (rows.length === 0 && rejected.length === 0) return alert(tr("import.pasteFirst"));
+    setImportPreview(importPreviewOf(rows, rejected));
+  }
+
+  function importPreviewOf(rows, rejected) {
+    const ambiguousLines = rows.filter((r) => r.ambiguousDate).map((r) => r.lineNo);
+    return { diff: diffImport(state.tasks, rows), rejected, ambiguousLines };
+  }
+
+  // Merge keeps ids + history of matched tasks; today's plan stays locked
+  function applyMergeImport(selected) {
+    const added = selected.filter((d) => d.status === "added").length;
+    const changed = selected.filter((d) => d.status === "changed").length;
+    if (added + changed === 0) return alert(tr("import.nothingSelected"));
+    commit("import", tr("log.importMerged", { added, changed }), (prev) => ({
+      ...prev,
+      tasks: applyImportDiff(prev.tasks, selected),
+    }));
+    setImportText("");
+    setImportDateChoice(null);
+    setImportPreview(null);
+  }
+
   function backupNow() {
-    const payload = {
-      version: 2,
-      exportedAtISO: new Date().toISOString(),
-      state,
-    };
-    downloadText(`housework-backup-${nowISO}.json`, JSON.stringify(payload, null, 2));
+    downloadText(`housework-backup-${nowISO}.json`, JSON.stringify(backupPayload(state), null, 2));
+  }
+
+  function exportTaskList(delimiter) {
+    const ext = delimiter === "\t" ? "tsv" : "csv";
+    const type = delimiter === "\t" ? "text/tab-separated-values" : "text/csv";
+    downloadText(`housework-tasks-${nowISO}.${ext}`, exportTasks(state.tasks, delimiter), type);
+  }
+
+  function exportHistoryTable() {
+    downloadText(`housework-history-${nowISO}.csv`, exportHistory(state.tasks, members), "text/csv");
   }
 
   async function restoreFromFile(file) {
     try {
       const txt = await readFileText(file);
-      const parsed = JSON.parse(txt);
+      const { state: st, report } = loadAndValidate(stateFromBackup(JSON.parse(txt)));
 
-      // Support v1 backups that had {tasks: [...]}
-      if (parsed?.tasks && Array.isArray(parsed.tasks)) {
-        setState({ tasks: parsed.tasks, todayPlan: null });
-        setTab("today");
+      if (st.tasks.length === 0 && report.rejected.length > 0) {
+        setDataReport({ title: tr("backup.restoreNoTasks", { file: file.name }), ...report });
         return;
       }
 
-      // v2 backups store { state: {tasks, todayPlan} }
-      if (parsed?.state?.tasks && Array.isArray(parsed.state.tasks)) {
-        const st = parsed.state;
-        if (!("todayPlan" in st)) st.todayPlan = null;
-        setState({ tasks: st.tasks, todayPlan: st.todayPlan ?? null });
-        setTab("today");
-        return;
-      }
-
-      throw new Error("Invalid backup format.");
+      commit("restore", tr("log.restored", { file: file.name }), (prev) => ({
+        ...prev,
+        schemaVersion: st.schemaVersion,
+        tasks: st.tasks,
+        todayPlan: st.todayPlan,
+        weekPlan: st.weekPlan,
+        settings: st.settings,
+        timer: null,
+      }));
+      if (hasIssues(report)) setDataReport({ title: tr("backup.restoredWithFixes", { file: file.name }), ...report });
+      setTab("today");
     } catch (e) {
-      alert(`Restore failed: ${e.message || String(e)}`);
+      alert(tr("backup.restoreFailed", { error: errorText(e) }));
     }
   }
 
@@ -599,22 +1223,139 @@ export default function App() {
 
   const todayHasPlan = (state.todayPlan?.dateISO === nowISO) && (state.todayPlan?.pickedIds?.length ?? 0) > 0;
 
+  /* ---- Keyboard: command palette + shortcuts ---- */
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [cursorId, setCursorId] = useState(null); // highlighted task on Today (j/k)
+
+  // Today's open tasks in the order they're shown
+  const planOrder = todayHasPlan && !awayToday ? (plannedByMember ? plannedByMember.flatMap((g) => g.tasks) : plannedTasks) : [];
+  const cursorTask = tab === "today" ? planOrder.find((t) => t.id === cursorId) ?? null : null;
+  const modalOpen = paletteOpen || doneOpen || deferOpen || editOpen || !!dataReport;
+
+  function moveCursor(step) {
+    if (planOrder.length === 0) return;
+    const at = planOrder.findIndex((t) => t.id === cursorTask?.id);
+    const next = at === -1 ? (step > 0 ? 0 : planOrder.length - 1) : Math.min(planOrder.length - 1, Math.max(0, at + step));
+    const id = planOrder[next].id;
+    setCursorId(id);
+    document.getElementById(`plan-task-${id}`)?.scrollIntoView({ block: "nearest" });
+  }
+
+  function toggleTimer(task) {
+    if (state.timer?.taskId === task.id) stopTaskTimer();
+    else startTaskTimer(task);
+  }
+
+  // Single-key shortcuts; returns false for keys that aren't ours
+  function handleShortcut(key) {
+    const tabIndex = ["1", "2", "3", "4", "5", "6", "7", "8"].indexOf(key);
+    if (tabIndex !== -1) {
+      setTab(TABS[tabIndex]);
+      return true;
+    }
+    if (key === "n") {
+      openEdit(null);
+      return true;
+    }
+    if (tab !== "today") return false;
+    if (key === "j" || key === "k") {
+      moveCursor(key === "j" ? 1 : -1);
+      return true;
+    }
+    if (!cursorTask) return false;
+    const action = { d: openDone, l: openDefer, e: (t) => openEdit(t.id), s: toggleTimer }[key];
+    if (!action) return false;
+    action(cursorTask);
+    return true;
+  }
+
+  // Re-bound every render so the handlers see current state
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (isPaletteShortcut(e)) {
+        if (modalOpen && !paletteOpen) return;
+        e.preventDefault();
+        setPaletteOpen(!paletteOpen);
+        return;
+      }
+      if (modalOpen || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+      if (handleShortcut(e.key)) e.preventDefault();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // Built only while the palette is open; task commands follow the Tasks tab order
+  function paletteCommands() {
+    const commands = TABS.map((id, i) => ({
+      id: `tab:${id}`,
+      label: tr("command.goTo", { tab: tr(`tab.${id}`) }),
+      hint: String(i + 1),
+      run: () => setTab(id),
+    }));
+    commands.push(
+      { id: "add", label: tr("command.add"), hint: "n", run: () => openEdit(null) },
+      { id: "regenerate", label: tr("command.regenerate"), run: () => ensureTodayPlan(true) },
+      { id: "backup", label: tr("command.backup"), keywords: tr("command.backupKeywords"), run: backupNow },
+      { id: "export-tasks", label: tr("command.exportTasks"), run: () => exportTaskList(",") },
+      { id: "export-history", label: tr("command.exportHistory"), run: exportHistoryTable }
+    );
+    if (state.settings.planMode === "week") commands.push({ id: "replan-week", label: tr("week.replan"), run: replanWeek });
+    if (canUndo(state)) commands.push({ id: "undo", label: tr("command.undo"), run: undo });
+    if (canRedo(state)) commands.push({ id: "redo", label: tr("command.redo"), run: redo });
+
+    const open = new Set(planOrder.map((t) => t.id));
+    const tasks = taskGroups.flatMap((g) => g.tasks);
+    const listed = new Set(tasks.map((t) => t.id));
+    const ordered = [...planOrder, ...tasks.filter((t) => !open.has(t.id)), ...state.tasks.filter((t) => !listed.has(t.id) && !open.has(t.id))];
+    for (const t of ordered) {
+      const hint = dueText(t, nowISO, scheduleCtx);
+      const keywords = [roomOf(t), ...(t.tags ?? [])].filter(Boolean).join(" ");
+      const task = (id, label, run) => commands.push({ id: `${id}:${t.id}`, label: tr(label, { name: t.name }), hint, keywords, run });
+      task("done", "command.done", () => openDone(t));
+      task("edit", "command.edit", () => openEdit(t.id));
+      if (open.has(t.id)) task("later", "command.later", () => openDefer(t));
+      if (state.timer?.taskId !== t.id) task("timer", "command.startTimer", () => startTaskTimer(t));
+    }
+    return commands;
+  }
+
   return (
     <div style={{ padding: 16, maxWidth: 920, margin: "0 auto" }}>
-      <h1 style={{ margin: "6px 0 12px" }}>Housework Queue</h1>
+      <h1 style={{ margin: "6px 0 12px" }}>{tr("app.title")}</h1>
+      {applyUpdate && (
+        <div style={{ marginBottom: 10 }}>
+          <Card>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+              <div style={{ fontSize: 14 }}>{tr("app.updateReady")}</div>
+              <SmallButton kind="primary" onClick={applyUpdate}>
+                {tr("app.reloadToUpdate")}
+              </SmallButton>
+            </div>
+          </Card>
+        </div>
+      )}
+      {saveError && (
+        <div style={{ fontSize: 13, color: "#b00020", marginBottom: 10 }}>
+          {tr("app.saveError", { error: saveError })}
+        </div>
+      )}
 
       <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
-        <Tabs tab={tab} setTab={setTab} />
+        <Tabs tab={tab} setTab={setTab} timerRunning={timerRunning} />
         <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-          <span style={{ fontSize: 12, color: "#444" }}>Daily budget</span>
-          <NumberInput
-            value={budgetMin}
-            min={10}
-            max={240}
-            onChange={(e) => setBudgetMin(clampInt(e.target.value, 10, 240))}
-            style={{ width: 110 }}
-          />
-          <span style={{ fontSize: 12, color: "#444" }}>minutes</span>
+          <SmallButton onClick={undo} disabled={!canUndo(state)} title={tr("command.undo")}>
+            {tr("app.undo")}
+          </SmallButton>
+          <SmallButton onClick={redo} disabled={!canRedo(state)} title={tr("command.redo")}>
+            {tr("app.redo")}
+          </SmallButton>
+          <SmallButton onClick={() => setPaletteOpen(true)} title={tr("app.paletteHint")}>
+            ⌘K
+          </SmallButton>
+          <span style={{ fontSize: 12, color: "#444" }}>{tr("app.budgetToday")}</span>
+          <b>{tr("app.minutes", { min: householdBudgetForDate(state.settings, nowISO) })}</b>
+          <SmallButton onClick={() => setTab("settings")}>{tr("app.changeBudget")}</SmallButton>
         </div>
       </div>
 
@@ -625,138 +1366,291 @@ export default function App() {
           <Card>
             <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
               <div>
-                <div style={{ fontSize: 14, color: "#444" }}>Today ({nowISO})</div>
+                <div style={{ fontSize: 14, color: "#444" }}>{tr("today.heading", { date: formatDate(nowISO) })}</div>
                 <div style={{ fontSize: 22, fontWeight: 700 }}>
-                  {totalEstRemaining} / {budgetMin} min remaining (estimated)
+                  {tr("today.remaining", { remaining: totalEstRemaining, budget: budgetMin })}
                 </div>
                 <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
-                  Today’s list is locked. Completing tasks won’t pull in replacements.
+                  {tr("today.locked")}
+                  {state.todayPlan?.fromWeek && ` ${tr("today.fromWeek")}`}
+                  {confidence > 50 && ` ${tr("today.buffer", { confidence })}`}
                 </div>
               </div>
 
               <div style={{ display: "flex", gap: 10, alignItems: "flex-start", flexWrap: "wrap" }}>
                 <SmallButton kind="primary" onClick={() => openEdit(null)}>
-                  + Add Task
+                  {tr("tasks.add")}
                 </SmallButton>
-                <SmallButton onClick={() => setTab("import")}>Import</SmallButton>
-                <SmallButton onClick={() => ensureTodayPlan(true)} title="Generate a new list for today (optional)">
-                  Regenerate
+                <SmallButton onClick={() => setTab("import")}>{tr("tab.import")}</SmallButton>
+                <SmallButton onClick={() => ensureTodayPlan(true)} title={tr("today.regenerateHint")}>
+                  {tr("today.regenerate")}
                 </SmallButton>
               </div>
             </div>
           </Card>
 
-          {!todayHasPlan ? (
+          {timerTask && (
             <Card>
-              <div style={{ fontSize: 14 }}>
-                No plan for today yet.
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+                <div>
+                  <div style={{ fontSize: 12, color: "#444" }}>{timerRunning ? tr("timer.inProgress") : tr("timer.paused")}</div>
+                  <div style={{ fontSize: 18, fontWeight: 650 }}>
+                    {timerTask.name} · {formatElapsed(timerElapsedMs(state.timer, nowMs))}
+                  </div>
+                </div>
+                <TimerButtons timer={state.timer} controls={timerControls} task={timerTask} />
               </div>
+            </Card>
+          )}
+
+          {awayToday ? (
+            <Card>
+              <div style={{ fontSize: 18, fontWeight: 650 }}>{tr("today.away", { period: awayPeriodText(awayToday) })}</div>
+              <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>{tr("today.awayNote")}</div>
+            </Card>
+          ) : !todayHasPlan ? (
+            <Card>
+              <div style={{ fontSize: 14 }}>{tr("today.noPlan")}</div>
               <div style={{ marginTop: 10, display: "flex", gap: 10, flexWrap: "wrap" }}>
                 <SmallButton kind="primary" onClick={() => ensureTodayPlan(true)}>
-                  Generate Today’s List
+                  {tr("today.generate")}
                 </SmallButton>
-                <SmallButton onClick={() => setTab("import")}>Import tasks</SmallButton>
+                <SmallButton onClick={() => setTab("import")}>{tr("today.importTasks")}</SmallButton>
               </div>
             </Card>
           ) : plannedTasks.length === 0 ? (
             <Card>
-              <div style={{ fontSize: 18, fontWeight: 650 }}>All done for today ✅</div>
-              <div style={{ marginTop: 6, fontSize: 12, color: "#666" }}>
-                Come back tomorrow for a new set — or press Regenerate if you want more.
-              </div>
+              <div style={{ fontSize: 18, fontWeight: 650 }}>{tr("today.allDone")}</div>
+              <div style={{ marginTop: 6, fontSize: 12, color: "#666" }}>{tr("today.allDoneNote")}</div>
             </Card>
-          ) : (
-            plannedTasks.map((t) => (
-              <Card key={t.id}>
-                <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
-                  <div style={{ minWidth: 260 }}>
-                    <div style={{ fontSize: 18, fontWeight: 650 }}>{t.name}</div>
-                    <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6 }}>
-                      <span style={{ fontSize: 12, color: "#555" }}>{formatOverdueLabel(t, nowISO)}</span>
-                      <span style={{ fontSize: 12, color: "#555" }}>Every {t.freqDays}d</span>
-                      <span style={{ fontSize: 12, color: "#555" }}>Est {Math.max(1, t.estMin || 15)} min</span>
-                    </div>
-                  </div>
-                  <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                    <SmallButton kind="primary" onClick={() => openDone(t)}>
-                      Done
-                    </SmallButton>
-                    <SmallButton onClick={() => openEdit(t.id)}>Edit</SmallButton>
+          ) : plannedByMember ? (
+            plannedByMember.map((g) => (
+              <div key={g.memberId} style={{ display: "grid", gap: 12 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 12, marginTop: 6 }}>
+                  <div style={{ fontSize: 18, fontWeight: 700 }}>{g.name}</div>
+                  <div style={{ fontSize: 12, color: "#555" }}>
+                    {tr("today.memberRemaining", { remaining: reservedMin(g.tasks), budget: g.budgetMin })}
                   </div>
                 </div>
-              </Card>
+                {g.tasks.length === 0 ? (
+                  <Card>
+                    <div style={{ fontSize: 14, color: "#555" }}>{tr("today.memberDone", { name: g.name })}</div>
+                  </Card>
+                ) : (
+                  g.tasks.map((t) => (
+                    <PlannedTaskCard
+                      key={t.id}
+                      task={t}
+                      nowISO={nowISO}
+                      ctx={scheduleCtx}
+                      onDone={openDone}
+                      onLater={openDefer}
+                      deadline={deadlines.get(t.id)}
+                      timer={state.timer?.taskId === t.id ? state.timer : null}
+                      nowMs={nowMs}
+                      timerControls={timerControls}
+                      onEdit={openEdit}
+                      selected={cursorTask?.id === t.id}
+                    />
+                  ))
+                )}
+              </div>
+            ))
+          ) : (
+            plannedTasks.map((t) => (
+              <PlannedTaskCard
+                key={t.id}
+                task={t}
+                nowISO={nowISO}
+                ctx={scheduleCtx}
+                onDone={openDone}
+                onLater={openDefer}
+                deadline={deadlines.get(t.id)}
+                timer={state.timer?.taskId === t.id ? state.timer : null}
+                nowMs={nowMs}
+                timerControls={timerControls}
+                onEdit={openEdit}
+                selected={cursorTask?.id === t.id}
+              />
             ))
           )}
         </div>
       )}
 
+      {tab === "week" && (
+        <WeekView
+          tasks={state.tasks}
+          settings={state.settings}
+          weekPlan={state.weekPlan}
+          todayPlan={state.todayPlan}
+          nowISO={nowISO}
+          onMove={moveInWeek}
+          onPlanMode={setPlanMode}
+          onReplan={replanWeek}
+          onEdit={openEdit}
+        />
+      )}
+
       {tab === "tasks" && (
         <div style={{ display: "grid", gap: 12 }}>
           <Card>
             <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
               <div>
-                <div style={{ fontSize: 18, fontWeight: 700 }}>All Tasks</div>
-                <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
-                  Edit frequency (days), last done date, or time estimate.
-                </div>
+                <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("tasks.title")}</div>
+                <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>{tr("tasks.subtitle")}</div>
+              </div>
+              <div style={{ display: "flex", gap: 10, alignItems: "flex-start", flexWrap: "wrap" }}>
+                <SmallButton onClick={() => setReviewFrequencies(!reviewFrequencies)}>
+                  {reviewFrequencies ? tr("tasks.backToAll") : tr("tasks.reviewFrequencies", { count: freqSuggestions.size })}
+                </SmallButton>
+                <SmallButton kind="primary" onClick={() => openEdit(null)}>
+                  {tr("tasks.add")}
+                </SmallButton>
               </div>
-              <SmallButton kind="primary" onClick={() => openEdit(null)}>
-                + Add Task
-              </SmallButton>
             </div>
           </Card>
 
-          {state.tasks
-            .slice()
-            .sort((a, b) => {
-              const ao = isOverdue(a, nowISO);
-              const bo = isOverdue(b, nowISO);
-              if (ao !== bo) return ao ? -1 : 1;
-              const as = urgencyScore(a, nowISO);
-              const bs = urgencyScore(b, nowISO);
-              if (bs !== as) return bs - as;
-              return a.name.localeCompare(b.name);
-            })
-            .map((t) => (
-              <Card key={t.id}>
-                <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
-                  <div style={{ minWidth: 260 }}>
-                    <div style={{ fontSize: 16, fontWeight: 650 }}>{t.name}</div>
-                    <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6 }}>
-                      <span style={{ fontSize: 12, color: "#555" }}>{formatOverdueLabel(t, nowISO)}</span>
-                      <span style={{ fontSize: 12, color: "#555" }}>Every {t.freqDays}d</span>
-                      <span style={{ fontSize: 12, color: "#555" }}>Last {t.lastDoneISO}</span>
-                      <span style={{ fontSize: 12, color: "#555" }}>Est {Math.max(1, t.estMin || 15)} min</span>
+          {reviewFrequencies && (
+            <>
+              <div style={{ fontSize: 12, color: "#666" }}>{tr("tasks.reviewNote")}</div>
+              {freqSuggestions.size === 0 && (
+                <Card>
+                  <div style={{ fontSize: 14, color: "#555" }}>{tr("tasks.reviewNone")}</div>
+                </Card>
+              )}
+              {state.tasks
+                .filter((t) => freqSuggestions.has(t.id))
+                .map((t) => (
+                  <Card key={t.id}>
+                    <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                      <div style={{ fontSize: 16, fontWeight: 650 }}>{t.name}</div>
+                      <SmallButton onClick={() => openEdit(t.id)}>{tr("task.edit")}</SmallButton>
+                    </div>
+                    <FrequencySuggestion
+                      suggestion={freqSuggestions.get(t.id)}
+                      onAccept={acceptFrequency}
+                      onDismiss={dismissFrequency}
+                    />
+                  </Card>
+                ))}
+            </>
+          )}
+
+          {!reviewFrequencies && (
+          <Card>
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "end" }}>
+              <Field label={tr("tasks.room")}>
+                <Select
+                  value={roomFilter}
+                  onChange={(e) => setRoomFilter(e.target.value)}
+                  options={[
+                    { value: "", label: tr("tasks.allRooms") },
+                    ...rooms.map((r) => ({ value: r, label: r })),
+                    { value: NO_ROOM, label: tr("tasks.noRoom") },
+                  ]}
+                />
+              </Field>
+              <Field label={tr("tasks.tag")}>
+                <Select
+                  value={tagFilter}
+                  onChange={(e) => setTagFilter(e.target.value)}
+                  options={[{ value: "", label: tr("tasks.allTags") }, ...tags.map((x) => ({ value: x, label: `#${x}` }))]}
+                />
+              </Field>
+              <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14, paddingBottom: 10 }}>
+                <input type="checkbox" checked={groupRooms} onChange={(e) => setGroupRooms(e.target.checked)} />
+                {tr("tasks.groupByRoom")}
+              </label>
+            </div>
+          </Card>
+          )}
+
+          {!reviewFrequencies && taskGroups.map((g) => (
+            <div key={g.room ?? "all"} style={{ display: "grid", gap: 12 }}>
+              {g.room !== null && <div style={{ fontSize: 16, fontWeight: 700, marginTop: 6 }}>{g.room}</div>}
+              {g.tasks.map((t) => (
+                <Card key={t.id}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                    <div style={{ minWidth: 260 }}>
+                      <div style={{ fontSize: 16, fontWeight: 650 }}>{t.name}</div>
+                      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6 }}>
+                        <span style={{ fontSize: 12, color: "#555" }}>{dueText(t, nowISO, scheduleCtx)}</span>
+                        <span style={{ fontSize: 12, color: "#555" }}>{ruleText(taskRule(t))}</span>
+                        <span style={{ fontSize: 12, color: "#555" }}>{tr("task.lastDone", { date: formatDate(t.lastDoneISO) })}</span>
+                        <TaskFlags task={t} deadline={deadlines.get(t.id)} nowISO={nowISO} />
+                        {t.assigneeId && members.some((m) => m.id === t.assigneeId) && (
+                          <span style={{ fontSize: 12, color: "#555" }}>
+                            👤 {members.find((m) => m.id === t.assigneeId).name}
+                          </span>
+                        )}
+                        <EstimateLabel task={t} />
+                        {!groupRooms && roomOf(t) && <span style={{ fontSize: 12, color: "#555" }}>📍 {roomOf(t)}</span>}
+                        {isSnoozed(t, nowISO) && (
+                          <span style={{ fontSize: 12, color: "#555" }}>{tr("task.snoozedUntil", { date: formatDate(t.snoozeUntilISO) })}</span>
+                        )}
+                        {deferralCounts(t, nowISO).total > 0 && (
+                          <span style={{ fontSize: 12, color: "#b00020" }} title={tr("task.putOffHint")}>
+                            {tr("task.putOff", { count: deferralCounts(t, nowISO).total })}
+                          </span>
+                        )}
+                        {(t.tags ?? []).map((x) => (
+                          <span key={x} style={{ fontSize: 12, color: "#555" }}>
+                            #{x}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                      <SmallButton kind="primary" onClick={() => openDone(t)}>
+                        {tr("task.done")}
+                      </SmallButton>
+                      <SmallButton onClick={() => openEdit(t.id)}>{tr("task.edit")}</SmallButton>
                     </div>
                   </div>
-                  <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                    <SmallButton kind="primary" onClick={() => openDone(t)}>
-                      Done
-                    </SmallButton>
-                    <SmallButton onClick={() => openEdit(t.id)}>Edit</SmallButton>
-                  </div>
-                </div>
-              </Card>
-            ))}
+                  {freqSuggestions.has(t.id) && (
+                    <FrequencySuggestion
+                      suggestion={freqSuggestions.get(t.id)}
+                      onAccept={acceptFrequency}
+                      onDismiss={dismissFrequency}
+                    />
+                  )}
+                </Card>
+              ))}
+            </div>
+          ))}
         </div>
       )}
 
+      {tab === "calendar" && (
+        <CalendarView
+          tasks={state.tasks}
+          settings={state.settings}
+          todayPlan={state.todayPlan}
+          nowISO={nowISO}
+          onEdit={openEdit}
+        />
+      )}
+
       {tab === "import" && (
         <div style={{ display: "grid", gap: 12 }}>
           <Card>
-            <div style={{ fontSize: 18, fontWeight: 700 }}>Import from your spreadsheet</div>
+            <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("import.title")}</div>
             <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
-              Paste rows as tab-separated (best) or comma-separated:
+              {tr("import.howTo")}
               <div style={{ marginTop: 6, padding: 10, background: "#f6f6f6", borderRadius: 10, border: "1px solid #eee" }}>
-                Swiffer front hallway [tab] 4 [tab] 8/26/2025 [tab] 15
+                {tr("import.example", { date: formatISODate("2025-08-26", importDateFormat) })}
               </div>
-              Dates can be M/D/YYYY or YYYY-MM-DD.
-              <b>Import will replace your current task list.</b>
+              {tr("import.dates", { formats: acceptedDateFormats(importDateFormat) })}
+              <b> {tr("import.merge")}</b> {tr("import.mergeNote")}
+              <b> {tr("import.replace")}</b> {tr("import.replaceNote")}
             </div>
 
             <textarea
               value={importText}
-              onChange={(e) => setImportText(e.target.value)}
+              onChange={(e) => {
+                setImportText(e.target.value);
+                setImportPreview(null);
+              }}
               rows={12}
               style={{
                 width: "100%",
@@ -766,31 +1660,93 @@ export default function App() {
                 border: "1px solid #ddd",
                 fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
               }}
-              placeholder="Paste your rows here…"
+              placeholder={tr("import.placeholder")}
             />
 
+            <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+              <Field label={tr("import.dateFormat")}>
+                <Select
+                  value={importDateFormat}
+                  onChange={(e) => {
+                    setImportDateChoice(e.target.value);
+                    setImportPreview(null);
+                  }}
+                  options={DATE_FORMATS.map((f) => ({ value: f, label: dateFormatLabel(f) }))}
+                />
+              </Field>
+              {importDateCheck.detected ? (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 12, color: "#8a5a00" }}>
+                  {tr("import.datesOnlyFit", { dateFormat: dateFormatHint(importDateCheck.detected) })}
+                  <SmallButton
+                    onClick={() => {
+                      setImportDateChoice(importDateCheck.detected);
+                      setImportPreview(null);
+                    }}
+                  >
+                    {tr("import.useDateFormat", { dateFormat: dateFormatHint(importDateCheck.detected) })}
+                  </SmallButton>
+                </div>
+              ) : (
+                importDateCheck.ambiguous > 0 && (
+                  <div style={{ fontSize: 12, color: "#8a5a00" }}>
+                    {tr("import.datesAmbiguous", { count: importDateCheck.ambiguous, dateFormat: dateFormatHint(importDateFormat) })}
+                  </div>
+                )
+              )}
+            </div>
+
             <div style={{ display: "flex", gap: 10, marginTop: 12, flexWrap: "wrap" }}>
-              <SmallButton kind="primary" onClick={importTasksReplaceList}>
-                Import (Replace list)
+              <SmallButton kind="primary" onClick={previewMergeImport}>
+                {tr("import.previewMerge")}
+              </SmallButton>
+              <SmallButton kind="danger" onClick={importTasksReplaceList}>
+                {tr("import.replaceList")}
               </SmallButton>
-              <SmallButton onClick={() => setImportText("")}>Clear</SmallButton>
-              <SmallButton onClick={() => setTab("today")}>Back to Today</SmallButton>
+              <SmallButton
+                onClick={() => {
+                  setImportText("");
+                  setImportDateChoice(null);
+                  setImportPreview(null);
+                }}
+              >
+                {tr("import.clear")}
+              </SmallButton>
+              <SmallButton onClick={() => setTab("today")}>{tr("import.backToToday")}</SmallButton>
             </div>
           </Card>
+
+          {importPreview && (
+            <ImportPreview
+              key={importText}
+              preview={importPreview}
+              onApply={applyMergeImport}
+              onCancel={() => setImportPreview(null)}
+            />
+          )}
+        </div>
+      )}
+
+      {tab === "settings" && (
+        <div style={{ display: "grid", gap: 12 }}>
+          <SettingsPanel settings={state.settings} onChange={updateSettings} nowISO={nowISO} />
+          <LocalePanel prefs={localePrefs} onChange={changeLocale} />
+          <RemindersPanel reminders={reminders} />
         </div>
       )}
 
       {tab === "backup" && (
         <div style={{ display: "grid", gap: 12 }}>
           <Card>
-            <div style={{ fontSize: 18, fontWeight: 700 }}>Backup & Restore</div>
+            <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("backup.title")}</div>
             <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
-              Data is stored locally on your device. Use backup to prevent loss.
+              {storage.kind === "memory"
+                ? tr("backup.noteMemory")
+                : tr("backup.note", { store: storage.kind === "indexeddb" ? "IndexedDB" : "localStorage" })}
             </div>
 
             <div style={{ display: "flex", gap: 10, marginTop: 12, flexWrap: "wrap" }}>
               <SmallButton kind="primary" onClick={backupNow}>
-                Backup (Download JSON)
+                {tr("backup.download")}
               </SmallButton>
 
               <label style={{ display: "inline-block" }}>
@@ -815,29 +1771,101 @@ export default function App() {
                     cursor: "pointer",
                   }}
                 >
-                  Restore (Choose JSON)
+                  {tr("backup.restore")}
                 </span>
               </label>
 
               <SmallButton
                 kind="danger"
                 onClick={() => {
-                  if (confirm("Reset app data? This cannot be undone (unless you have a backup).")) {
-                    setState({ tasks: [], todayPlan: null });
+                  if (confirm(tr("backup.confirmReset"))) {
+                    commit("reset", tr("log.reset"), (prev) => ({
+                      ...prev,
+                      tasks: [],
+                      todayPlan: null,
+                      weekPlan: null,
+                      settings: defaultSettings(),
+                      timer: null,
+                    }));
                   }
                 }}
               >
-                Reset (Clear all)
+                {tr("backup.reset")}
               </SmallButton>
             </div>
           </Card>
+
+          <Card>
+            <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("export.title")}</div>
+            <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+              {tr("export.note")}
+            </div>
+            <div style={{ display: "flex", gap: 10, marginTop: 12, flexWrap: "wrap" }}>
+              <SmallButton onClick={() => exportTaskList(",")}>{tr("export.tasksCsv")}</SmallButton>
+              <SmallButton onClick={() => exportTaskList("\t")}>{tr("export.tasksTsv")}</SmallButton>
+              <SmallButton onClick={exportHistoryTable}>{tr("export.historyCsv")}</SmallButton>
+            </div>
+          </Card>
+
+          <SyncPanel sync={sync} />
+        </div>
+      )}
+
+      {tab === "history" && (
+        <div style={{ display: "grid", gap: 12 }}>
+          <Card>
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+              <div>
+                <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("history.title")}</div>
+                <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+                  {tr("history.note", { count: MAX_LOG_ENTRIES.toLocaleString() })}
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 10, alignItems: "flex-start" }}>
+                <SmallButton onClick={undo} disabled={!canUndo(state)}>
+                  {tr("app.undo")}
+                </SmallButton>
+                <SmallButton onClick={redo} disabled={!canRedo(state)}>
+                  {tr("app.redo")}
+                </SmallButton>
+              </div>
+            </div>
+          </Card>
+
+          <Card>
+            {state.log.length === 0 ? (
+              <div style={{ fontSize: 14, color: "#555" }}>{tr("history.empty")}</div>
+            ) : (
+              <div style={{ display: "grid", gap: 8 }}>
+                {state.log
+                  .slice()
+                  .reverse()
+                  .map((e) => (
+                    <div key={e.id} style={{ display: "flex", gap: 12, alignItems: "baseline" }}>
+                      <span style={{ fontSize: 12, color: "#666", minWidth: 150 }}>
+                        {formatDateTime(Date.parse(e.atISO))}
+                      </span>
+                      <span style={{ fontSize: 14 }}>{e.label}</span>
+                    </div>
+                  ))}
+              </div>
+            )}
+          </Card>
         </div>
       )}
 
+      {/* COMMAND PALETTE */}
+      {paletteOpen && <CommandPalette commands={paletteCommands()} onClose={() => setPaletteOpen(false)} />}
+
+      {/* DATA CHECK MODAL */}
+      <Modal open={!!dataReport} title={dataReport?.title} onClose={() => setDataReport(null)}>
+        {dataReport && <DataReport report={dataReport} />}
+      </Modal>
+
       {/* DONE MODAL */}
       <Modal
         open={doneOpen}
-        title="Mark done"
+        title={tr("doneModal.title")}
         onClose={() => {
           setDoneOpen(false);
           setDoneTaskId(null);
@@ -845,15 +1873,25 @@ export default function App() {
       >
         {(() => {
           const t = state.tasks.find((x) => x.id === doneTaskId);
-          if (!t) return <div>Task not found.</div>;
+          if (!t) return <div>{tr("task.notFound")}</div>;
           return (
             <div style={{ display: "grid", gap: 12 }}>
               <div style={{ fontWeight: 650 }}>{t.name}</div>
               <div style={{ fontSize: 12, color: "#666" }}>
-                Current estimate: {Math.max(1, t.estMin || 15)} min. This will update based on what you enter.
+                {tr("doneModal.estimate", { estimate: estimateText(t) })}
               </div>
 
-              <Field label="How many minutes did it actually take?">
+              {members.length > 0 && (
+                <Field label={tr("doneModal.who")}>
+                  <Select
+                    value={doneBy}
+                    onChange={(e) => setDoneBy(e.target.value)}
+                    options={members.map((m) => ({ value: m.id, label: m.name }))}
+                  />
+                </Field>
+              )}
+
+              <Field label={tr("doneModal.minutes")}>
                 <NumberInput
                   value={actualMin}
                   min={1}
@@ -864,9 +1902,62 @@ export default function App() {
 
               <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
                 <SmallButton kind="primary" onClick={confirmDone}>
-                  Confirm Done
+                  {tr("doneModal.confirm")}
+                </SmallButton>
+                <SmallButton onClick={() => setDoneOpen(false)}>{tr("common.cancel")}</SmallButton>
+              </div>
+            </div>
+          );
+        })()}
+      </Modal>
+
+      {/* SKIP/SNOOZE MODAL */}
+      <Modal
+        open={deferOpen}
+        title={tr("deferModal.title")}
+        onClose={() => {
+          setDeferOpen(false);
+          setDeferTaskId(null);
+        }}
+      >
+        {(() => {
+          const t = state.tasks.find((x) => x.id === deferTaskId);
+          if (!t) return <div>{tr("task.notFound")}</div>;
+          return (
+            <div style={{ display: "grid", gap: 12 }}>
+              <div style={{ fontWeight: 650 }}>{t.name}</div>
+
+              <Field label={tr("deferModal.action")}>
+                <Select
+                  value={deferAction}
+                  onChange={(e) => setDeferAction(e.target.value)}
+                  options={["skip", "snooze", "not-needed"].map((value) => ({ value, label: tr(`deferModal.${value}`) }))}
+                />
+              </Field>
+
+              {deferAction === "snooze" && (
+                <Field label={tr("deferModal.days")}>
+                  <NumberInput value={deferDays} min={1} max={365} onChange={(e) => setDeferDays(e.target.value)} />
+                </Field>
+              )}
+
+              <Field label={tr("deferModal.reason")}>
+                <TextInput
+                  value={deferReason}
+                  onChange={(e) => setDeferReason(e.target.value)}
+                  placeholder={tr("deferModal.reasonPlaceholder")}
+                />
+              </Field>
+
+              <div style={{ fontSize: 12, color: "#666" }}>
+                {tr("deferModal.note")}
+              </div>
+
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                <SmallButton kind="primary" onClick={confirmDefer}>
+                  {tr("deferModal.confirm")}
                 </SmallButton>
-                <SmallButton onClick={() => setDoneOpen(false)}>Cancel</SmallButton>
+                <SmallButton onClick={() => setDeferOpen(false)}>{tr("common.cancel")}</SmallButton>
               </div>
             </div>
           );
@@ -876,7 +1967,7 @@ export default function App() {
       {/* EDIT/ADD MODAL */}
       <Modal
         open={editOpen}
-        title={editTaskId ? "Edit Task" : "Add Task"}
+        title={tr(editTaskId ? "editModal.editTitle" : "editModal.addTitle")}
         onClose={() => {
           setEditOpen(false);
           setEditTaskId(null);
@@ -884,6 +1975,9 @@ export default function App() {
       >
         <TaskEditor
           nowISO={nowISO}
+          ctx={scheduleCtx}
+          members={members}
+          rooms={rooms}
           task={editTaskId ? editTask : null}
           onSave={(t) => {
             upsertTask(t);
@@ -891,7 +1985,7 @@ export default function App() {
             setEditTaskId(null);
           }}
           onDelete={(id) => {
-            if (confirm("Delete this task?")) {
+            if (confirm(tr("editModal.confirmDelete"))) {
               deleteTask(id);
               setEditOpen(false);
               setEditTaskId(null);
@@ -902,51 +1996,335 @@ export default function App() {
 
       <div style={{ height: 20 }} />
       <div style={{ fontSize: 12, color: "#777" }}>
-        Tip: On iPhone (Safari) → Share → “Add to Home Screen”.
+        {tr("app.installTip")}
       </div>
     </div>
   );
 }
 
-function TaskEditor({ task, onSave, onDelete, nowISO }) {
+function TimerButtons({ timer, controls, task }) {
+  if (!timer) {
+    return <SmallButton onClick={() => controls.start(task)}>{tr("timer.start")}</SmallButton>;
+  }
+  return (
+    <>
+      {isRunning(timer) ? (
+        <SmallButton onClick={controls.pause}>{tr("timer.pause")}</SmallButton>
+      ) : (
+        <SmallButton onClick={controls.resume}>{tr("timer.resume")}</SmallButton>
+      )}
+      <SmallButton kind="primary" onClick={controls.stop} title={tr("timer.stopHint")}>
+        {tr("timer.stop")}
+      </SmallButton>
+    </>
+  );
+}
+
+function FrequencySuggestion({ suggestion, onAccept, onDismiss }) {
+  return (
+    <div
+      style={{
+        marginTop: 10,
+        padding: 10,
+        borderRadius: 10,
+        background: "#fff8e6",
+        border: "1px solid #f0e0b0",
+        display: "flex",
+        justifyContent: "space-between",
+        gap: 12,
+        flexWrap: "wrap",
+        alignItems: "center",
+      }}
+    >
+      <div style={{ fontSize: 13, maxWidth: 520 }}>
+        💡 <b>{tr("frequency.every", { count: suggestion.suggestedDays })}</b> {tr("frequency.mayFit")}{" "}
+        {frequencyReasonText(suggestion)}
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <SmallButton kind="primary" onClick={() => onAccept(suggestion)}>
+          {tr("frequency.use", { count: suggestion.suggestedDays })}
+        </SmallButton>
+        <SmallButton onClick={() => onDismiss(suggestion)}>{tr("frequency.dismiss")}</SmallButton>
+      </div>
+    </div>
+  );
+}
+
+// "Est 15–25 min", flagged while the task has too few timed completions for a range
+function EstimateLabel({ task }) {
+  const { known, samples } = estimateRange(task);
+  return (
+    <span style={{ fontSize: 12, color: "#555" }}>
+      {tr("estimate.label", { estimate: estimateText(task) })}
+      {!known && (
+        <span style={{ marginLeft: 6, color: "#8a5a00" }} title={tr("estimate.unknownHint", { count: MIN_SAMPLES })}>
+          {samples === 0 ? tr("estimate.noTimings") : tr("estimate.someTimings", { count: samples, needed: MIN_SAMPLES })}
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Importance, deadline and away badges; nothing for a plain task
+function TaskFlags({ task, deadline, nowISO }) {
+  const left = deadline ? daysBetweenISO(nowISO, deadline.deadlineISO) : null;
+  const hold = (task.awayPeriods ?? []).find((p) => p.endISO >= nowISO);
+  return (
+    <>
+      {hold && (
+        <span style={{ fontSize: 12, color: "#555" }}>
+          {tr(hold.startISO <= nowISO ? "flags.onHold" : "flags.paused", { period: awayPeriodText(hold) })}
+        </span>
+      )}
+      {task.resetAfterAway && (
+        <span style={{ fontSize: 12, color: "#555" }} title={tr("flags.resetsHint")}>
+          {tr("flags.resets")}
+        </span>
+      )}
+      {task.importance === "high" && <span style={{ fontSize: 12, color: "#b00020", fontWeight: 650 }}>{tr("flags.important")}</span>}
+      {task.importance === "low" && <span style={{ fontSize: 12, color: "#888" }}>{tr("flags.lowPriority")}</span>}
+      {deadline && (
+        <span
+          style={{ fontSize: 12, color: deadline.critical ? "#b00020" : "#555", fontWeight: deadline.critical ? 650 : 400 }}
+          title={deadline.critical ? tr("flags.deadlineCritical") : tr("flags.deadlineStartBy", { date: formatDate(deadline.startByISO) })}
+        >
+          ⏰{" "}
+          {left < 0
+            ? tr("flags.deadlineMissed", { date: formatDate(deadline.deadlineISO) })
+            : left === 0
+              ? tr("flags.deadlineToday")
+              : tr(deadline.critical ? "flags.deadlineDoNow" : "flags.deadline", { date: formatDate(deadline.deadlineISO) })}
+        </span>
+      )}
+    </>
+  );
+}
+
+function PlannedTaskCard({ task: t, nowISO, ctx, onDone, onLater, onEdit, deadline, timer, nowMs, timerControls, selected }) {
+  // selected: the keyboard cursor (j/k) is on this task
+  return (
+    <div id={`plan-task-${t.id}`} style={{ borderRadius: 12, outline: selected ? "2px solid #111" : "none", outlineOffset: 2 }}>
+      <Card>
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+          <div style={{ minWidth: 260 }}>
+            <div style={{ fontSize: 18, fontWeight: 650 }}>{t.name}</div>
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6 }}>
+              <span style={{ fontSize: 12, color: "#555" }}>{dueText(t, nowISO, ctx)}</span>
+              <span style={{ fontSize: 12, color: "#555" }}>{ruleText(taskRule(t))}</span>
+              <TaskFlags task={t} deadline={deadline} nowISO={nowISO} />
+              <EstimateLabel task={t} />
+              {roomOf(t) && <span style={{ fontSize: 12, color: "#555" }}>📍 {roomOf(t)}</span>}
+              {timer && (
+                <span style={{ fontSize: 12, color: "#111", fontWeight: 650 }}>
+                  ⏱ {formatElapsed(timerElapsedMs(timer, nowMs))}
+                </span>
+              )}
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+            <TimerButtons timer={timer} controls={timerControls} task={t} />
+            {!timer && (
+              <SmallButton kind="primary" onClick={() => onDone(t)}>
+                {tr("task.done")}
+              </SmallButton>
+            )}
+            <SmallButton onClick={() => onLater(t)} title={tr("task.laterHint")}>
+              {tr("task.later")}
+            </SmallButton>
+            <SmallButton onClick={() => onEdit(t.id)}>{tr("task.edit")}</SmallButton>
+          </div>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+// Editable copy of a task's rule; keeps inputs for every rule type so switching types is lossless
+function ruleDraftFrom(task) {
+  return {
+    days: task?.freqDays ?? 7,
+    weekdays: [1],
+    everyWeeks: 1,
+    nth: 1,
+    weekday: 6,
+    day: 1,
+    months: [3, 9],
+    ...(task ? taskRule(task) : { type: "interval" }),
+  };
+}
+
+// A new every-N-weeks rule counts its weeks from the week it was last done
+function anchorRule(rule, lastDoneISO) {
+  return rule.type === "weekly" && rule.everyWeeks > 1 && !rule.startISO ? { ...rule, startISO: lastDoneISO } : rule;
+}
+
+function ToggleChips({ labels, offset = 0, selected, onChange }) {
+  function toggle(v) {
+    onChange(selected.includes(v) ? selected.filter((x) => x !== v) : [...selected, v]);
+  }
+  return (
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+      {labels.map((label, i) => {
+        const on = selected.includes(i + offset);
+        return (
+          <button
+            key={label}
+            type="button"
+            onClick={() => toggle(i + offset)}
+            style={{
+              padding: "6px 10px",
+              borderRadius: 999,
+              border: "1px solid #ddd",
+              background: on ? "#111" : "#fff",
+              color: on ? "#fff" : "#111",
+              cursor: "pointer",
+            }}
+          >
+            {label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function RecurrenceFields({ draft, onChange }) {
+  const set = (patch) => onChange({ ...draft, ...patch });
+  const nthOptions = [1, 2, 3, 4, -1].map((value) => ({ value, label: tr(`recurrence.nth.${value}`) }));
+  const weekdays = weekdayLabels();
+  const weekdayOptions = weekdays.map((label, i) => ({ value: i, label }));
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      <Field label={tr("recurrence.repeats")}>
+        <Select
+          value={draft.type}
+          onChange={(e) => set({ type: e.target.value })}
+          options={["interval", "weekly", "monthlyNth", "monthlyDay", "yearly"].map((value) => ({
+            value,
+            label: tr(`recurrence.type.${value}`),
+          }))}
+        />
+      </Field>
+
+      {draft.type === "interval" && (
+        <Field label={tr("recurrence.frequency")}>
+          <NumberInput value={draft.days} min={1} max={3650} onChange={(e) => set({ days: e.target.value })} />
+        </Field>
+      )}
+
+      {draft.type === "weekly" && (
+        <>
+          <ToggleChips labels={weekdays} selected={draft.weekdays} onChange={(weekdays) => set({ weekdays })} />
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+            <SmallButton onClick={() => set({ weekdays: [1, 2, 3, 4, 5] })}>{tr("recurrence.weekdaysOnly")}</SmallButton>
+            <SmallButton onClick={() => set({ weekdays: [0, 6] })}>{tr("recurrence.weekends")}</SmallButton>
+          </div>
+          <Field label={tr("recurrence.everyWeeks")}>
+            <NumberInput value={draft.everyWeeks} min={1} max={52} onChange={(e) => set({ everyWeeks: e.target.value })} />
+          </Field>
+        </>
+      )}
+
+      {draft.type === "monthlyNth" && (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+          <Field label={tr("recurrence.which")}>
+            <Select value={draft.nth} onChange={(e) => set({ nth: Number(e.target.value) })} options={nthOptions} />
+          </Field>
+          <Field label={tr("recurrence.day")}>
+            <Select value={draft.weekday} onChange={(e) => set({ weekday: Number(e.target.value) })} options={weekdayOptions} />
+          </Field>
+        </div>
+      )}
+
+      {draft.type === "monthlyDay" && (
+        <Field label={tr("recurrence.dayOfMonthNote")}>
+          <NumberInput value={draft.day} min={1} max={31} onChange={(e) => set({ day: e.target.value })} />
+        </Field>
+      )}
+
+      {draft.type === "yearly" && (
+        <>
+          <ToggleChips labels={monthLabels()} offset={1} selected={draft.months} onChange={(months) => set({ months })} />
+          <Field label={tr("recurrence.dayOfMonth")}>
+            <NumberInput value={draft.day} min={1} max={31} onChange={(e) => set({ day: e.target.value })} />
+          </Field>
+        </>
+      )}
+    </div>
+  );
+}
+
+function TaskEditor({ task, onSave, onDelete, nowISO, ctx, members, rooms }) {
   const isEdit = !!task;
 
   const [name, setName] = useState(task?.name || "");
-  const [freqDays, setFreqDays] = useState(task?.freqDays ?? 7);
-  const [lastDoneISO, setLastDoneISO] = useState(task?.lastDoneISO || nowISO);
+  const [ruleDraft, setRuleDraft] = useState(() => ruleDraftFrom(task));
+  // Dates are edited as typed text in the user's format (see i18n parseDate)
+  const [lastDoneText, setLastDoneText] = useState(formatDate(task?.lastDoneISO || nowISO));
   const [estMin, setEstMin] = useState(task?.estMin ?? 15);
+  const [assigneeId, setAssigneeId] = useState(task?.assigneeId ?? "");
+  const [room, setRoom] = useState(task?.room ?? "");
+  const [tagsText, setTagsText] = useState((task?.tags ?? []).join(", "));
+  const [importance, setImportance] = useState(task?.importance ?? "normal");
+  const [deadline, setDeadline] = useState(task?.deadlineISO ? formatDate(task.deadlineISO) : "");
+  const [resetAfterAway, setResetAfterAway] = useState(!!task?.resetAfterAway);
+  const [awayPeriods, setAwayPeriods] = useState(task?.awayPeriods ?? []);
 
   useEffect(() => {
     if (!task) return;
     setName(task.name || "");
-    setFreqDays(task.freqDays ?? 7);
-    setLastDoneISO(task.lastDoneISO || nowISO);
+    setRuleDraft(ruleDraftFrom(task));
+    setLastDoneText(formatDate(task.lastDoneISO || nowISO));
     setEstMin(task.estMin ?? 15);
+    setAssigneeId(task.assigneeId ?? "");
+    setRoom(task.room ?? "");
+    setTagsText((task.tags ?? []).join(", "));
+    setImportance(task.importance ?? "normal");
+    setDeadline(task.deadlineISO ? formatDate(task.deadlineISO) : "");
+    setResetAfterAway(!!task.resetAfterAway);
+    setAwayPeriods(task.awayPeriods ?? []);
   }, [task, nowISO]);
 
-  const dueISO = useMemo(
-    () => addDaysISO(parseUSDateToISO(lastDoneISO) || lastDoneISO, Math.max(1, Number(freqDays) || 1)),
-    [lastDoneISO, freqDays]
-  );
+  const rule = useMemo(() => normalizeRule(ruleDraft), [ruleDraft]);
+  const dueISO = useMemo(() => {
+    const l = parseDate(lastDoneText);
+    if (!rule || !l) return null;
+    const draft = { recurrence: rule, lastDoneISO: l, resetAfterAway, awayPeriods };
+    return computeDueISO(draft, ctx);
+  }, [lastDoneText, rule, resetAfterAway, awayPeriods, ctx]);
 
   function save() {
     const n = name.trim();
-    if (!n) return alert("Please enter a task name.");
+    if (!n) return alert(tr("editor.nameRequired"));
 
-    const f = clampInt(freqDays, 1, 3650);
+    if (!rule) return alert(tr("editor.pickDay"));
 
-    const lRaw = String(lastDoneISO ?? "").trim();
-    const l = parseUSDateToISO(lRaw) || lRaw;
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(l)) return alert("Last done date must be YYYY-MM-DD or M/D/YYYY.");
+    const l = parseDate(lastDoneText);
+    if (!l) return alert(tr("editor.badLastDone", { formats: acceptedDateFormats() }));
 
     const e = clampInt(estMin, 1, 240);
 
+    const dRaw = String(deadline ?? "").trim();
+    const d = dRaw ? parseDate(dRaw) : null;
+    if (dRaw && !d) return alert(tr("editor.badDeadline", { formats: acceptedDateFormats() }));
+
     const out = {
+      ...task,
       id: task?.id || uid(),
       name: n,
-      freqDays: f,
+      // Interval rules live in freqDays; calendar rules keep freqDays as their typical gap
+      freqDays: rulePeriodDays(rule),
+      recurrence: rule.type === "interval" ? null : anchorRule(rule, l),
       lastDoneISO: l,
       estMin: e,
+      assigneeId: members.some((m) => m.id === assigneeId) ? assigneeId : null,
+      room: room.trim(),
+      tags: parseTags(tagsText),
+      importance: IMPORTANCE_LEVELS.includes(importance) ? importance : "normal",
+      deadlineISO: d,
+      resetAfterAway,
+      awayPeriods,
       history: task?.history || [],
     };
     onSave(out);
@@ -954,37 +2332,908 @@ function TaskEditor({ task, onSave, onDelete, nowISO }) {
 
   return (
     <div style={{ display: "grid", gap: 12 }}>
-      <Field label="Task name">
-        <TextInput value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Swiffer kitchen/pantry" />
+      <Field label={tr("editor.name")}>
+        <TextInput value={name} onChange={(e) => setName(e.target.value)} placeholder={tr("editor.namePlaceholder")} />
       </Field>
 
+      <RecurrenceFields draft={ruleDraft} onChange={setRuleDraft} />
+
+      <Field label={tr("editor.minutes")}>
+        <NumberInput value={estMin} min={1} max={240} onChange={(e) => setEstMin(e.target.value)} />
+      </Field>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+        <Field label={tr("editor.room")}>
+          <TextInput value={room} onChange={(e) => setRoom(e.target.value)} list="task-rooms" placeholder={tr("editor.roomPlaceholder")} />
+          <datalist id="task-rooms">
+            {rooms.map((r) => (
+              <option key={r} value={r} />
+            ))}
+          </datalist>
+        </Field>
+        <Field label={tr("editor.tags")}>
+          <TextInput value={tagsText} onChange={(e) => setTagsText(e.target.value)} placeholder={tr("editor.tagsPlaceholder")} />
+        </Field>
+      </div>
+
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
-        <Field label="Frequency (days)">
-          <NumberInput value={freqDays} min={1} max={3650} onChange={(e) => setFreqDays(e.target.value)} />
+        <Field label={tr("editor.importance")}>
+          <Select
+            value={importance}
+            onChange={(e) => setImportance(e.target.value)}
+            options={IMPORTANCE_LEVELS.map((x) => ({ value: x, label: tr(`importance.${x}`) }))}
+          />
         </Field>
-        <Field label="Estimated minutes">
-          <NumberInput value={estMin} min={1} max={240} onChange={(e) => setEstMin(e.target.value)} />
+        <Field label={tr("editor.deadline")}>
+          <TextInput
+            value={deadline}
+            onChange={(e) => setDeadline(e.target.value)}
+            placeholder={tr("editor.example", { example: formatDate("2026-11-24") })}
+          />
+          <DateNote text={deadline} />
         </Field>
       </div>
 
-      <Field label="Last done date (YYYY-MM-DD or M/D/YYYY)">
-        <TextInput value={lastDoneISO} onChange={(e) => setLastDoneISO(e.target.value)} />
+      {members.length > 0 && (
+        <Field label={tr("editor.assignee")}>
+          <Select
+            value={members.some((m) => m.id === assigneeId) ? assigneeId : ""}
+            onChange={(e) => setAssigneeId(e.target.value)}
+            options={[{ value: "", label: tr("editor.anyone") }, ...members.map((m) => ({ value: m.id, label: m.name }))]}
+          />
+        </Field>
+      )}
+
+      <Field label={tr("editor.lastDone", { dateFormat: dateFormatHint() })}>
+        <TextInput value={lastDoneText} onChange={(e) => setLastDoneText(e.target.value)} />
+        <DateNote text={lastDoneText} />
       </Field>
 
       <div style={{ fontSize: 12, color: "#666" }}>
-        Next due: <b>{dueISO}</b>
+        {tr("editor.nextDue")} <b>{dueISO ? formatDate(dueISO) : "—"}</b>
       </div>
 
+      <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14 }}>
+        <input type="checkbox" checked={resetAfterAway} onChange={(e) => setResetAfterAway(e.target.checked)} />
+        {tr("editor.resetAfterAway")}
+      </label>
+
+      <Field label={tr("editor.pause")}>
+        <AwayPeriodsEditor periods={awayPeriods} onChange={setAwayPeriods} nowISO={nowISO} />
+      </Field>
+
       <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
         <SmallButton kind="primary" onClick={save}>
-          Save
+          {tr("editor.save")}
         </SmallButton>
         {isEdit && (
           <SmallButton kind="danger" onClick={() => onDelete(task.id)}>
-            Delete
+            {tr("editor.delete")}
+          </SmallButton>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// "Read as Thu, Apr 3, 2025" under a typed date that could be day- or month-first
+function DateNote({ text }) {
+  const note = ambiguousDateNote(String(text ?? "").trim());
+  return note ? <div style={{ fontSize: 12, color: "#8a5a00", marginTop: 4 }}>{note}</div> : null;
+}
+
+// The week plan as one column per day; pick another day from a task's menu, or drag it
+// there (HTML5 drag and drop, which touch screens don't fire, so the menu is the way there)
+function WeekView({ tasks, settings, weekPlan, todayPlan, nowISO, onMove, onPlanMode, onReplan, onEdit }) {
+  const [dragging, setDragging] = useState(null); // { taskId, fromISO }
+  const [overISO, setOverISO] = useState(null);
+
+  const days = useMemo(() => weekSummary({ tasks, settings, weekPlan, todayPlan }), [tasks, settings, weekPlan, todayPlan]);
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const weekdays = weekdayLabels();
+  const dayLabel = (iso) => `${weekdays[weekdayOfISO(iso)]} ${formatShortDate(iso)}`;
+
+  if (settings.planMode !== "week" || !weekPlan) {
+    return (
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("week.title")}</div>
+        <div style={{ fontSize: 14, color: "#444", marginTop: 6 }}>{tr("week.intro")}</div>
+        <div style={{ marginTop: 10 }}>
+          <SmallButton kind="primary" onClick={() => onPlanMode("week")}>
+            {tr("week.start")}
+          </SmallButton>
+        </div>
+      </Card>
+    );
+  }
+
+  function drop(toISO) {
+    if (dragging) onMove(dragging.taskId, dragging.fromISO, toISO);
+    setDragging(null);
+    setOverISO(null);
+  }
+
+  function chip(task, fromISO) {
+    const done = fromISO && (task.lastDoneISO >= fromISO || (fromISO === todayPlan?.dateISO && todayPlan.completedIds.includes(task.id)));
+    return (
+      <div
+        key={task.id}
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.setData("text/plain", task.name);
+          e.dataTransfer.effectAllowed = "move";
+          setDragging({ taskId: task.id, fromISO });
+        }}
+        onDragEnd={() => {
+          setDragging(null);
+          setOverISO(null);
+        }}
+        style={{
+          border: "1px solid #e7e7e7",
+          borderRadius: 8,
+          padding: 6,
+          background: "#fff",
+          cursor: "grab",
+          opacity: dragging?.taskId === task.id && dragging.fromISO === fromISO ? 0.5 : 1,
+        }}
+      >
+        <button
+          onClick={() => onEdit(task.id)}
+          title={tr("task.edit")}
+          style={{
+            padding: 0,
+            border: "none",
+            background: "transparent",
+            textAlign: "left",
+            cursor: "pointer",
+            fontSize: 13,
+            fontWeight: 650,
+            textDecoration: done ? "line-through" : "none",
+            color: done ? "#777" : "#111",
+          }}
+        >
+          {task.name}
+        </button>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 4, marginTop: 4 }}>
+          <span style={{ fontSize: 11, color: "#555" }}>{tr("app.minutes", { min: plannedMinutes(task, settings.planConfidence) })}</span>
+          <select
+            value=""
+            aria-label={tr("week.moveTo", { name: task.name })}
+            onChange={(e) => e.target.value && onMove(task.id, fromISO, e.target.value)}
+            style={{ fontSize: 11, maxWidth: 90, border: "1px solid #ddd", borderRadius: 6, background: "#fff" }}
+          >
+            <option value="">{tr("week.move")}</option>
+            {days
+              .filter((d) => d.dateISO !== fromISO)
+              .map((d) => (
+                <option key={d.dateISO} value={d.dateISO}>
+                  {dayLabel(d.dateISO)}
+                </option>
+              ))}
+          </select>
+        </div>
+      </div>
+    );
+  }
+
+  const unplanned = weekPlan.unplannedIds.map((id) => byId.get(id)).filter(Boolean);
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card>
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+          <div>
+            <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("week.title")}</div>
+            <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>{tr("week.note")}</div>
+          </div>
+          <div style={{ display: "flex", gap: 10, alignItems: "flex-start", flexWrap: "wrap" }}>
+            <SmallButton onClick={onReplan} title={tr("week.replanHint")}>
+              {tr("week.replan")}
+            </SmallButton>
+            <SmallButton onClick={() => onPlanMode("day")}>{tr("week.stop")}</SmallButton>
+          </div>
+        </div>
+      </Card>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 8 }}>
+        {days.map((d) => (
+          <div
+            key={d.dateISO}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setOverISO(d.dateISO);
+            }}
+            onDragLeave={() => setOverISO((iso) => (iso === d.dateISO ? null : iso))}
+            onDrop={(e) => {
+              e.preventDefault();
+              drop(d.dateISO);
+            }}
+            style={{
+              border: overISO === d.dateISO ? "2px dashed #111" : "1px solid #e7e7e7",
+              borderRadius: 12,
+              padding: 8,
+              minHeight: 120,
+              display: "grid",
+              alignContent: "start",
+              gap: 6,
+              background: d.away ? "#eef4fb" : d.dateISO === nowISO ? "#f3f3f3" : "#fafafa",
+            }}
+          >
+            <div>
+              <div style={{ fontSize: 13, fontWeight: 700 }}>
+                {d.dateISO === nowISO ? tr("week.today", { day: dayLabel(d.dateISO) }) : dayLabel(d.dateISO)}
+              </div>
+              <div style={{ fontSize: 11, color: d.plannedMin > d.budgetMin ? "#b00020" : "#555" }}>
+                {d.away ? tr("calendar.away") : tr("calendar.planned", { planned: d.plannedMin, budget: d.budgetMin })}
+              </div>
+            </div>
+            {d.ids.map((id) => chip(byId.get(id), d.dateISO))}
+          </div>
+        ))}
+      </div>
+
+      <Card>
+        <div style={{ fontSize: 16, fontWeight: 700 }}>{tr("week.unplanned")}</div>
+        {unplanned.length === 0 ? (
+          <div style={{ fontSize: 14, color: "#555", marginTop: 8 }}>{tr("week.allPlanned")}</div>
+        ) : (
+          <>
+            <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>{tr("week.unplannedNote")}</div>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 6, marginTop: 10 }}>
+              {unplanned.map((t) => chip(t, null))}
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function CalendarView({ tasks, settings, todayPlan, nowISO, onEdit }) {
+  const [weeks, setWeeks] = useState(4);
+
+  const forecast = useMemo(
+    () => forecastWorkload(tasks, settings, nowISO, weeks * 7, { todayPlan }),
+    [tasks, settings, todayPlan, nowISO, weeks]
+  );
+
+  const overDays = forecast.days.filter((d) => d.overBudget);
+  const blanks = Array.from({ length: weekdayOfISO(nowISO) }, (_, i) => i);
+  const taskName = new Map(tasks.map((t) => [t.id, t.name]));
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card>
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+          <div>
+            <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("calendar.title")}</div>
+            <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+              {tr("calendar.note")}
+            </div>
+          </div>
+          <Select
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+            options={[4, 5, 6, 7, 8].map((n) => ({ value: n, label: tr("calendar.weeks", { count: n }) }))}
+          />
+        </div>
+        <div style={{ fontSize: 14, marginTop: 10 }}>
+          {overDays.length === 0 ? tr("calendar.fits") : tr("calendar.overDays", { count: overDays.length })}
+        </div>
+      </Card>
+
+      <Card>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", gap: 6 }}>
+          {weekdayLabels().map((label) => (
+            <div key={label} style={{ fontSize: 12, color: "#666", textAlign: "center" }}>
+              {label}
+            </div>
+          ))}
+          {blanks.map((i) => (
+            <div key={`blank-${i}`} />
+          ))}
+          {forecast.days.map((d) => (
+            <div
+              key={d.dateISO}
+              title={d.pickedIds.map((id) => taskName.get(id)).filter(Boolean).join("\n") || tr("calendar.nothingPlanned")}
+              style={{
+                border: "1px solid #e7e7e7",
+                borderRadius: 10,
+                padding: 6,
+                minHeight: 64,
+                background: d.overBudget ? "#fdecee" : d.away ? "#eef4fb" : d.dateISO === nowISO ? "#f3f3f3" : "#fff",
+              }}
+            >
+              <div style={{ fontSize: 12, fontWeight: 650 }}>{formatShortDate(d.dateISO)}</div>
+              <div style={{ fontSize: 12, color: "#333", marginTop: 4 }}>
+                {d.away ? tr("calendar.away") : tr("calendar.planned", { planned: d.plannedMin, budget: d.budgetMin })}
+              </div>
+              {d.overBudget && (
+                <div style={{ fontSize: 11, color: "#b00020", marginTop: 2 }}>{tr("calendar.demand", { min: d.demandMin })}</div>
+              )}
+            </div>
+          ))}
+        </div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 10 }}>
+          {tr("calendar.legend")}
+        </div>
+      </Card>
+
+      <Card>
+        <div style={{ fontSize: 16, fontWeight: 700 }}>{tr("calendar.slipping")}</div>
+        {forecast.slipping.length === 0 ? (
+          <div style={{ fontSize: 14, color: "#555", marginTop: 8 }}>{tr("calendar.noSlipping")}</div>
+        ) : (
+          <div style={{ display: "grid", gap: 8, marginTop: 10 }}>
+            {forecast.slipping.map((s) => (
+              <div key={s.taskId} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+                <div>
+                  <div style={{ fontSize: 14, fontWeight: 650 }}>{s.name}</div>
+                  <div style={{ fontSize: 12, color: "#555" }}>
+                    {tr("calendar.passedOver", { count: s.daysSkipped, days: s.worstOverdueDays })}
+                  </div>
+                </div>
+                <SmallButton onClick={() => onEdit(s.taskId)}>{tr("task.edit")}</SmallButton>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function importChangeValue(field, value) {
+  if (!value) return "—";
+  return field === "lastDoneISO" ? formatDate(value) : String(value);
+}
+
+function ImportPreview({ preview, onApply, onCancel }) {
+  const { diff, rejected, ambiguousLines = [] } = preview;
+  const actionable = diff.filter((d) => d.status !== "unchanged");
+  const unchanged = diff.filter((d) => d.status === "unchanged");
+  const [selected, setSelected] = useState(() => new Set(actionable.map((d) => d.lineNo)));
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  function toggle(lineNo) {
+    const next = new Set(selected);
+    if (next.has(lineNo)) next.delete(lineNo);
+    else next.add(lineNo);
+    setSelected(next);
+  }
+
+  const section = (status, title) => {
+    const rows = diff.filter((d) => d.status === status);
+    if (rows.length === 0) return null;
+    return (
+      <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>
+          {title} ({rows.length})
+        </div>
+        {rows.map((d) => (
+          <label key={d.lineNo} style={{ display: "flex", gap: 10, alignItems: "flex-start", fontSize: 14 }}>
+            <input type="checkbox" checked={selected.has(d.lineNo)} onChange={() => toggle(d.lineNo)} />
+            <span>
+              <b>{d.task.name}</b> <span style={{ fontSize: 12, color: "#666" }}>{tr("importPreview.line", { line: d.lineNo })}</span>
+              {d.changes.map((c) => (
+                <span key={c.field} style={{ display: "block", fontSize: 12, color: "#555" }}>
+                  {tr(`importPreview.field.${c.field}`)}: {importChangeValue(c.field, c.from)} → {importChangeValue(c.field, c.to)}
+                </span>
+              ))}
+              {ambiguousLines.includes(d.lineNo) && (
+                <span style={{ display: "block", fontSize: 12, color: "#8a5a00" }}>
+                  {tr("importPreview.ambiguousDate", { date: formatDateLong(d.task.lastDoneISO) })}
+                </span>
+              )}
+            </span>
+          </label>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("importPreview.title")}</div>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+        {tr("importPreview.note")}
+      </div>
+
+      {section("added", tr("importPreview.added"))}
+      {section("changed", tr("importPreview.changed"))}
+
+      {unchanged.length > 0 && (
+        <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+            <div>
+              <div style={{ fontSize: 14, fontWeight: 700 }}>
+                {tr("importPreview.unchanged")} ({unchanged.length})
+              </div>
+              <div style={{ fontSize: 12, color: "#666" }}>{tr("importPreview.unchangedNote", { count: unchanged.length })}</div>
+            </div>
+            <SmallButton onClick={() => setShowUnchanged(!showUnchanged)}>
+              {showUnchanged ? tr("importPreview.hide") : tr("importPreview.show")}
+            </SmallButton>
+          </div>
+          {showUnchanged &&
+            unchanged.map((d) => (
+              <div key={d.lineNo} style={{ fontSize: 14 }}>
+                <b>{d.task.name}</b> <span style={{ fontSize: 12, color: "#666" }}>{tr("importPreview.line", { line: d.lineNo })}</span>
+              </div>
+            ))}
+        </div>
+      )}
+
+      {rejected.length > 0 && (
+        <div style={{ display: "grid", gap: 6, marginTop: 12 }}>
+          <div style={{ fontSize: 14, fontWeight: 700, color: "#b00020" }}>{tr("importPreview.rejected", { count: rejected.length })}</div>
+          {rejected.map((r) => (
+            <div key={r.lineNo} style={{ fontSize: 12 }}>
+              <span style={{ color: "#666" }}>{tr("importPreview.lineLabel", { line: r.lineNo })}</span> <code>{r.line}</code>
+              <div style={{ color: "#b00020" }}>{importReasonText(r.reason)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 10, marginTop: 14, flexWrap: "wrap" }}>
+        <SmallButton
+          kind="primary"
+          disabled={selected.size === 0}
+          onClick={() => onApply(actionable.filter((d) => selected.has(d.lineNo)))}
+        >
+          {tr("importPreview.apply", { count: selected.size })}
+        </SmallButton>
+        <SmallButton onClick={onCancel}>{tr("common.cancel")}</SmallButton>
+      </div>
+    </Card>
+  );
+}
+
+// Repaired/rejected records from schema.js validateState
+function DataReport({ report }) {
+  const { repaired, rejected } = report;
+  return (
+    <div style={{ display: "grid", gap: 12, maxHeight: "60vh", overflowY: "auto" }}>
+      {rejected.length > 0 && (
+        <div style={{ display: "grid", gap: 6 }}>
+          <div style={{ fontSize: 14, fontWeight: 700, color: "#b00020" }}>{tr("dataReport.leftOut", { count: rejected.length })}</div>
+          {rejected.map((r, i) => (
+            <div key={i} style={{ fontSize: 13 }}>
+              <b>{dataRecordText(r.record)}</b>
+              <div style={{ color: "#b00020" }}>{dataIssueText(r.reason)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      {repaired.length > 0 && (
+        <div style={{ display: "grid", gap: 6 }}>
+          <div style={{ fontSize: 14, fontWeight: 700 }}>{tr("dataReport.repaired", { count: repaired.length })}</div>
+          {repaired.map((r, i) => (
+            <div key={i} style={{ fontSize: 13 }}>
+              <b>{dataRecordText(r.record)}</b>: <span style={{ color: "#555" }}>{dataIssueText(r.issue)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ fontSize: 12, color: "#666" }}>
+        {tr("dataReport.note")}
+      </div>
+    </div>
+  );
+}
+
+function syncStatusText(sync) {
+  const { config, status } = sync;
+  const waiting = pendingChanges(config);
+  const queued = waiting > 0 ? ` ${tr("sync.waiting", { count: waiting })}` : "";
+  const last = config.lastSyncAtISO ? ` ${tr("sync.lastSynced", { time: formatDateTime(Date.parse(config.lastSyncAtISO)) })}` : "";
+  switch (status.kind) {
+    case "syncing":
+      return tr("sync.syncing");
+    case "offline":
+      return `${tr("sync.offline")}${queued}${last}`;
+    case "error":
+      return `${tr("sync.failed", { error: status.message })}${queued}`;
+    default:
+      return `${last.trim() || tr("sync.never")}${queued}`;
+  }
+}
+
+function RemindersPanel({ reminders }) {
+  const { prefs, setPrefs, permission, enable, upcoming } = reminders;
+  const set = (patch) => setPrefs((p) => ({ ...p, ...patch }));
+  const on = prefs.enabled && permission === "granted";
+
+  return (
+    <Card>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("reminders.title")}</div>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+        {tr("reminders.note")}
+      </div>
+
+      {permission === "unsupported" ? (
+        <div style={{ fontSize: 14, color: "#555", marginTop: 12 }}>{tr("reminders.unsupported")}</div>
+      ) : permission === "denied" ? (
+        <div style={{ fontSize: 14, color: "#b00020", marginTop: 12 }}>
+          {tr("reminders.blocked")}
+        </div>
+      ) : !on ? (
+        <div style={{ marginTop: 12 }}>
+          <SmallButton kind="primary" onClick={enable}>
+            {tr("reminders.turnOn")}
+          </SmallButton>
+        </div>
+      ) : (
+        <div style={{ display: "grid", gap: 10, marginTop: 12 }}>
+          {["planReady", "openTasks", "overdueImportant"].map((key) => (
+            <label key={key} style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14 }}>
+              <input type="checkbox" checked={prefs[key]} onChange={(e) => set({ [key]: e.target.checked })} />
+              {tr(`reminders.kind.${key}`)}
+            </label>
+          ))}
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+            <Field label={tr("reminders.morning")}>
+              <TextInput type="time" value={prefs.morningTime} onChange={(e) => e.target.value && set({ morningTime: e.target.value })} />
+            </Field>
+            <Field label={tr("reminders.evening")}>
+              <TextInput type="time" value={prefs.eveningTime} onChange={(e) => e.target.value && set({ eveningTime: e.target.value })} />
+            </Field>
+            <Field label={tr("reminders.quietFrom")}>
+              <TextInput type="time" value={prefs.quietStart} onChange={(e) => e.target.value && set({ quietStart: e.target.value })} />
+            </Field>
+            <Field label={tr("reminders.quietUntil")}>
+              <TextInput type="time" value={prefs.quietEnd} onChange={(e) => e.target.value && set({ quietEnd: e.target.value })} />
+            </Field>
+          </div>
+          <div style={{ fontSize: 12, color: "#666" }}>
+            {tr("reminders.quietNote")}
+            {upcoming.length > 0 &&
+              ` ${tr("reminders.next", { title: upcoming[0].title, time: formatWeekdayTime(upcoming[0].atMs) })}`}
+          </div>
+          <div>
+            <SmallButton onClick={() => set({ enabled: false })}>{tr("reminders.turnOff")}</SmallButton>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function SyncPanel({ sync }) {
+  const { config, setConfig, status, syncNow } = sync;
+  const [url, setUrl] = useState(config.url);
+  const [householdId, setHouseholdId] = useState(config.householdId);
+  const [token, setToken] = useState(config.token);
+  const enabled = syncEnabled(config);
+
+  function save() {
+    if (!url.trim() || !householdId.trim()) return alert(tr("sync.needServer"));
+    setConfig((c) => ({ ...c, url: url.trim(), householdId: householdId.trim(), token: token.trim() }));
+  }
+
+  function turnOff() {
+    setConfig((c) => ({ ...c, url: "", householdId: "", token: "" }));
+    setUrl("");
+    setHouseholdId("");
+    setToken("");
+  }
+
+  return (
+    <Card>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("sync.title")}</div>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+        {tr("sync.note")} <code>npm run sync-server</code>
+      </div>
+
+      <div style={{ display: "grid", gap: 10, marginTop: 12 }}>
+        <Field label={tr("sync.server")}>
+          <TextInput value={url} onChange={(e) => setUrl(e.target.value)} placeholder="https://sync.example.com" />
+        </Field>
+        <Field label={tr("sync.household")}>
+          <TextInput value={householdId} onChange={(e) => setHouseholdId(e.target.value)} placeholder="smith-home" />
+        </Field>
+        <Field label={tr("sync.token")}>
+          <TextInput type="password" value={token} onChange={(e) => setToken(e.target.value)} />
+        </Field>
+      </div>
+
+      <div style={{ display: "flex", gap: 10, marginTop: 12, flexWrap: "wrap", alignItems: "center" }}>
+        <SmallButton kind="primary" onClick={save}>
+          {tr(enabled ? "sync.save" : "sync.turnOn")}
+        </SmallButton>
+        {enabled && (
+          <SmallButton onClick={syncNow} disabled={status.kind === "syncing"}>
+            {tr("sync.now")}
           </SmallButton>
         )}
+        {enabled && <SmallButton onClick={turnOff}>{tr("sync.turnOff")}</SmallButton>}
+      </div>
+      {enabled && (
+        <div style={{ fontSize: 12, color: status.kind === "error" ? "#b00020" : "#666", marginTop: 8 }}>
+          {syncStatusText(sync)}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Date ranges with a Remove button each, plus a row to add one
+function AwayPeriodsEditor({ periods, onChange, nowISO, withLabel = false }) {
+  const [startText, setStartText] = useState(formatDate(nowISO));
+  const [endText, setEndText] = useState(formatDate(addDaysISO(nowISO, 6)));
+  const [label, setLabel] = useState("");
+
+  function add() {
+    const start = parseDate(startText);
+    const end = parseDate(endText);
+    if (!start || !end) return alert(tr("away.badDates", { formats: acceptedDateFormats() }));
+    if (end < start) return alert(tr("away.endBeforeStart"));
+    onChange(normalizeAwayPeriods([...periods, newAwayPeriod(start, end, label)]));
+    setLabel("");
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {periods.map((p) => (
+        <div key={p.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <span style={{ fontSize: 14, color: p.endISO < nowISO ? "#888" : "#111" }}>{awayPeriodText(p)}</span>
+          <SmallButton onClick={() => onChange(periods.filter((x) => x.id !== p.id))}>{tr("away.remove")}</SmallButton>
+        </div>
+      ))}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: withLabel ? "1fr 1fr 1fr auto" : "1fr 1fr auto",
+          gap: 12,
+          alignItems: "end",
+        }}
+      >
+        <Field label={tr("away.firstDay")}>
+          <TextInput value={startText} onChange={(e) => setStartText(e.target.value)} />
+        </Field>
+        <Field label={tr("away.lastDay")}>
+          <TextInput value={endText} onChange={(e) => setEndText(e.target.value)} />
+        </Field>
+        {withLabel && (
+          <Field label={tr("away.note")}>
+            <TextInput value={label} onChange={(e) => setLabel(e.target.value)} placeholder={tr("away.notePlaceholder")} />
+          </Field>
+        )}
+        <SmallButton kind="primary" onClick={add}>
+          {tr("away.add")}
+        </SmallButton>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+function WeekdayBudgetInputs({ budgets, onChange }) {
+  function setWeekday(i, value) {
+    const weekday = budgets.weekday.slice();
+    weekday[i] = clampInt(value, 0, MAX_BUDGET_MIN);
+    onChange({ ...budgets, weekday });
+  }
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(100px, 1fr))", gap: 12 }}>
+      {weekdayLabels().map((label, i) => (
+        <Field key={label} label={label}>
+          <NumberInput value={budgets.weekday[i]} min={0} max={MAX_BUDGET_MIN} onChange={(e) => setWeekday(i, e.target.value)} />
+        </Field>
+      ))}
+    </div>
+  );
+}
+
+function SettingsPanel({ settings, onChange, nowISO }) {
+  const { budgets, members } = settings;
+  const [overrideText, setOverrideText] = useState(formatDate(nowISO));
+  const [overrideMin, setOverrideMin] = useState("0");
+  const [memberName, setMemberName] = useState("");
+
+  function setBudgets(next) {
+    onChange({ ...settings, budgets: { ...budgets, ...next } });
+  }
+
+  function setMembers(next) {
+    onChange({ ...settings, members: next });
+  }
+
+  function addMember() {
+    const n = memberName.trim();
+    if (!n) return alert(tr("household.nameRequired"));
+    setMembers([...members, newMember(n)]);
+    setMemberName("");
+  }
+
+  function updateMember(id, patch) {
+    setMembers(members.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+  }
+
+  function removeMember(id) {
+    if (!confirm(tr("household.confirmRemove"))) return;
+    setMembers(members.filter((m) => m.id !== id));
+  }
+
+  function addOverride() {
+    const iso = parseDate(overrideText);
+    if (!iso) return alert(tr("overrides.badDate", { formats: acceptedDateFormats() }));
+    setBudgets({ overrides: { ...budgets.overrides, [iso]: clampInt(overrideMin, 0, MAX_BUDGET_MIN) } });
+  }
+
+  function removeOverride(iso) {
+    const overrides = { ...budgets.overrides };
+    delete overrides[iso];
+    setBudgets({ overrides });
+  }
+
+  const overrideList = Object.entries(budgets.overrides).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("budget.title")}</div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+          {tr("budget.note")}
+          {members.length > 0 && ` ${tr("budget.membersNote")}`}
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <WeekdayBudgetInputs budgets={budgets} onChange={(b) => setBudgets(b)} />
+        </div>
+      </Card>
+
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("household.title")}</div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+          {tr("household.note")}
+        </div>
+        {members.map((m) => (
+          <div key={m.id} style={{ display: "grid", gap: 10, marginTop: 14, paddingTop: 12, borderTop: "1px solid #eee" }}>
+            <div style={{ display: "flex", gap: 10, alignItems: "end" }}>
+              <div style={{ flex: 1 }}>
+                <Field label={tr("household.name")}>
+                  <TextInput value={m.name} onChange={(e) => updateMember(m.id, { name: e.target.value })} />
+                </Field>
+              </div>
+              <SmallButton kind="danger" onClick={() => removeMember(m.id)}>
+                {tr("household.remove")}
+              </SmallButton>
+            </div>
+            <WeekdayBudgetInputs budgets={m.budgets} onChange={(b) => updateMember(m.id, { budgets: b })} />
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 10, marginTop: 14, alignItems: "end" }}>
+          <div style={{ flex: 1 }}>
+            <Field label={tr("household.newPerson")}>
+              <TextInput value={memberName} onChange={(e) => setMemberName(e.target.value)} placeholder={tr("household.name")} />
+            </Field>
+          </div>
+          <SmallButton kind="primary" onClick={addMember}>
+            {tr("household.add")}
+          </SmallButton>
+        </div>
+      </Card>
+
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("overrides.title")}</div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+          {tr("overrides.note")}
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr auto", gap: 12, marginTop: 12, alignItems: "end" }}>
+          <Field label={tr("overrides.date", { dateFormat: dateFormatHint() })}>
+            <TextInput value={overrideText} onChange={(e) => setOverrideText(e.target.value)} />
+            <DateNote text={overrideText} />
+          </Field>
+          <Field label={tr("overrides.minutes")}>
+            <NumberInput value={overrideMin} min={0} max={MAX_BUDGET_MIN} onChange={(e) => setOverrideMin(e.target.value)} />
+          </Field>
+          <SmallButton kind="primary" onClick={addOverride}>
+            {tr("away.add")}
+          </SmallButton>
+        </div>
+        {overrideList.length > 0 && (
+          <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+            {overrideList.map(([iso, min]) => (
+              <div key={iso} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+                <span style={{ fontSize: 14 }}>
+                  {formatDate(iso)} ({weekdayLabels()[weekdayOfISO(iso)]}): <b>{tr("app.minutes", { min })}</b>
+                </span>
+                <SmallButton onClick={() => removeOverride(iso)}>{tr("away.remove")}</SmallButton>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("away.title")}</div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+          {tr("away.settingsNote")}
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <AwayPeriodsEditor
+            periods={settings.awayPeriods}
+            onChange={(awayPeriods) => onChange({ ...settings, awayPeriods })}
+            nowISO={nowISO}
+            withLabel
+          />
+        </div>
+      </Card>
+
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("zones.title")}</div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+          {tr("zones.note")}
+        </div>
+        <div style={{ display: "flex", gap: 12, marginTop: 12, flexWrap: "wrap" }}>
+          <Select
+            value={settings.zoneMode}
+            onChange={(e) => onChange({ ...settings, zoneMode: e.target.value })}
+            options={["off", "group", "focus"].map((value) => ({ value, label: tr(`zones.mode.${value}`) }))}
+          />
+          {settings.zoneMode === "focus" && (
+            <Select
+              value={settings.zoneMaxRooms}
+              onChange={(e) => onChange({ ...settings, zoneMaxRooms: Number(e.target.value) })}
+              options={[1, 2].map((value) => ({ value, label: tr("zones.rooms", { count: value }) }))}
+            />
+          )}
+        </div>
+      </Card>
+
+      <Card>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("planner.title")}</div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+          {tr("planner.note")}
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <Select
+            value={settings.planStrategy}
+            onChange={(e) => onChange({ ...settings, planStrategy: e.target.value })}
+            options={["optimal", "greedy"].map((value) => ({ value, label: tr(`planner.strategy.${value}`) }))}
+          />
+        </div>
+        <div style={{ fontSize: 12, color: "#666", marginTop: 12 }}>
+          {tr("planner.confidenceNote")}
+        </div>
+        <div style={{ marginTop: 8 }}>
+          <Select
+            value={settings.planConfidence}
+            onChange={(e) => onChange({ ...settings, planConfidence: Number(e.target.value) })}
+            options={CONFIDENCE_LEVELS.map((c) => ({
+              value: c,
+              label: c === 50 ? tr("planner.typical") : tr("planner.confidence", { confidence: c }),
+            }))}
+          />
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+// Per device, outside the synced settings (see i18n/index.js)
+function LocalePanel({ prefs, onChange }) {
+  return (
+    <Card>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>{tr("locale.title")}</div>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+        {tr("locale.note")}
+      </div>
+      <div style={{ display: "grid", gap: 10, marginTop: 12 }}>
+        {LANGUAGES.length > 1 && (
+          <Field label={tr("locale.language")}>
+            <Select value={prefs.language} onChange={(e) => onChange({ ...prefs, language: e.target.value })} options={LANGUAGES} />
+          </Field>
+        )}
+        <Field label={tr("locale.dateFormat")}>
+          <Select
+            value={prefs.dateFormat}
+            onChange={(e) => onChange({ ...prefs, dateFormat: e.target.value })}
+            options={DATE_FORMATS.map((f) => ({ value: f, label: dateFormatLabel(f) }))}
+          />
+        </Field>
+      </div>
+    </Card>
+  );
+}
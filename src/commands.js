@@ -0,0 +1,86 @@
+/**
+ * Command palette search and keyboard-shortcut helpers.
+ *
+ * A command is { id, label, hint?, keywords?, run }. Labels read like what
+ * you'd type: "Done: Vacuum", "Go to Backup", "Regenerate today’s plan".
+ * Matching is fuzzy: the query's letters must appear in order, and matches at
+ * word starts or in a row score higher, so "dn vac" finds "Done: Vacuum".
+ */
+
+function isWordStart(text, i) {
+  return i === 0 || !/[\p{L}\p{N}]/u.test(text[i - 1]);
+}
+
+/**
+ * { score, positions } if every non-space character of query appears in text
+ * in order (ignoring case), else null. positions index the matched characters.
+ */
+export function fuzzyMatch(query, text) {
+  const q = String(query ?? "").toLowerCase().replace(/\s+/g, "");
+  const lower = String(text ?? "").toLowerCase();
+  if (!q) return { score: 0, positions: [] };
+
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    // Prefer the next word start that has this letter, else the next occurrence
+    let at = -1;
+    for (let i = lower.indexOf(ch, from); i !== -1; i = lower.indexOf(ch, i + 1)) {
+      if (isWordStart(text, i) || i === positions[positions.length - 1] + 1) {
+        at = i;
+        break;
+      }
+      if (at === -1) at = i;
+    }
+    if (at === -1) return null;
+
+    const prev = positions[positions.length - 1];
+    score += 1;
+    if (isWordStart(text, at)) score += 3;
+    if (prev !== undefined && at === prev + 1) score += 2;
+    if (prev !== undefined) score -= Math.min(3, (at - prev - 1) * 0.1);
+    positions.push(at);
+    from = at + 1;
+  }
+  return { score: score - lower.length * 0.01, positions };
+}
+
+/**
+ * Commands matching query, best first, each with its label's match positions.
+ * An empty query keeps the given order.
+ */
+export function searchCommands(commands, query, limit = 30) {
+  const results = [];
+  for (const command of commands) {
+    const match = fuzzyMatch(query, command.label) ?? (command.keywords && fuzzyMatch(query, `${command.label} ${command.keywords}`));
+    if (!match) continue;
+    // Keyword-only matches rank below label matches and highlight nothing
+    const positions = match.positions.filter((i) => i < command.label.length);
+    const score = positions.length === match.positions.length ? match.score : match.score - 5;
+    results.push({ command, score, positions });
+  }
+  if (String(query ?? "").trim()) results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit);
+}
+
+// Keys typed into a field belong to the field, not to shortcuts
+export function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  if (tag === "TEXTAREA" || tag === "SELECT") return true;
+  if (tag !== "INPUT") return false;
+  return !["button", "checkbox", "radio", "submit", "reset"].includes(el.type);
+}
+
+// Ctrl-K, or Cmd-K on a Mac
+export function isPaletteShortcut(e) {
+  return (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "k";
+}
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export function focusableIn(root) {
+  return [...root.querySelectorAll(FOCUSABLE)].filter((el) => el.getClientRects().length > 0);
+}
@@ -0,0 +1,117 @@
+import { uid } from "./util.js";
+
+/**
+ * Audit log + undo/redo.
+ *
+ * state.log  append-only [{ id, atISO, type, label }]; persisted, never rewound;
+ *            only the latest MAX_LOG_ENTRIES are saved
+ * state.undo { past: [], future: [] } of { entry, data } snapshots; memory only
+ *
+ * A snapshot is everything in state except the log, the undo stacks and the
+ * running timer, so undo never rewrites history or stops a timer.
+ */
+
+const NOT_SNAPSHOTTED = ["log", "undo", "timer"];
+const MAX_UNDO = 50;
+export const MAX_LOG_ENTRIES = 1000;
+const COALESCE_MS = 10_000; // repeated edits of the same thing (typing in Settings) form one step
+
+export function emptyUndo() {
+  return { past: [], future: [] };
+}
+
+function snapshotOf(state) {
+  const data = { ...state };
+  for (const k of NOT_SNAPSHOTTED) delete data[k];
+  return data;
+}
+
+function logEntry(type, label) {
+  return { id: uid(), atISO: new Date().toISOString(), type, label };
+}
+
+/**
+ * Record `next` as the result of a user action on `prev`.
+ * The log always continues from prev.log, so replacing the whole state
+ * (restore, reset) still keeps the audit trail.
+ */
+export function recordAction(prev, next, type, label) {
+  const log = prev.log ?? [];
+  const undo = prev.undo ?? emptyUndo();
+  const last = log[log.length - 1];
+  const lastStep = undo.past[undo.past.length - 1];
+
+  const coalesce =
+    last &&
+    lastStep?.entry.id === last.id &&
+    last.type === type &&
+    last.label === label &&
+    Date.now() - Date.parse(last.atISO) < COALESCE_MS;
+  if (coalesce) return { ...next, log, undo: { ...undo, future: [] } };
+
+  const entry = logEntry(type, label);
+  return {
+    ...next,
+    log: [...log, entry],
+    undo: {
+      past: [...undo.past, { entry, data: snapshotOf(prev) }].slice(-MAX_UNDO),
+      future: [],
+    },
+  };
+}
+
+export function canUndo(state) {
+  return (state.undo?.past.length ?? 0) > 0;
+}
+
+export function canRedo(state) {
+  return (state.undo?.future.length ?? 0) > 0;
+}
+
+export function undoAction(state) {
+  if (!canUndo(state)) return state;
+  const past = state.undo.past.slice();
+  const step = past.pop();
+  return {
+    ...state,
+    ...step.data,
+    log: [...(state.log ?? []), logEntry("undo", `Undo: ${step.entry.label}`)],
+    undo: { past, future: [...state.undo.future, { entry: step.entry, data: snapshotOf(state) }] },
+  };
+}
+
+export function redoAction(state) {
+  if (!canRedo(state)) return state;
+  const future = state.undo.future.slice();
+  const step = future.pop();
+  return {
+    ...state,
+    ...step.data,
+    log: [...(state.log ?? []), logEntry("redo", `Redo: ${step.entry.label}`)],
+    undo: { past: [...state.undo.past, { entry: step.entry, data: snapshotOf(state) }], future },
+  };
+}
+
+// The newest MAX_LOG_ENTRIES entries, oldest first
+export function trimLog(log = []) {
+  return log.length > MAX_LOG_ENTRIES ? log.slice(-MAX_LOG_ENTRIES) : log;
+}
+
+// Another tab saved a newer revision: it replaces this tab's state whole. This
+// tab's undo steps were taken before it, so undoing them would revert that tab.
+export function adoptSavedState(stored) {
+  return { ...stored, undo: emptyUndo() };
+}
+
+// A sync brought in other devices' changes. Undo restores whole snapshots, so
+// a step taken before the merge would wipe them; undo starts over from here.
+export function adoptMergedState(prev, merged) {
+  return merged === prev ? prev : { ...merged, undo: emptyUndo() };
+}
+
+// What goes to storage and backups: the undo stacks stay in memory, the log is trimmed
+export function persistable(state) {
+  const out = { ...state, log: trimLog(state.log) };
+  delete out.undo;
+  return out;
+}
@@ -0,0 +1,115 @@
+import { addDaysISO, daysBetweenISO, isValidISODate } from "./dates.js";
+import { uid } from "./util.js";
+
+/**
+ * Away periods: date ranges when nobody is home (settings.awayPeriods) or a
+ * single task is on hold (task.awayPeriods). Both are lists of
+ * { id, startISO, endISO, label? }, inclusive at both ends.
+ *
+ * Away days don't count toward a task being overdue: its due date moves back
+ * by the away days that fall inside its cycle. Tasks marked resetAfterAway
+ * (water the plants, take out the trash) don't wait that long and don't pile
+ * up either: if they came due during the absence they are simply due again
+ * on the day you're back.
+ *
+ * The scheduling functions in planner.js take a ctx of { awayPeriods } with
+ * the household periods; see scheduleContext() in settings.js.
+ */
+
+export function newAwayPeriod(startISO, endISO, label = "") {
+  const out = { id: uid(), startISO, endISO };
+  if (label.trim()) out.label = label.trim();
+  return out;
+}
+
+// Drop unreadable ranges, swap reversed ones, oldest first
+export function normalizeAwayPeriods(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((p) => p && isValidISODate(p.startISO) && isValidISODate(p.endISO))
+    .map((p) => {
+      const [startISO, endISO] = p.startISO <= p.endISO ? [p.startISO, p.endISO] : [p.endISO, p.startISO];
+      const out = { id: typeof p.id === "string" && p.id ? p.id : uid(), startISO, endISO };
+      if (typeof p.label === "string" && p.label.trim()) out.label = p.label.trim();
+      return out;
+    })
+    .sort((a, b) => a.startISO.localeCompare(b.startISO));
+}
+
+// Household periods plus the task's own
+export function awayPeriodsFor(task, ctx) {
+  const own = Array.isArray(task.awayPeriods) ? task.awayPeriods : [];
+  const household = ctx?.awayPeriods ?? [];
+  return own.length === 0 ? household : [...household, ...own];
+}
+
+export function awayPeriodOn(periods, iso) {
+  return periods.find((p) => p.startISO <= iso && iso <= p.endISO) ?? null;
+}
+
+// Away days d with fromISO < d <= toISO (0 when toISO isn't after fromISO)
+export function awayDaysBetween(periods, fromISO, toISO) {
+  if (toISO <= fromISO) return 0;
+  const first = addDaysISO(fromISO, 1);
+  const clipped = periods
+    .map((p) => [p.startISO > first ? p.startISO : first, p.endISO < toISO ? p.endISO : toISO])
+    .filter(([start, end]) => start <= end)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  let total = 0;
+  let covered = fromISO; // last day already counted
+  for (const [start, end] of clipped) {
+    if (end <= covered) continue;
+    const from = start > covered ? start : addDaysISO(covered, 1);
+    total += daysBetweenISO(from, end) + 1;
+    covered = end;
+  }
+  return total;
+}
+
+// The day `days` days after fromISO, counting only days at home
+function addDaysAtHome(periods, fromISO, days) {
+  let d = fromISO;
+  for (let left = days; left > 0; ) {
+    d = addDaysISO(d, 1);
+    const p = awayPeriodOn(periods, d);
+    if (p) d = p.endISO;
+    else left -= 1;
+  }
+  return d;
+}
+
+/**
+ * Due date for a task whose undisturbed due date is `dueISO` (see
+ * computeDueISO). `next(fromISO)` gives the due date when the cycle starts
+ * on fromISO instead of lastDoneISO.
+ */
+export function dueAfterAway(task, dueISO, periods, next) {
+  if (periods.length === 0) return dueISO;
+
+  if (task.resetAfterAway) {
+    // Done during an absence counts too: the period still covers the due date
+    const missed = periods.filter((p) => p.startISO <= dueISO && dueISO <= p.endISO);
+    if (missed.length === 0) return dueISO;
+    let back = addDaysISO(missed[0].endISO, 1);
+    for (let p = awayPeriodOn(periods, back); p; p = awayPeriodOn(periods, back)) back = addDaysISO(p.endISO, 1);
+    return back;
+  }
+
+  // Same number of days at home as the undisturbed cycle; calendar rules
+  // then land on their next matching day after the cycle start moved back
+  const cycle = daysBetweenISO(task.lastDoneISO, dueISO);
+  const end = addDaysAtHome(periods, task.lastDoneISO, cycle);
+  if (end === dueISO) return dueISO;
+  return next(addDaysISO(task.lastDoneISO, daysBetweenISO(dueISO, end)));
+}
+
+// Days a task has been overdue, not counting away days (negative: due in that many days)
+export function overdueDays(dueISO, nowISO, periods) {
+  return daysBetweenISO(dueISO, nowISO) - awayDaysBetween(periods, dueISO, nowISO);
+}
+
+export function formatAwayPeriod(p) {
+  const range = p.startISO === p.endISO ? p.startISO : `${p.startISO} – ${p.endISO}`;
+  return p.label ? `${p.label} (${range})` : range;
+}
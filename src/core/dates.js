@@ -0,0 +1,129 @@
+/**
+ * Date helpers. Dates are handled as local-calendar "YYYY-MM-DD" strings
+ * everywhere in the app so plans and due dates never drift across timezones.
+ */
+
+export function todayISO() {
+  const d = new Date();
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+export function parseUSDateToISO(s) {
+  // Accepts: M/D/YYYY, MM/DD/YYYY, or YYYY-MM-DD
+  const t = String(s ?? "").trim();
+  if (!t) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) return t;
+
+  const m = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!m) return null;
+
+  const mm = String(m[1]).padStart(2, "0");
+  const dd = String(m[2]).padStart(2, "0");
+  const yy = m[3];
+  return `${yy}-${mm}-${dd}`;
+}
+
+/**
+ * Day/month order of typed and imported dates:
+ *   "mdy" 4/3/2025 is April 3 (US), "dmy" 4/3/2025 is 4 March (UK and most
+ *   of Europe), "ymd" 2025-04-03 (2025/04/03 reads too). YYYY-MM-DD is
+ *   always accepted. DATE_FORMAT_HINTS is how the app and the CLI name each.
+ */
+export const DATE_FORMATS = ["mdy", "dmy", "ymd"];
+export const DATE_FORMAT_HINTS = { mdy: "M/D/YYYY", dmy: "D/M/YYYY", ymd: "YYYY-MM-DD" };
+
+const DATE_PARTS = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/;
+
+// "YYYY-MM-DD", or null if s isn't a real date in that order
+export function parseDateToISO(s, format = "mdy") {
+  const t = String(s ?? "").trim();
+  if (isISODate(t)) return isValidISODate(t) ? t : null;
+
+  const m = t.match(DATE_PARTS);
+  if (!m) return null;
+  const [a, b, c] = m.slice(1);
+  const [y, mo, d] = format === "ymd" ? [a, b, c] : format === "dmy" ? [c, b, a] : [c, a, b];
+  if (y.length !== 4) return null;
+
+  const iso = `${y}-${mo.padStart(2, "0")}-${d.padStart(2, "0")}`;
+  return isValidISODate(iso) ? iso : null;
+}
+
+// 03/04/2025: a real date whichever of the first two numbers is the month
+export function isAmbiguousDate(s) {
+  const m = String(s ?? "").trim().match(DATE_PARTS);
+  if (!m || m[3].length !== 4) return false;
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  return a !== b && a >= 1 && a <= 12 && b >= 1 && b <= 12;
+}
+
+/**
+ * "mdy" or "dmy" if the day-first/month-first dates among values can only be
+ * read one way (13/02/2025 is day first), null if none say or they disagree.
+ */
+export function detectDateOrder(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+  for (const v of values) {
+    const m = String(v ?? "").trim().match(DATE_PARTS);
+    if (!m || m[3].length !== 4) continue;
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    if (a > 12 && b <= 12) dayFirst = true;
+    if (b > 12 && a <= 12) monthFirst = true;
+  }
+  if (dayFirst === monthFirst) return null;
+  return dayFirst ? "dmy" : "mdy";
+}
+
+// "YYYY-MM-DD" in the given order: 4/3/2025, 3/4/2025 or 2025-04-03
+export function formatISODate(iso, format = "ymd") {
+  if (!isISODate(iso)) return String(iso ?? "");
+  const [y, m, d] = iso.split("-");
+  if (format === "mdy") return `${Number(m)}/${Number(d)}/${y}`;
+  if (format === "dmy") return `${Number(d)}/${Number(m)}/${y}`;
+  return iso;
+}
+
+export function addDaysISO(iso, days) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const dt = new Date(y, m - 1, d);
+  dt.setDate(dt.getDate() + days);
+  const yy = dt.getFullYear();
+  const mm = String(dt.getMonth() + 1).padStart(2, "0");
+  const dd = String(dt.getDate()).padStart(2, "0");
+  return `${yy}-${mm}-${dd}`;
+}
+
+export function daysBetweenISO(aISO, bISO) {
+  // b - a in days
+  const [ay, am, ad] = aISO.split("-").map(Number);
+  const [by, bm, bd] = bISO.split("-").map(Number);
+  const a = new Date(ay, am - 1, ad);
+  const b = new Date(by, bm - 1, bd);
+  const ms = b.getTime() - a.getTime();
+  return Math.round(ms / (1000 * 60 * 60 * 24)); // round: DST days are 23h/25h long
+}
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function weekdayOfISO(iso) {
+  // 0 = Sunday ... 6 = Saturday
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d).getDay();
+}
+
+export function isISODate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+// A real calendar date in YYYY-MM-DD form (rejects 2025-02-30, 2025-13-01, ...)
+export function isValidISODate(s) {
+  if (!isISODate(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(y, m - 1, d);
+  return dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d;
+}
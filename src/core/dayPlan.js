@@ -0,0 +1,27 @@
+import { buildHouseholdPlan, buildPlan } from "./planner.js";
+import { budgetForDate, isAwayOn, planOptions } from "./settings.js";
+
+/**
+ * A day's locked plan (state.todayPlan) from the saved settings:
+ *   { dateISO, pickedIds, byMember?, completedIds, createdAtISO, regenerated }
+ * With household members each person gets their own list (byMember), unless
+ * budgetMin is given: then the household is planned as one budget.
+ * regenerated marks a manual regenerate, which sync prefers (see syncMerge.js).
+ */
+export function planDay(state, dateISO, { budgetMin, regenerated = false, createdAtISO = new Date().toISOString() } = {}) {
+  const { settings } = state;
+  const opts = planOptions(settings);
+  const away = isAwayOn(settings, dateISO);
+  const made = { createdAtISO, regenerated };
+
+  if (settings.members.length > 0 && budgetMin === undefined) {
+    const people = settings.members.map((m) => ({ id: m.id, budgetMin: away ? 0 : budgetForDate(m.budgets, dateISO) }));
+    const plan = buildHouseholdPlan(state.tasks, dateISO, people, opts);
+    // byMember: { [memberId]: taskIds[] }
+    return { dateISO, pickedIds: plan.pickedIds, byMember: plan.byMember, completedIds: [], ...made };
+  }
+
+  const budget = budgetMin ?? (away ? 0 : budgetForDate(settings.budgets, dateISO));
+  const plan = buildPlan(state.tasks, dateISO, budget, opts);
+  return { dateISO, pickedIds: plan.pickedIds, completedIds: [], ...made };
+}
@@ -0,0 +1,60 @@
+import { isCompletion } from "./history.js";
+
+/**
+ * How long a task takes, with uncertainty.
+ *
+ * task.estMin stays the central estimate (EWMA of actual minutes). The spread
+ * is the standard deviation of the most recent actual minutes in the task's
+ * history. Until a task has MIN_SAMPLES completions its spread is unknown:
+ * it's flagged in the UI and planning assumes a wide default spread.
+ *
+ * Planning at a confidence level reserves est + z * spread minutes per task,
+ * so at 90% each task fits its slot 9 times out of 10. 50% plans with the
+ * plain estimates.
+ */
+
+export const CONFIDENCE_LEVELS = [50, 80, 90, 95];
+export const MIN_SAMPLES = 3;
+
+const Z_SCORES = { 50: 0, 80: 0.84, 90: 1.28, 95: 1.64 }; // one-sided normal quantiles
+const MAX_SAMPLES = 12;
+const DEFAULT_SPREAD = 0.4; // spread as a share of the estimate while there's too little data
+
+export function baseEstimate(task) {
+  return Math.max(1, Math.round(task.estMin || 15));
+}
+
+// { est, spread, samples, known } where spread is one standard deviation in minutes
+export function durationStats(task) {
+  const est = baseEstimate(task);
+  const mins = (Array.isArray(task.history) ? task.history : [])
+    .filter((h) => isCompletion(h) && Number(h.actualMin) > 0)
+    .slice(0, MAX_SAMPLES)
+    .map((h) => Number(h.actualMin));
+
+  if (mins.length < MIN_SAMPLES) return { est, spread: est * DEFAULT_SPREAD, samples: mins.length, known: false };
+
+  const mean = mins.reduce((sum, m) => sum + m, 0) / mins.length;
+  const variance = mins.reduce((sum, m) => sum + (m - mean) ** 2, 0) / (mins.length - 1);
+  return { est, spread: Math.sqrt(variance), samples: mins.length, known: true };
+}
+
+// Minutes to set aside for a task when planning at `confidence` percent
+export function plannedMinutes(task, confidence = 50) {
+  const { est, spread } = durationStats(task);
+  const z = Z_SCORES[confidence] ?? 0;
+  return Math.max(est, Math.ceil(est + z * spread));
+}
+
+// Typical range (one spread either side), e.g. { low: 15, high: 25 }
+export function estimateRange(task) {
+  const { est, spread, known, samples } = durationStats(task);
+  if (!known) return { low: est, high: est, known, samples };
+  return { low: Math.max(1, Math.round(est - spread)), high: Math.round(est + spread), known, samples };
+}
+
+export function formatEstimate(task) {
+  const { low, high, known } = estimateRange(task);
+  if (!known) return `~${low} min`;
+  return low === high ? `${low} min` : `${low}–${high} min`;
+}
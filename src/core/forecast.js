@@ -0,0 +1,70 @@
+import { addDaysISO } from "./dates.js";
+import { isSnoozed } from "./history.js";
+import { plannedMinutes } from "./estimates.js";
+import { buildPlan, daysOverdue } from "./planner.js";
+import { householdBudgetForDate, isAwayOn, planOptions } from "./settings.js";
+
+/**
+ * Workload forecast: replay the planner day by day, assuming each day's
+ * plan gets finished, to see where demand outgrows the budget.
+ *
+ * - demandMin: minutes of work that is due or overdue that day
+ * - plannedMin: minutes the planner would pick (never more than budgetMin)
+ * - slipping: overdue tasks the planner keeps passing over
+ * - away: the household is away (no budget, nothing counts as due)
+ *
+ * The household is treated as one shared budget (sum of everyone's minutes).
+ * If `todayPlan` is for startISO, its picks are used for the first day.
+ */
+export function forecastWorkload(tasks, settings, startISO, days, { todayPlan } = {}) {
+  const opts = planOptions(settings);
+  const slips = new Map(); // id -> { task, days, worstOverdueDays }
+  const out = [];
+  let sim = tasks;
+
+  for (let i = 0; i < days; i++) {
+    const dateISO = addDaysISO(startISO, i);
+    const budgetMin = householdBudgetForDate(settings, dateISO);
+    const away = isAwayOn(settings, dateISO);
+    const due = away ? [] : sim.filter((t) => !isSnoozed(t, dateISO) && daysOverdue(t, dateISO, opts.ctx) >= 0);
+
+    const pickedIds =
+      i === 0 && todayPlan?.dateISO === dateISO
+        ? todayPlan.pickedIds
+        : buildPlan(sim, dateISO, budgetMin, opts).pickedIds;
+    const picked = new Set(pickedIds);
+
+    for (const t of due) {
+      const overdueDays = daysOverdue(t, dateISO, opts.ctx);
+      if (picked.has(t.id) || overdueDays <= 0) continue;
+      const s = slips.get(t.id) ?? { task: t, days: 0, worstOverdueDays: 0 };
+      s.days += 1;
+      s.worstOverdueDays = Math.max(s.worstOverdueDays, overdueDays);
+      slips.set(t.id, s);
+    }
+
+    const estOf = (t) => plannedMinutes(t, opts.confidence);
+    const demandMin = due.reduce((sum, t) => sum + estOf(t), 0);
+    const plannedMin = sim.filter((t) => picked.has(t.id)).reduce((sum, t) => sum + estOf(t), 0);
+
+    out.push({
+      dateISO,
+      budgetMin,
+      demandMin,
+      plannedMin,
+      dueCount: due.length,
+      pickedIds,
+      overBudget: demandMin > budgetMin,
+      away,
+    });
+
+    sim = sim.map((t) => (picked.has(t.id) ? { ...t, lastDoneISO: dateISO, deadlineISO: null } : t));
+  }
+
+  const slipping = [...slips.values()]
+    .filter((s) => s.days >= 3)
+    .sort((a, b) => b.days - a.days || b.worstOverdueDays - a.worstOverdueDays)
+    .map((s) => ({ taskId: s.task.id, name: s.task.name, daysSkipped: s.days, worstOverdueDays: s.worstOverdueDays }));
+
+  return { days: out, slipping };
+}
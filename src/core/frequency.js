@@ -0,0 +1,67 @@
+import { daysBetweenISO } from "./dates.js";
+import { isCompletion } from "./history.js";
+import { taskRule } from "./recurrence.js";
+
+/**
+ * Frequency suggestions from completion history.
+ *
+ * Compares the typical (median) gap between a task's recent completions with
+ * how often it is set to repeat. Only for tasks that repeat every N days;
+ * calendar rules (every Monday, 1st Saturday) say when, not how often.
+ *
+ * A suggestion needs MIN_INTERVALS gaps and a difference of at least 25%
+ * (and at least a day). Dismissing one records the suggested value on the
+ * task (dismissedFreqDays), so it stays quiet until the data says otherwise.
+ */
+
+const MIN_INTERVALS = 3;
+const MAX_INTERVALS = 8;
+const MIN_CHANGE = 0.25;
+
+function median(list) {
+  const sorted = list.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Days between consecutive completions, oldest first (at most the last MAX_INTERVALS)
+export function completionIntervals(task) {
+  const dates = [...new Set((task.history ?? []).filter(isCompletion).map((h) => h.dateISO))].sort();
+  const gaps = [];
+  for (let i = 1; i < dates.length; i++) gaps.push(daysBetweenISO(dates[i - 1], dates[i]));
+  return gaps.slice(-MAX_INTERVALS);
+}
+
+/**
+ * { taskId, currentDays, suggestedDays, low, high, samples } or null
+ * when the setting matches how the task is really done (or there isn't enough
+ * history). low/high are the shortest and longest of the last samples gaps.
+ */
+export function frequencySuggestion(task) {
+  const rule = taskRule(task);
+  if (rule.type !== "interval") return null;
+
+  const gaps = completionIntervals(task);
+  if (gaps.length < MIN_INTERVALS) return null;
+
+  const current = rule.days;
+  const suggested = Math.max(1, Math.round(median(gaps)));
+  const diff = suggested - current;
+  if (Math.abs(diff) < Math.max(1, current * MIN_CHANGE)) return null;
+  if (task.dismissedFreqDays === suggested) return null;
+
+  const low = Math.min(...gaps);
+  const high = Math.max(...gaps);
+  return { taskId: task.id, currentDays: current, suggestedDays: suggested, low, high, samples: gaps.length };
+}
+
+export function applyFrequency(task, freqDays) {
+  const next = { ...task, freqDays };
+  if (task.recurrence?.type === "interval") next.recurrence = { ...task.recurrence, days: freqDays };
+  delete next.dismissedFreqDays;
+  return next;
+}
+
+export function dismissFrequencySuggestion(task, suggestedDays) {
+  return { ...task, dismissedFreqDays: suggestedDays };
+}
@@ -0,0 +1,58 @@
+import { addDaysISO, daysBetweenISO } from "./dates.js";
+import { clampInt } from "./util.js";
+
+/**
+ * Task history entries (newest first):
+ * { dateISO, actualMin, byMemberId? }                  completion (no `kind`)
+ * { dateISO, kind: "skip", reason? }                   taken off today's plan
+ * { dateISO, kind: "snooze", days, untilISO, reason? } kept out of plans until untilISO
+ * { dateISO, kind: "not-needed", reason? }             due date reset, no minutes logged
+ */
+
+export const DEFER_ACTIONS = ["skip", "snooze", "not-needed"];
+export const DEFER_LABELS = { skip: "Skipped", snooze: "Snoozed", "not-needed": "Not needed" };
+
+export function isCompletion(entry) {
+  return !entry.kind || entry.kind === "done";
+}
+
+export function isSnoozed(task, nowISO) {
+  return !!task.snoozeUntilISO && task.snoozeUntilISO > nowISO;
+}
+
+/**
+ * Apply a skip/snooze/not-needed action to a task. Returns the updated task.
+ * Only "not-needed" moves the schedule: the cycle restarts today, but no
+ * minutes are logged and the estimate is left alone.
+ */
+export function deferTask(task, action, nowISO, { days, reason, byMemberId } = {}) {
+  const entry = { dateISO: nowISO, kind: action };
+  const note = String(reason ?? "").trim();
+  if (note) entry.reason = note;
+  if (byMemberId) entry.byMemberId = byMemberId;
+
+  const next = { ...task };
+  if (action === "snooze") {
+    entry.days = clampInt(days, 1, 365);
+    entry.untilISO = addDaysISO(nowISO, entry.days);
+    next.snoozeUntilISO = entry.untilISO;
+  } else if (action === "not-needed") {
+    next.lastDoneISO = nowISO;
+    next.snoozeUntilISO = null;
+  }
+
+  next.history = [entry, ...(Array.isArray(task.history) ? task.history : [])];
+  return next;
+}
+
+// How often a task was put off recently: { skip, snooze, "not-needed", total }
+export function deferralCounts(task, nowISO, windowDays = 60) {
+  const counts = { skip: 0, snooze: 0, "not-needed": 0, total: 0 };
+  for (const h of task.history ?? []) {
+    if (isCompletion(h) || !(h.kind in counts)) continue;
+    if (daysBetweenISO(h.dateISO, nowISO) > windowDays) continue;
+    counts[h.kind] += 1;
+    counts.total += 1;
+  }
+  return counts;
+}
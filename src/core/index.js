@@ -0,0 +1,126 @@
+/**
+ * Housework Queue core: the scheduling and data logic shared by the app,
+ * the CLI (bin/housework.js) and the sync server. Plain functions over plain
+ * data, no React or browser APIs, so it runs in Node as well.
+ *
+ * This file is the supported API; the modules behind it may move around.
+ * State is the object described in schema.js; dates are "YYYY-MM-DD".
+ */
+
+export {
+  adoptMergedState,
+  adoptSavedState,
+  canRedo,
+  canUndo,
+  emptyUndo,
+  MAX_LOG_ENTRIES,
+  persistable,
+  recordAction,
+  redoAction,
+  trimLog,
+  undoAction,
+} from "./actionLog.js";
+export {
+  awayDaysBetween,
+  awayPeriodOn,
+  awayPeriodsFor,
+  formatAwayPeriod,
+  newAwayPeriod,
+  normalizeAwayPeriods,
+} from "./away.js";
+export {
+  addDaysISO,
+  DATE_FORMAT_HINTS,
+  DATE_FORMATS,
+  daysBetweenISO,
+  detectDateOrder,
+  formatISODate,
+  isAmbiguousDate,
+  isISODate,
+  isValidISODate,
+  parseDateToISO,
+  parseUSDateToISO,
+  todayISO,
+  WEEKDAY_LABELS,
+  weekdayOfISO,
+} from "./dates.js";
+export {
+  baseEstimate,
+  CONFIDENCE_LEVELS,
+  durationStats,
+  estimateRange,
+  formatEstimate,
+  MIN_SAMPLES,
+  plannedMinutes,
+} from "./estimates.js";
+export { planDay } from "./dayPlan.js";
+export { forecastWorkload } from "./forecast.js";
+export { applyFrequency, completionIntervals, dismissFrequencySuggestion, frequencySuggestion } from "./frequency.js";
+export { DEFER_ACTIONS, DEFER_LABELS, deferralCounts, deferTask, isCompletion, isSnoozed } from "./history.js";
+export {
+  buildHouseholdPlan,
+  buildPlan,
+  computeDueISO,
+  daysOverdue,
+  deadlineSchedule,
+  IMPORTANCE_LEVELS,
+  importanceWeight,
+  isOverdue,
+  PLAN_STRATEGIES,
+  roomOf,
+  urgencyScore,
+  ZONE_MODES,
+} from "./planner.js";
+export { describeRule, MONTH_LABELS, nextOccurrenceISO, normalizeRule, RULE_TYPES, rulePeriodDays, taskRule } from "./recurrence.js";
+export {
+  backupPayload,
+  DataError,
+  detectVersion,
+  hasIssues,
+  loadAndValidate,
+  migrateState,
+  SCHEMA_VERSION,
+  stateFromBackup,
+  validateState,
+} from "./schema.js";
+export {
+  budgetForDate,
+  defaultBudgets,
+  defaultSettings,
+  householdBudgetForDate,
+  isAwayOn,
+  MAX_BUDGET_MIN,
+  newMember,
+  normalizeBudgets,
+  normalizeSettings,
+  PLAN_MODES,
+  planOptions,
+  scheduleContext,
+  zoneOptions,
+} from "./settings.js";
+export {
+  applyImportDiff,
+  diffImport,
+  exportHistory,
+  exportTasks,
+  parsePaste,
+  parsePasteDetailed,
+  parseTags,
+  pasteDateOrder,
+  TASK_COLUMNS,
+  toDelimited,
+} from "./spreadsheet.js";
+export { mergeSavedState, mergeStates, mergeTask, stampChanges, syncPayload } from "./syncMerge.js";
+export { completeTask, ewmaUpdate, formatOverdueLabel, markDone } from "./tasks.js";
+export {
+  formatElapsed,
+  isRunning,
+  normalizeTimer,
+  pauseTimer,
+  resumeTimer,
+  startTimer,
+  timerElapsedMs,
+  timerMinutes,
+} from "./timer.js";
+export { clampInt, uid } from "./util.js";
+export { moveWeekTask, planDayFromWeek, planWeek, rollWeekPlan, WEEK_DAYS, weekDayIds, weekSummary } from "./weekPlan.js";
@@ -0,0 +1,382 @@
+import { awayPeriodsFor, dueAfterAway, overdueDays } from "./away.js";
+import { addDaysISO, daysBetweenISO } from "./dates.js";
+import { plannedMinutes } from "./estimates.js";
+import { isSnoozed } from "./history.js";
+import { nextOccurrenceISO, taskRule } from "./recurrence.js";
+
+/**
+ * Scheduling rules: when a task is due, how urgent it is, and which tasks
+ * make it into a day's plan. Everything here is pure so it can be called
+ * (and compared) outside of React.
+ *
+ * ctx: { awayPeriods } household-wide away periods (see away.js); days away
+ * don't count toward a task being overdue. Omit it to ignore absences.
+ */
+
+export const PLAN_STRATEGIES = ["optimal", "greedy"];
+export const ZONE_MODES = ["off", "group", "focus"];
+export const IMPORTANCE_LEVELS = ["low", "normal", "high"];
+
+const IMPORTANCE_WEIGHTS = { low: 0.5, normal: 1, high: 2 };
+const DEADLINE_HORIZON_DAYS = 366;
+
+// Multiplier on a task's urgency; tasks without a level count as "normal"
+export function importanceWeight(task) {
+  return IMPORTANCE_WEIGHTS[task.importance] ?? 1;
+}
+
+export function computeDueISO(task, ctx) {
+  const rule = taskRule(task);
+  const due = nextOccurrenceISO(rule, task.lastDoneISO);
+  return dueAfterAway(task, due, awayPeriodsFor(task, ctx), (fromISO) => nextOccurrenceISO(rule, fromISO));
+}
+
+// Days past due, not counting days away (negative: not due yet)
+export function daysOverdue(task, nowISO, ctx) {
+  return overdueDays(computeDueISO(task, ctx), nowISO, awayPeriodsFor(task, ctx));
+}
+
+export function isOverdue(task, nowISO, ctx) {
+  return daysOverdue(task, nowISO, ctx) > 0;
+}
+
+/**
+ * Urgency scoring:
+ * latenessRatio = daysSinceDone / cycleDays, not counting days away
+ * (cycleDays = lastDone -> next due; equals freqDays for interval tasks)
+ * overdue if ratio >= 1
+ * score ramps faster the more overdue it is (relative to frequency)
+ * and is scaled by the task's importance (low 0.5×, normal 1×, high 2×)
+ */
+export function urgencyScore(task, nowISO, ctx) {
+  const freq = Math.max(1, daysBetweenISO(task.lastDoneISO, computeDueISO(task, ctx)));
+  const ratio = Math.max(0, 1 + daysOverdue(task, nowISO, ctx) / freq);
+  const weight = importanceWeight(task);
+
+  if (ratio < 1) return weight * 0.02 * ratio; // small for not-due
+  const base = ratio - 1;
+  return weight * (base * base + 0.05 * ratio); // ramps as overdue grows
+}
+
+/**
+ * Hard deadlines (task.deadlineISO: must be done on or before that day).
+ *
+ * Works backwards from the latest deadline, giving each deadline task the
+ * latest day before its deadline that still has room in that day's budget
+ * (earlier deadlines are placed after later ones have taken their days).
+ * That day is the task's startByISO. Once it is today (or the deadline
+ * can't be met any more) the task is critical and is planned before
+ * everything else. A task longer than a whole day's budget gets a day to
+ * itself.
+ *
+ * budgetForDate(iso) -> minutes available that day.
+ * Returns Map taskId -> { deadlineISO, startByISO, critical }.
+ */
+export function deadlineSchedule(tasks, nowISO, budgetForDate, { confidence = 50 } = {}) {
+  const pending = tasks
+    .filter((t) => t.deadlineISO && !isSnoozed(t, nowISO))
+    .sort((a, b) => b.deadlineISO.localeCompare(a.deadlineISO) || plannedMinutes(a, confidence) - plannedMinutes(b, confidence));
+
+  const used = new Map(); // dateISO -> minutes already given to deadline tasks
+  const out = new Map();
+  for (const t of pending) {
+    const est = plannedMinutes(t, confidence);
+    let day = daysBetweenISO(nowISO, t.deadlineISO) > DEADLINE_HORIZON_DAYS ? addDaysISO(nowISO, DEADLINE_HORIZON_DAYS) : t.deadlineISO;
+    let startByISO = null;
+    for (; day >= nowISO; day = addDaysISO(day, -1)) {
+      const budget = budgetForDate(day);
+      const taken = used.get(day) ?? 0;
+      if (budget > 0 && (taken + est <= budget || taken === 0)) {
+        startByISO = day;
+        used.set(day, taken + est);
+        break;
+      }
+    }
+    out.set(t.id, { deadlineISO: t.deadlineISO, startByISO: startByISO ?? nowISO, critical: !startByISO || startByISO <= nowISO });
+  }
+  return out;
+}
+
+function criticalIdsFor(tasks, nowISO, budgetMin, { budgetForDate, confidence }) {
+  const schedule = deadlineSchedule(tasks, nowISO, budgetForDate ?? (() => budgetMin), { confidence });
+  return new Set([...schedule].filter(([, d]) => d.critical).map(([id]) => id));
+}
+
+// est = minutes reserved for the task at the planning confidence (see estimates.js)
+function scoreTasks(tasks, nowISO, { confidence = 50, criticalIds = new Set(), ctx } = {}) {
+  return tasks
+    .map((t) => ({
+      task: t,
+      score: urgencyScore(t, nowISO, ctx),
+      est: plannedMinutes(t, confidence),
+      critical: criticalIds.has(t.id),
+      overdue: isOverdue(t, nowISO, ctx),
+      dueISO: computeDueISO(t, ctx),
+    }))
+    .sort((a, b) => {
+      if (a.critical !== b.critical) return a.critical ? -1 : 1; // deadline about to be missed
+      if (a.critical) return a.task.deadlineISO.localeCompare(b.task.deadlineISO); // earliest deadline first
+      if (a.overdue !== b.overdue) return a.overdue ? -1 : 1; // overdue first
+      if (b.score !== a.score) return b.score - a.score; // higher score first
+      return a.dueISO.localeCompare(b.dueISO); // earlier due first
+    });
+}
+
+function pickGreedy(items, budgetMin) {
+  const picked = [];
+  let total = 0;
+
+  for (const item of items) {
+    if (total >= budgetMin) break;
+    if (item.est + total > budgetMin) continue; // never exceed
+    picked.push(item);
+    total += item.est;
+  }
+  return picked;
+}
+
+/**
+ * 0/1 knapsack over whole minutes: the subset with the highest total score
+ * that fits in `capacity`. Ties keep the earlier (more urgent) items, so the
+ * result matches the greedy order whenever greedy is already optimal.
+ */
+function pickOptimal(items, capacity) {
+  const cap = Math.max(0, Math.floor(capacity));
+  const best = new Float64Array(cap + 1);
+  const take = items.map(() => new Uint8Array(cap + 1));
+
+  items.forEach((item, i) => {
+    for (let c = cap; c >= item.est; c--) {
+      const withItem = best[c - item.est] + item.score;
+      if (withItem > best[c] + 1e-12) {
+        best[c] = withItem;
+        take[i][c] = 1;
+      }
+    }
+  });
+
+  const picked = [];
+  let c = cap;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (!take[i][c]) continue;
+    picked.push(items[i]);
+    c -= items[i].est;
+  }
+  return picked.reverse();
+}
+
+export function roomOf(task) {
+  return String(task.room ?? "").trim();
+}
+
+/**
+ * Zone planning:
+ * - "group": keep the picked set, but order it room by room
+ * - "focus": only plan tasks from the `maxRooms` rooms with the most urgent
+ *   work (overdue urgency first), plus tasks that have no room set
+ */
+function focusRooms(scored, maxRooms) {
+  const rooms = new Map();
+  for (const x of scored) {
+    const room = roomOf(x.task);
+    if (!room) continue;
+    const r = rooms.get(room) ?? { overdue: 0, score: 0 };
+    if (x.overdue) r.overdue += x.score;
+    r.score += x.score;
+    rooms.set(room, r);
+  }
+  const chosen = new Set(
+    [...rooms.entries()]
+      .sort(([, a], [, b]) => b.overdue - a.overdue || b.score - a.score)
+      .slice(0, Math.max(1, maxRooms))
+      .map(([room]) => room)
+  );
+  return scored.filter((x) => !roomOf(x.task) || chosen.has(roomOf(x.task)));
+}
+
+// Stable room-by-room order; rooms appear in order of their most urgent task
+function groupByRoom(items) {
+  const firstSeen = new Map();
+  items.forEach((x, i) => {
+    const room = roomOf(x.task);
+    if (!firstSeen.has(room)) firstSeen.set(room, i);
+  });
+  return items
+    .map((x, i) => ({ x, i }))
+    .sort((a, b) => firstSeen.get(roomOf(a.x.task)) - firstSeen.get(roomOf(b.x.task)) || a.i - b.i)
+    .map(({ x }) => x);
+}
+
+/**
+ * Build a day's plan:
+ * - Each task at most once/day
+ * - Tasks whose deadline can't wait any longer come first (see deadlineSchedule)
+ * - Overdue tasks always win over not-yet-due ones
+ * - Snoozed tasks are left out until their snooze ends
+ * - Fill up to budget minutes (<= budget)
+ *
+ * strategy "optimal" maximizes total urgency: overdue tasks are packed first,
+ * then the leftover minutes are packed with the rest. "greedy" walks the
+ * sorted list and skips whatever doesn't fit (the original behavior).
+ *
+ * zone: { mode: "off" | "group" | "focus", maxRooms } (see focusRooms)
+ * confidence: 50 | 80 | 90 | 95, how sure we want to be that each task fits
+ *   its reserved minutes; totalEstMin counts the reserved minutes
+ * budgetForDate: minutes available on future days, for deadline lead times
+ *   (defaults to budgetMin every day)
+ * ctx: away periods, see the top of this file
+ */
+export function buildPlan(
+  tasks,
+  nowISO,
+  budgetMin,
+  { strategy = "optimal", zone, confidence = 50, budgetForDate, criticalIds, ctx } = {}
+) {
+  strategy = strategy === "greedy" ? "greedy" : "optimal";
+  if (budgetMin <= 0) return { pickedIds: [], totalEstMin: 0, totalScore: 0, strategy }; // day off
+
+  const live = tasks.filter((t) => !isSnoozed(t, nowISO));
+  const critical = criticalIds ?? criticalIdsFor(live, nowISO, budgetMin, { budgetForDate, confidence });
+  const all = scoreTasks(live, nowISO, { confidence, criticalIds: critical, ctx });
+  // Focus mode never hides a task whose deadline is up
+  const focused = zone?.mode === "focus" ? new Set(focusRooms(all, zone.maxRooms)) : null;
+  const scored = focused ? all.filter((x) => x.critical || focused.has(x)) : all;
+
+  // Critical tasks go in first, earliest deadline first
+  let picked = pickGreedy(scored.filter((x) => x.critical), budgetMin);
+  const rest = scored.filter((x) => !x.critical);
+  const left = budgetMin - picked.reduce((sum, x) => sum + x.est, 0);
+  if (strategy === "greedy") {
+    picked = [...picked, ...pickGreedy(rest, left)];
+  } else {
+    const overdue = rest.filter((x) => x.overdue);
+    const first = pickOptimal(overdue, left);
+    const used = first.reduce((sum, x) => sum + x.est, 0);
+    picked = [...picked, ...first, ...pickOptimal(rest.filter((x) => !x.overdue), left - used)];
+  }
+
+  // If nothing fits (rare), pick the most urgent single task
+  if (picked.length === 0 && scored.length > 0) {
+    picked = [scored[0]];
+  }
+
+  if (zone && zone.mode !== "off") picked = groupByRoom(picked);
+
+  return {
+    pickedIds: picked.map((x) => x.task.id),
+    totalEstMin: picked.reduce((sum, x) => sum + x.est, 0),
+    totalScore: picked.reduce((sum, x) => sum + x.score, 0),
+    strategy,
+  };
+}
+
+/**
+ * Split a day's work across household members.
+ *
+ * members: [{ id, budgetMin }]
+ * - Tasks with a fixed assignee are planned inside that person's budget.
+ * - The "anyone" pool is planned against everyone's leftover minutes, then
+ *   handed out one by one (largest first) to whoever currently carries the
+ *   lightest combined load: share of their own budget used + share of the
+ *   day's total urgency. Nobody is ever planned past their budget.
+ * - A task that fits nobody's leftover minutes can still go in when one
+ *   shared task moves to someone else to make room for it.
+ * - Deadlines are scheduled against the whole household's minutes; critical
+ *   ones are handed out before anything else.
+ */
+export function buildHouseholdPlan(tasks, nowISO, members, { strategy = "optimal", zone, confidence = 50, budgetForDate, ctx } = {}) {
+  tasks = tasks.filter((t) => !isSnoozed(t, nowISO));
+  const dayBudget = members.reduce((sum, m) => sum + Math.max(0, m.budgetMin), 0);
+  const criticalIds = criticalIdsFor(tasks, nowISO, dayBudget, { budgetForDate, confidence });
+  if (zone?.mode === "focus") {
+    const kept = new Set(focusRooms(scoreTasks(tasks, nowISO, { confidence, ctx }), zone.maxRooms).map((x) => x.task.id));
+    tasks = tasks.filter((t) => kept.has(t.id) || criticalIds.has(t.id));
+  }
+
+  const memberIds = new Set(members.map((m) => m.id));
+  const byMember = Object.fromEntries(members.map((m) => [m.id, []]));
+  const load = Object.fromEntries(members.map((m) => [m.id, { min: 0, score: 0 }]));
+  const capacity = Object.fromEntries(members.map((m) => [m.id, Math.max(0, m.budgetMin)]));
+
+  for (const m of members) {
+    const own = tasks.filter((t) => t.assigneeId === m.id);
+    const plan = buildPlan(own, nowISO, capacity[m.id], { strategy, confidence, criticalIds, ctx });
+    if (plan.totalEstMin > capacity[m.id]) continue; // fallback pick that doesn't fit
+    byMember[m.id] = plan.pickedIds;
+    load[m.id] = { min: plan.totalEstMin, score: plan.totalScore };
+  }
+
+  const pool = tasks.filter((t) => !t.assigneeId || !memberIds.has(t.assigneeId));
+  const spare = members.reduce((sum, m) => sum + capacity[m.id] - load[m.id].min, 0);
+  const poolPlan = buildPlan(pool, nowISO, spare, { strategy, confidence, criticalIds, ctx });
+  const scored = new Map(scoreTasks(pool, nowISO, { confidence, criticalIds, ctx }).map((x) => [x.task.id, x]));
+
+  const pickedPool = poolPlan.pickedIds.map((id) => scored.get(id));
+  const leftovers = [...scored.values()].filter((x) => x.score > 0 && !poolPlan.pickedIds.includes(x.task.id));
+  const totalScore =
+    Object.values(load).reduce((sum, l) => sum + l.score, 0) + pickedPool.reduce((sum, x) => sum + x.score, 0);
+
+  function loadOf(id) {
+    const budget = Math.max(1, capacity[id]);
+    return load[id].min / budget + (totalScore > 0 ? load[id].score / totalScore : 0);
+  }
+
+  const spareOf = (id) => capacity[id] - load[id].min;
+  const assigned = new Set();
+
+  function give(to, item) {
+    byMember[to].push(item.task.id);
+    load[to].min += item.est;
+    load[to].score += item.score;
+    assigned.add(item.task.id);
+  }
+
+  function assign(item) {
+    const fits = members.filter((m) => load[m.id].min + item.est <= capacity[m.id]);
+    if (fits.length === 0) return;
+    fits.sort((a, b) => loadOf(a.id) - loadOf(b.id) || spareOf(b.id) - spareOf(a.id));
+    give(fits[0].id, item);
+  }
+
+  // Move one shared task from someone to whoever can take it, so item fits
+  function makeRoom(item) {
+    for (const from of members) {
+      const need = item.est - spareOf(from.id);
+      if (need <= 0) return give(from.id, item);
+      for (const id of byMember[from.id]) {
+        const moved = scored.get(id);
+        if (!moved || moved.est < need) continue;
+        const to = members.find((m) => m.id !== from.id && spareOf(m.id) >= moved.est);
+        if (!to) continue;
+        byMember[from.id] = byMember[from.id].filter((x) => x !== id);
+        load[from.id].min -= moved.est;
+        load[from.id].score -= moved.score;
+        give(to.id, moved);
+        give(from.id, item);
+        return;
+      }
+    }
+  }
+
+  pickedPool.slice().sort((a, b) => b.critical - a.critical || b.est - a.est).forEach(assign);
+  // Bin-packing can strand a few minutes per person; top up in urgency order.
+  leftovers.forEach(assign);
+  // Handing out one by one can strand minutes: two people with 15 spare each
+  // can't take a 25-minute task until one of them passes a task to the other.
+  for (const item of scored.values()) {
+    if (item.score > 0 && !assigned.has(item.task.id)) makeRoom(item);
+  }
+
+  // Keep each person's list in urgency order (room by room when zoning)
+  const ordered = scoreTasks(tasks, nowISO, { confidence, criticalIds, ctx });
+  const order = new Map((zone && zone.mode !== "off" ? groupByRoom(ordered) : ordered).map((x, i) => [x.task.id, i]));
+  for (const id of Object.keys(byMember)) byMember[id].sort((a, b) => order.get(a) - order.get(b));
+
+  return {
+    byMember,
+    pickedIds: Object.values(byMember).flat(),
+    totalEstMin: Object.values(load).reduce((sum, l) => sum + l.min, 0),
+    totalScore: Object.values(load).reduce((sum, l) => sum + l.score, 0),
+    strategy,
+  };
+}
@@ -0,0 +1,167 @@
+import { addDaysISO, daysBetweenISO, isValidISODate, WEEKDAY_LABELS, weekdayOfISO } from "./dates.js";
+import { clampInt } from "./util.js";
+
+/**
+ * Recurrence rules (task.recurrence). Tasks without one repeat every
+ * `freqDays`, which is the same as an interval rule.
+ *
+ * { type: "interval", days }                     every N days after last done
+ * { type: "weekly", weekdays: [1, 4], everyWeeks, startISO }
+ *                                                 on these weekdays (0 = Sun) of every
+ *                                                 Nth week counted from startISO's week
+ * { type: "monthlyNth", nth: 1..4 | -1, weekday }  e.g. first Saturday, last Friday
+ * { type: "monthlyDay", day }                     day of month (clamped to month end)
+ * { type: "yearly", months: [3, 9], day }         e.g. every spring and fall
+ *
+ * The next due date is always the first matching date after lastDoneISO.
+ * Weeks run Sunday to Saturday. A weekly rule every 2+ weeks without a
+ * startISO (saved before it existed) counts from the week last done.
+ */
+
+export const RULE_TYPES = ["interval", "weekly", "monthlyNth", "monthlyDay", "yearly"];
+export const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function daysInMonth(y, m) {
+  // m is 1-12
+  return new Date(y, m, 0).getDate();
+}
+
+function uniqueSorted(list, min, max) {
+  return [...new Set((Array.isArray(list) ? list : []).map(Number))]
+    .filter((n) => Number.isInteger(n) && n >= min && n <= max)
+    .sort((a, b) => a - b);
+}
+
+// Returns a valid rule or null
+export function normalizeRule(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  switch (raw.type) {
+    case "interval":
+      return { type: "interval", days: clampInt(raw.days, 1, 3650) };
+    case "weekly": {
+      const weekdays = uniqueSorted(raw.weekdays, 0, 6);
+      if (weekdays.length === 0) return null;
+      const everyWeeks = clampInt(raw.everyWeeks ?? 1, 1, 52);
+      const rule = { type: "weekly", weekdays, everyWeeks };
+      return everyWeeks > 1 && isValidISODate(raw.startISO) ? { ...rule, startISO: raw.startISO } : rule;
+    }
+    case "monthlyNth": {
+      const nth = Number(raw.nth) === -1 ? -1 : clampInt(raw.nth, 1, 4);
+      return { type: "monthlyNth", nth, weekday: clampInt(raw.weekday, 0, 6) };
+    }
+    case "monthlyDay":
+      return { type: "monthlyDay", day: clampInt(raw.day, 1, 31) };
+    case "yearly": {
+      const months = uniqueSorted(raw.months, 1, 12);
+      if (months.length === 0) return null;
+      return { type: "yearly", months, day: clampInt(raw.day ?? 1, 1, 31) };
+    }
+    default:
+      return null;
+  }
+}
+
+export function taskRule(task) {
+  return normalizeRule(task.recurrence) ?? { type: "interval", days: Math.max(1, task.freqDays) };
+}
+
+function nthWeekdayOfMonth(y, m, nth, weekday) {
+  if (nth === -1) {
+    const last = daysInMonth(y, m);
+    const lastDow = new Date(y, m - 1, last).getDay();
+    return last - ((lastDow - weekday + 7) % 7);
+  }
+  const firstDow = new Date(y, m - 1, 1).getDay();
+  const day = 1 + ((weekday - firstDow + 7) % 7) + (nth - 1) * 7;
+  return day <= daysInMonth(y, m) ? day : null;
+}
+
+// Candidate dates month by month, starting with the month of afterISO
+function firstMonthlyAfter(afterISO, dayInMonth) {
+  let [y, m] = afterISO.split("-").map(Number);
+  for (let i = 0; i < 13 * 10; i++) {
+    const day = dayInMonth(y, m);
+    if (day) {
+      const iso = `${y}-${pad2(m)}-${pad2(day)}`;
+      if (iso > afterISO) return iso;
+    }
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return addDaysISO(afterISO, 365); // unreachable for normalized rules
+}
+
+// Sunday of iso's week
+function weekStartISO(iso) {
+  return addDaysISO(iso, -weekdayOfISO(iso));
+}
+
+export function nextOccurrenceISO(rule, afterISO) {
+  switch (rule.type) {
+    case "weekly": {
+      // The rest of this week if it's an active one, else the next active week
+      const anchor = weekStartISO(rule.startISO ?? afterISO);
+      for (let i = 1; i <= 7 * (rule.everyWeeks + 1); i++) {
+        const iso = addDaysISO(afterISO, i);
+        const weeks = daysBetweenISO(anchor, weekStartISO(iso)) / 7;
+        if (weeks % rule.everyWeeks === 0 && rule.weekdays.includes(weekdayOfISO(iso))) return iso;
+      }
+      return addDaysISO(afterISO, 7 * rule.everyWeeks); // unreachable for normalized rules
+    }
+    case "monthlyNth":
+      return firstMonthlyAfter(afterISO, (y, m) => nthWeekdayOfMonth(y, m, rule.nth, rule.weekday));
+    case "monthlyDay":
+      return firstMonthlyAfter(afterISO, (y, m) => Math.min(rule.day, daysInMonth(y, m)));
+    case "yearly":
+      return firstMonthlyAfter(afterISO, (y, m) =>
+        rule.months.includes(m) ? Math.min(rule.day, daysInMonth(y, m)) : null
+      );
+    default:
+      return addDaysISO(afterISO, Math.max(1, rule.days));
+  }
+}
+
+// Typical gap between occurrences, used as freqDays for non-interval rules
+export function rulePeriodDays(rule) {
+  switch (rule.type) {
+    case "weekly":
+      return Math.max(1, Math.round((7 * rule.everyWeeks) / rule.weekdays.length));
+    case "monthlyNth":
+    case "monthlyDay":
+      return 30;
+    case "yearly":
+      return Math.round(365 / rule.months.length);
+    default:
+      return rule.days;
+  }
+}
+
+function ordinal(n) {
+  if (n === -1) return "Last";
+  return ["1st", "2nd", "3rd", "4th"][n - 1];
+}
+
+export function describeRule(rule) {
+  switch (rule.type) {
+    case "weekly": {
+      const days =
+        rule.weekdays.join() === "1,2,3,4,5" ? "Weekdays" : rule.weekdays.map((d) => WEEKDAY_LABELS[d]).join(", ");
+      return rule.everyWeeks > 1 ? `Every ${rule.everyWeeks} weeks: ${days}` : days;
+    }
+    case "monthlyNth":
+      return `${ordinal(rule.nth)} ${WEEKDAY_LABELS[rule.weekday]} monthly`;
+    case "monthlyDay":
+      return `Monthly on day ${rule.day}`;
+    case "yearly":
+      return `${rule.months.map((m) => MONTH_LABELS[m - 1]).join(" & ")}, day ${rule.day}`;
+    default:
+      return `Every ${rule.days}d`;
+  }
+}
@@ -0,0 +1,332 @@
+import { persistable } from "./actionLog.js";
+import { normalizeAwayPeriods } from "./away.js";
+import { isValidISODate, parseUSDateToISO } from "./dates.js";
+import { IMPORTANCE_LEVELS } from "./planner.js";
+import { normalizeRule } from "./recurrence.js";
+import { MAX_BUDGET_MIN, normalizeSettings } from "./settings.js";
+import { normalizeTimer } from "./timer.js";
+import { clampInt, uid } from "./util.js";
+
+/**
+ * Stored state schema. Runs on load and on restore:
+ *   raw JSON -> migrateState (v1 -> v2 -> ... -> SCHEMA_VERSION) -> validateState
+ *
+ * v1: { tasks }                        first backups
+ * v2: { tasks, todayPlan }             localStorage "housework_queue_v2" before versioning
+ * v3: + settings, timer, log, schemaVersion
+ * v4: + tombstones, settingsUpdatedAtISO (sync bookkeeping, see syncMerge.js)
+ * v5: + revision (bumped on every save, see storage.js)
+ * v6: + weekPlan (see weekPlan.js)
+ */
+
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Data that can't be loaded at all. `code` and `params` are for the app to
+ * show in the user's language (see i18n/format.js errorText); the message is
+ * the English text for the CLI and the sync server.
+ */
+export class DataError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const MIGRATIONS = [
+  { from: 1, to: 2, migrate: (s) => ({ ...s, todayPlan: null }) },
+  {
+    from: 2,
+    to: 3,
+    migrate: (s) => ({
+      ...s,
+      settings: normalizeSettings(s.settings),
+      timer: s.timer ?? null,
+      log: Array.isArray(s.log) ? s.log : [],
+    }),
+  },
+  { from: 3, to: 4, migrate: (s) => ({ ...s, tombstones: {}, settingsUpdatedAtISO: null }) },
+  { from: 4, to: 5, migrate: (s) => ({ ...s, revision: 0 }) },
+  { from: 5, to: 6, migrate: (s) => ({ ...s, weekPlan: null }) },
+];
+
+export function detectVersion(raw) {
+  if (Number.isInteger(raw.schemaVersion)) return raw.schemaVersion;
+  return "todayPlan" in raw ? 2 : 1;
+}
+
+// Throws if the data isn't a state object or comes from a newer version of the app
+export function migrateState(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new DataError("notObject", "Saved data is not an object.");
+  if (!Array.isArray(raw.tasks)) throw new DataError("noTaskList", "Saved data has no task list.");
+
+  const fromVersion = detectVersion(raw);
+  if (fromVersion > SCHEMA_VERSION) {
+    const message = `Data is from a newer version of the app (schema v${fromVersion}). Please update the app.`;
+    throw new DataError("newerVersion", message, { version: fromVersion });
+  }
+
+  let state = raw;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    const step = MIGRATIONS.find((m) => m.from === v);
+    if (!step) throw new DataError("noMigration", `No migration from schema v${v}.`, { version: v });
+    state = step.migrate(state);
+  }
+  return { state: { ...state, schemaVersion: SCHEMA_VERSION }, fromVersion };
+}
+
+function isTimestamp(value) {
+  return typeof value === "string" && !isNaN(Date.parse(value));
+}
+
+function toISODate(value) {
+  if (isValidISODate(value)) return value;
+  const parsed = parseUSDateToISO(value);
+  return parsed && isValidISODate(parsed) ? parsed : null;
+}
+
+/**
+ * Check one task. Returns { task, fixes } or { reason } when the record can't
+ * be used at all. Fixes and reasons are { code, ...params } (see validateState).
+ */
+function validateTask(raw, seenIds, memberIds) {
+  if (!raw || typeof raw !== "object") return { reason: { code: "notTask" } };
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) return { reason: { code: "missingName" } };
+
+  const lastDoneISO = toISODate(raw.lastDoneISO);
+  if (!lastDoneISO) return { reason: { code: "badLastDone", value: String(raw.lastDoneISO) } };
+
+  const fixes = [];
+  const task = { ...raw, name, lastDoneISO };
+  if (lastDoneISO !== raw.lastDoneISO) fixes.push({ code: "lastDoneReadAs", value: raw.lastDoneISO, date: lastDoneISO });
+
+  if (typeof raw.id !== "string" || !raw.id || seenIds.has(raw.id)) {
+    task.id = uid();
+    fixes.push({ code: raw.id ? "idReplaced" : "idAdded" });
+  }
+  seenIds.add(task.id);
+
+  const freq = Number(raw.freqDays);
+  if (!Number.isFinite(freq) || freq < 1 || freq > 3650 || !Number.isInteger(freq)) {
+    task.freqDays = Number.isFinite(freq) ? clampInt(freq, 1, 3650) : 7;
+    fixes.push({ code: "frequencySet", value: String(raw.freqDays), count: task.freqDays });
+  }
+
+  const est = Number(raw.estMin);
+  if (!Number.isFinite(est) || est < 1 || est > 240) {
+    task.estMin = Number.isFinite(est) ? clampInt(est, 1, 240) : 15;
+    fixes.push({ code: "estimateSet", value: String(raw.estMin), min: task.estMin });
+  }
+
+  if (raw.recurrence != null && !normalizeRule(raw.recurrence)) {
+    task.recurrence = null;
+    fixes.push({ code: "scheduleDropped" });
+  }
+
+  if (raw.room != null && typeof raw.room !== "string") {
+    task.room = "";
+    fixes.push({ code: "roomCleared" });
+  }
+  if (raw.tags != null && !(Array.isArray(raw.tags) && raw.tags.every((x) => typeof x === "string"))) {
+    task.tags = Array.isArray(raw.tags) ? raw.tags.filter((x) => typeof x === "string") : [];
+    fixes.push({ code: "tagsCleaned" });
+  }
+  if (raw.assigneeId && !memberIds.has(raw.assigneeId)) {
+    task.assigneeId = null;
+    fixes.push({ code: "assigneeCleared" });
+  }
+  if (raw.importance != null && !IMPORTANCE_LEVELS.includes(raw.importance)) {
+    delete task.importance;
+    fixes.push({ code: "importanceReset", value: String(raw.importance) });
+  }
+  if (raw.deadlineISO) {
+    const deadline = toISODate(raw.deadlineISO);
+    task.deadlineISO = deadline;
+    if (!deadline) fixes.push({ code: "deadlineCleared", value: String(raw.deadlineISO) });
+    else if (deadline !== raw.deadlineISO) fixes.push({ code: "deadlineReadAs", value: raw.deadlineISO, date: deadline });
+  }
+  if (raw.awayPeriods != null) {
+    task.awayPeriods = normalizeAwayPeriods(raw.awayPeriods);
+    const bad = (Array.isArray(raw.awayPeriods) ? raw.awayPeriods.length : 1) - task.awayPeriods.length;
+    if (bad > 0) fixes.push({ code: "pausesDropped", count: bad });
+  }
+  if (raw.resetAfterAway != null && typeof raw.resetAfterAway !== "boolean") task.resetAfterAway = !!raw.resetAfterAway;
+  if (raw.snoozeUntilISO && !isValidISODate(raw.snoozeUntilISO)) {
+    task.snoozeUntilISO = null;
+    fixes.push({ code: "snoozeCleared" });
+  }
+  if (raw.updatedAtISO != null && !isTimestamp(raw.updatedAtISO)) {
+    delete task.updatedAtISO;
+    fixes.push({ code: "syncStampCleared" });
+  }
+  if (raw.removedHistory != null && !(typeof raw.removedHistory === "object" && Object.values(raw.removedHistory).every(isTimestamp))) {
+    delete task.removedHistory;
+    fixes.push({ code: "syncStampCleared" });
+  }
+
+  const history = Array.isArray(raw.history) ? raw.history : [];
+  task.history = history.filter((h) => h && typeof h === "object" && isValidISODate(h.dateISO));
+  if (!Array.isArray(raw.history) && raw.history != null) fixes.push({ code: "historyCleared" });
+  const dropped = history.length - task.history.length;
+  if (dropped > 0) fixes.push({ code: "historyDropped", count: dropped });
+
+  return { task, fixes };
+}
+
+// What normalizeBudgets changed in a budgets record that was there
+function budgetFixes(raw, budgets) {
+  if (raw == null) return [];
+  if (typeof raw !== "object") return [{ code: "budgetsReset" }];
+  const fixes = [];
+  if (raw.weekday != null && !Array.isArray(raw.weekday)) fixes.push({ code: "weekdayBudgetsReset" });
+  const weekday = Array.isArray(raw.weekday) ? budgets.weekday.filter((min, i) => raw.weekday[i] !== undefined && raw.weekday[i] !== min).length : 0;
+  if (weekday > 0) fixes.push({ code: "weekdayBudgetsClamped", count: weekday, max: MAX_BUDGET_MIN });
+  const overrides = Object.entries(raw.overrides ?? {}).filter(([iso, min]) => budgets.overrides[iso] !== min).length;
+  if (overrides > 0) fixes.push({ code: "overridesFixed", count: overrides });
+  return fixes;
+}
+
+const CHECKED_SETTINGS = ["planStrategy", "planConfidence", "zoneMode", "zoneMaxRooms", "planMode"];
+
+// What normalizeSettings repaired, as { record, issue } (fields that are just missing get defaults silently)
+function settingsFixes(raw, settings) {
+  if (raw == null) return [];
+  const record = { code: "settings" };
+  if (typeof raw !== "object" || Array.isArray(raw)) return [{ record, issue: { code: "settingsReset" } }];
+  const fixes = budgetFixes(raw.budgets, settings.budgets).map((issue) => ({ record, issue }));
+  for (const key of CHECKED_SETTINGS) {
+    if (key in raw && raw[key] !== settings[key]) {
+      fixes.push({ record, issue: { code: "settingReset", setting: key, value: String(raw[key]), to: String(settings[key]) } });
+    }
+  }
+
+  if (raw.members != null) {
+    const kept = Array.isArray(raw.members) ? raw.members.filter((m) => m && typeof m.id === "string") : [];
+    const dropped = (Array.isArray(raw.members) ? raw.members.length : 1) - kept.length;
+    if (dropped > 0) fixes.push({ record, issue: { code: "membersDropped", count: dropped } });
+    kept.forEach((m, i) => {
+      const member = settings.members[i];
+      const memberRecord = { code: "member", name: member.name };
+      if (member.name !== String(m.name ?? "").trim()) fixes.push({ record: memberRecord, issue: { code: "memberNamed" } });
+      for (const issue of budgetFixes(m.budgets, member.budgets)) fixes.push({ record: memberRecord, issue });
+    });
+  }
+
+  if (raw.awayPeriods != null) {
+    const dropped = (Array.isArray(raw.awayPeriods) ? raw.awayPeriods.length : 1) - settings.awayPeriods.length;
+    if (dropped > 0) fixes.push({ record, issue: { code: "awayDropped", count: dropped } });
+  }
+  return fixes;
+}
+
+function validatePlan(plan, taskIds) {
+  if (plan == null) return { plan: null, fixes: [] };
+  if (typeof plan !== "object" || !isValidISODate(plan.dateISO) || !Array.isArray(plan.pickedIds)) {
+    return { plan: null, fixes: [{ code: "planUnreadable" }] };
+  }
+  const keep = (ids) => (Array.isArray(ids) ? ids.filter((id) => taskIds.has(id)) : []);
+  const out = {
+    ...plan,
+    pickedIds: keep(plan.pickedIds),
+    completedIds: keep(plan.completedIds),
+    skippedIds: keep(plan.skippedIds),
+  };
+  if (plan.byMember && typeof plan.byMember === "object") {
+    out.byMember = Object.fromEntries(Object.entries(plan.byMember).map(([id, ids]) => [id, keep(ids)]));
+  }
+  const dropped = plan.pickedIds.length - out.pickedIds.length;
+  return { plan: out, fixes: dropped > 0 ? [{ code: "planTasksRemoved", count: dropped }] : [] };
+}
+
+function validateWeekPlan(week, taskIds) {
+  if (week == null) return { week: null, fixes: [] };
+  if (typeof week !== "object" || !isValidISODate(week.startISO) || !week.days || typeof week.days !== "object") {
+    return { week: null, fixes: [{ code: "weekPlanUnreadable" }] };
+  }
+  const keep = (ids) => (Array.isArray(ids) ? ids.filter((id) => taskIds.has(id)) : []);
+  const days = Object.fromEntries(Object.entries(week.days).filter(([iso]) => isValidISODate(iso)).map(([iso, ids]) => [iso, keep(ids)]));
+  return { week: { ...week, days, unplannedIds: keep(week.unplannedIds) }, fixes: [] };
+}
+
+/**
+ * Validate a migrated state. Returns { state, report } where
+ * report = { repaired: [{ record, issue }], rejected: [{ record, reason }] }.
+ * Rejected tasks are left out; everything else is repaired in place.
+ * Records, issues and reasons are { code, ...params } for i18n/format.js to
+ * put into words; a `date` param is "YYYY-MM-DD".
+ */
+export function validateState(input) {
+  const report = { repaired: [], rejected: [] };
+  const settings = normalizeSettings(input.settings);
+  report.repaired.push(...settingsFixes(input.settings, settings));
+  const memberIds = new Set(settings.members.map((m) => m.id));
+  const seenIds = new Set();
+
+  const tasks = [];
+  input.tasks.forEach((raw, i) => {
+    const record = typeof raw?.name === "string" && raw.name.trim() ? { code: "task", name: raw.name.trim() } : { code: "taskNumber", number: i + 1 };
+    const { task, fixes, reason } = validateTask(raw, seenIds, memberIds);
+    if (!task) return report.rejected.push({ record, reason });
+    for (const issue of fixes) report.repaired.push({ record, issue });
+    tasks.push(task);
+  });
+
+  const taskIds = new Set(tasks.map((t) => t.id));
+  const { plan, fixes } = validatePlan(input.todayPlan, taskIds);
+  for (const issue of fixes) report.repaired.push({ record: { code: "todayPlan" }, issue });
+  const { week, fixes: weekFixes } = validateWeekPlan(input.weekPlan, taskIds);
+  for (const issue of weekFixes) report.repaired.push({ record: { code: "weekPlan" }, issue });
+
+  const log = Array.isArray(input.log)
+    ? input.log.filter((e) => e && typeof e.id === "string" && typeof e.label === "string" && isTimestamp(e.atISO))
+    : [];
+  if (Array.isArray(input.log) && log.length !== input.log.length) {
+    report.repaired.push({ record: { code: "log" }, issue: { code: "logEntriesDropped", count: input.log.length - log.length } });
+  }
+
+  const tombstones = Object.fromEntries(
+    Object.entries(input.tombstones && typeof input.tombstones === "object" ? input.tombstones : {}).filter(
+      ([id, at]) => !seenIds.has(id) && isTimestamp(at)
+    )
+  );
+
+  return {
+    state: {
+      ...input,
+      tasks,
+      todayPlan: plan,
+      weekPlan: week,
+      settings,
+      settingsUpdatedAtISO: isTimestamp(input.settingsUpdatedAtISO) ? input.settingsUpdatedAtISO : null,
+      timer: normalizeTimer(input.timer, tasks),
+      log,
+      tombstones,
+      revision: Number.isInteger(input.revision) && input.revision >= 0 ? input.revision : 0,
+    },
+    report,
+  };
+}
+
+// migrateState + validateState
+export function loadAndValidate(raw) {
+  const { state, fromVersion } = migrateState(raw);
+  return { ...validateState(state), fromVersion };
+}
+
+export function hasIssues(report) {
+  return !!report && (report.repaired.length > 0 || report.rejected.length > 0);
+}
+
+// Pull the state out of a backup file: v1 { tasks } or v2 { version: 2, state }
+export function stateFromBackup(parsed) {
+  if (parsed?.state && typeof parsed.state === "object") return parsed.state;
+  if (Array.isArray(parsed?.tasks)) return { tasks: parsed.tasks };
+  throw new DataError("notBackup", "Invalid backup format.");
+}
+
+// The backup file written by the app and the CLI (state without the undo stacks)
+export function backupPayload(state, exportedAtISO = new Date().toISOString()) {
+  return { version: 2, exportedAtISO, state: persistable(state) };
+}
@@ -0,0 +1,115 @@
+import { awayPeriodOn, normalizeAwayPeriods } from "./away.js";
+import { isISODate, WEEKDAY_LABELS, weekdayOfISO } from "./dates.js";
+import { CONFIDENCE_LEVELS } from "./estimates.js";
+import { PLAN_STRATEGIES, ZONE_MODES } from "./planner.js";
+import { clampInt, uid } from "./util.js";
+
+/**
+ * Persisted household settings (state.settings).
+ *
+ * budgets.weekday: minutes available per weekday, Sunday first
+ * budgets.overrides: { "YYYY-MM-DD": minutes } for one-off days
+ * members: [{ id, name, budgets }] household members, each with their own
+ *   budgets. With no members the app plans for one person using `budgets`.
+ * zoneMode / zoneMaxRooms: plan room by room ("group") or stick to the
+ *   most urgent one or two rooms ("focus")
+ * planConfidence: 50 | 80 | 90 | 95, see estimates.js
+ * awayPeriods: [{ id, startISO, endISO, label? }] when the household is away;
+ *   no budget on those days and they don't count toward overdue (see away.js)
+ * planMode: "day" plans each morning on its own; "week" keeps a plan for
+ *   the days ahead and takes each day's list from it (see weekPlan.js)
+ */
+
+export const MAX_BUDGET_MIN = 480;
+export const PLAN_MODES = ["day", "week"];
+
+export function defaultBudgets(minutes = 60) {
+  return { weekday: WEEKDAY_LABELS.map(() => minutes), overrides: {} };
+}
+
+export function defaultSettings() {
+  return {
+    budgets: defaultBudgets(),
+    planStrategy: "optimal",
+    planConfidence: 50,
+    members: [],
+    zoneMode: "off",
+    zoneMaxRooms: 1,
+    awayPeriods: [],
+    planMode: "day",
+  };
+}
+
+export function newMember(name) {
+  return { id: uid(), name, budgets: defaultBudgets(30) };
+}
+
+export function normalizeBudgets(raw) {
+  const base = defaultBudgets();
+  const weekday = Array.isArray(raw?.weekday)
+    ? base.weekday.map((fallback, i) => clampInt(raw.weekday[i] ?? fallback, 0, MAX_BUDGET_MIN))
+    : base.weekday;
+
+  const overrides = {};
+  for (const [iso, min] of Object.entries(raw?.overrides ?? {})) {
+    if (isISODate(iso)) overrides[iso] = clampInt(min, 0, MAX_BUDGET_MIN);
+  }
+  return { weekday, overrides };
+}
+
+// Fill in anything missing from older saved data or backups
+export function normalizeSettings(raw) {
+  const base = defaultSettings();
+  return {
+    ...base,
+    ...(raw && typeof raw === "object" ? raw : {}),
+    budgets: normalizeBudgets(raw?.budgets),
+    planStrategy: PLAN_STRATEGIES.includes(raw?.planStrategy) ? raw.planStrategy : base.planStrategy,
+    planConfidence: CONFIDENCE_LEVELS.includes(raw?.planConfidence) ? raw.planConfidence : base.planConfidence,
+    members: Array.isArray(raw?.members)
+      ? raw.members
+          .filter((m) => m && typeof m.id === "string")
+          .map((m) => ({ id: m.id, name: String(m.name ?? "").trim() || "Someone", budgets: normalizeBudgets(m.budgets) }))
+      : [],
+    zoneMode: ZONE_MODES.includes(raw?.zoneMode) ? raw.zoneMode : base.zoneMode,
+    zoneMaxRooms: clampInt(raw?.zoneMaxRooms ?? base.zoneMaxRooms, 1, 2),
+    awayPeriods: normalizeAwayPeriods(raw?.awayPeriods),
+    planMode: PLAN_MODES.includes(raw?.planMode) ? raw.planMode : base.planMode,
+  };
+}
+
+export function zoneOptions(settings) {
+  return { mode: settings.zoneMode, maxRooms: settings.zoneMaxRooms };
+}
+
+// ctx for the scheduling functions in planner.js
+export function scheduleContext(settings) {
+  return { awayPeriods: settings.awayPeriods };
+}
+
+// Options for buildPlan / buildHouseholdPlan from the saved settings
+export function planOptions(settings) {
+  return {
+    strategy: settings.planStrategy,
+    zone: zoneOptions(settings),
+    confidence: settings.planConfidence,
+    budgetForDate: (iso) => householdBudgetForDate(settings, iso),
+    ctx: scheduleContext(settings),
+  };
+}
+
+export function isAwayOn(settings, iso) {
+  return !!awayPeriodOn(settings.awayPeriods, iso);
+}
+
+export function budgetForDate(budgets, iso) {
+  if (budgets.overrides && iso in budgets.overrides) return budgets.overrides[iso];
+  return budgets.weekday[weekdayOfISO(iso)] ?? 0;
+}
+
+// Total minutes the household has on a date (every member's budget, or the shared one)
+export function householdBudgetForDate(settings, iso) {
+  if (isAwayOn(settings, iso)) return 0;
+  if (settings.members.length === 0) return budgetForDate(settings.budgets, iso);
+  return settings.members.reduce((sum, m) => sum + budgetForDate(m.budgets, iso), 0);
+}
@@ -0,0 +1,251 @@
+import { detectDateOrder, isAmbiguousDate, parseDateToISO } from "./dates.js";
+import { taskRule } from "./recurrence.js";
+import { clampInt, uid } from "./util.js";
+
+/**
+ * Spreadsheet import/export. Rows are tab-separated (best) or comma-separated:
+ * name, frequency (days), last done, minutes?, room?, tags?
+ * Last done is YYYY-MM-DD or in the chosen dateFormat (see DATE_FORMATS).
+ * Tags inside a cell are separated by ";" (or "|", or "," in tab-separated rows).
+ * Comma-separated cells may be "quoted" (with "" for a quote), and a header
+ * row starting with "name" is skipped, so exported files import cleanly.
+ */
+
+export const TASK_COLUMNS = ["name", "freqDays", "lastDone", "estMin", "room", "tags"];
+
+// "kitchen; weekly, deep clean" -> ["kitchen", "weekly", "deep clean"]
+export function parseTags(s) {
+  const tags = String(s ?? "")
+    .split(/[;,|]/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// For matching rows to tasks: case, spacing and punctuation don't matter
+export function normalizeName(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function isNumberCell(s) {
+  return /^\s*\d+(\.\d+)?\s*$/.test(String(s ?? ""));
+}
+
+/**
+ * parts: [name, freqDays, lastDone, estMin?, room?, tags?]
+ * Returns { task } or { reason } explaining why the row can't be used, as
+ * { code, ...params } (see i18n/format.js importReasonText).
+ */
+export function parseImportRow(parts, dateFormat = "mdy") {
+  const name = (parts[0] || "").trim();
+  if (!name) return { reason: { code: "missingName" } };
+  if (parts.length < 3) return { reason: { code: "tooFewColumns" } };
+  if (!isNumberCell(parts[1]) || Number(parts[1]) < 1) {
+    return { reason: { code: "badFrequency", value: String(parts[1]).trim() } };
+  }
+
+  const lastDoneISO = parseDateToISO(parts[2], dateFormat);
+  if (!lastDoneISO) return { reason: { code: "badLastDone", value: String(parts[2]).trim(), dateFormat } };
+
+  const minutesCell = String(parts[3] ?? "").trim();
+  if (minutesCell && !isNumberCell(minutesCell)) return { reason: { code: "badMinutes", value: minutesCell } };
+
+  return {
+    task: {
+      id: uid(),
+      name,
+      freqDays: clampInt(parts[1], 1, 3650),
+      lastDoneISO,
+      estMin: clampInt(minutesCell || 15, 1, 240),
+      room: String(parts[4] ?? "").trim(),
+      tags: parseTags(parts[5]),
+      history: [],
+    },
+  };
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(quoted ? cell : cell.trim());
+  return cells;
+}
+
+function splitRow(line) {
+  return line.includes("\t") ? line.split("\t") : splitCsvLine(line);
+}
+
+function isHeaderRow(parts) {
+  return ["name", "task", "task name"].includes(normalizeName(parts[0])) && !isNumberCell(parts[1]);
+}
+
+/**
+ * Every non-blank line ends up in exactly one list:
+ * rows:     [{ lineNo, line, task, ambiguousDate }]
+ * rejected: [{ lineNo, line, reason }], reason as in parseImportRow
+ * A repeated name (after normalizeName) is rejected in favor of its first row.
+ * ambiguousDate: the last-done cell reads as a date either way round (03/04/2025).
+ */
+export function parsePasteDetailed(text, { dateFormat = "mdy" } = {}) {
+  const rows = [];
+  const rejected = [];
+  const seen = new Map(); // normalized name -> lineNo
+
+  String(text ?? "")
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line) return;
+      const lineNo = i + 1;
+      const parts = splitRow(line);
+      if (rows.length === 0 && rejected.length === 0 && isHeaderRow(parts)) return;
+
+      const { task, reason } = parseImportRow(parts, dateFormat);
+      if (!task) return rejected.push({ lineNo, line, reason });
+
+      const key = normalizeName(task.name);
+      if (seen.has(key)) return rejected.push({ lineNo, line, reason: { code: "duplicate", line: seen.get(key) } });
+      seen.set(key, lineNo);
+      rows.push({ lineNo, line, task, ambiguousDate: dateFormat !== "ymd" && isAmbiguousDate(parts[2]) });
+    });
+
+  return { rows, rejected };
+}
+
+// The day/month order the pasted last-done dates must be in, if they tell (see detectDateOrder)
+export function pasteDateOrder(text) {
+  const cells = String(text ?? "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => splitRow(line.trim())[2]);
+  return detectDateOrder(cells);
+}
+
+export function parsePaste(text, options) {
+  return parsePasteDetailed(text, options).rows.map((r) => r.task);
+}
+
+/**
+ * Compare parsed rows with the current task list (matched by normalizeName).
+ * Returns [{ lineNo, status: "added" | "changed" | "unchanged", task, existing?, changes }]
+ * where changes = [{ field, from, to }]. Empty room/tags cells never count
+ * as a change, and tasks on a calendar schedule keep it (frequency is ignored).
+ */
+export function diffImport(existingTasks, rows) {
+  const byName = new Map();
+  for (const t of existingTasks) {
+    const key = normalizeName(t.name);
+    if (!byName.has(key)) byName.set(key, t);
+  }
+
+  return rows.map(({ lineNo, task }) => {
+    const existing = byName.get(normalizeName(task.name));
+    if (!existing) return { lineNo, status: "added", task, changes: [] };
+
+    const changes = [];
+    const check = (field, from, to) => {
+      if (String(from ?? "") !== String(to ?? "")) changes.push({ field, from, to });
+    };
+    if (taskRule(existing).type === "interval") check("freqDays", existing.freqDays, task.freqDays);
+    check("lastDoneISO", existing.lastDoneISO, task.lastDoneISO);
+    check("estMin", existing.estMin, task.estMin);
+    if (task.room) check("room", existing.room ?? "", task.room);
+    if (task.tags.length) check("tags", (existing.tags ?? []).join("; "), task.tags.join("; "));
+
+    return { lineNo, status: changes.length ? "changed" : "unchanged", task, existing, changes };
+  });
+}
+
+// Apply chosen diff rows: new tasks are appended, matched tasks keep their id and history
+export function applyImportDiff(tasks, diffRows) {
+  const updates = new Map();
+  const added = [];
+  for (const d of diffRows) {
+    if (d.status === "added") added.push(d.task);
+    if (d.status !== "changed") continue;
+    const patch = {};
+    for (const c of d.changes) patch[c.field] = c.field === "tags" ? d.task.tags : d.task[c.field];
+    updates.set(d.existing.id, patch);
+  }
+  return [...tasks.map((t) => (updates.has(t.id) ? { ...t, ...updates.get(t.id) } : t)), ...added];
+}
+
+// One line per row, and no tabs anywhere (a tab makes the importer read the row as TSV)
+function formatCell(value, delimiter) {
+  const text = String(value ?? "").replace(/[\t\r\n]+/g, " ");
+  if (delimiter === "\t") return text;
+  return /[",]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toDelimited(rows, delimiter = ",") {
+  return rows.map((r) => r.map((c) => formatCell(c, delimiter)).join(delimiter)).join("\n") + "\n";
+}
+
+/**
+ * Task list in TASK_COLUMNS order, so the file can be pasted or merged back.
+ * There is no column for calendar schedules (weekly, monthly, yearly): those
+ * tasks export their typical gap as the frequency. Merging the file back
+ * keeps their schedule, but a replace import makes them every-N-days tasks.
+ */
+export function exportTasks(tasks, delimiter = ",") {
+  const rows = tasks.map((t) => [
+    t.name,
+    t.freqDays,
+    t.lastDoneISO,
+    t.estMin,
+    t.room ?? "",
+    (t.tags ?? []).join("; "),
+  ]);
+  return toDelimited([TASK_COLUMNS, ...rows], delimiter);
+}
+
+/**
+ * Every history entry, one row each (long format), oldest first.
+ * estMinAtTime is the estimate before that completion updated it; entries
+ * recorded before it was tracked leave it blank.
+ */
+export function exportHistory(tasks, members = [], delimiter = ",") {
+  const memberName = new Map(members.map((m) => [m.id, m.name]));
+  const rows = [];
+  for (const t of tasks) {
+    for (const h of t.history ?? []) {
+      rows.push([
+        t.name,
+        t.room ?? "",
+        h.dateISO,
+        h.kind ?? "done",
+        h.actualMin ?? "",
+        h.estMin ?? "",
+        memberName.get(h.byMemberId) ?? "",
+        h.reason ?? "",
+      ]);
+    }
+  }
+  rows.sort((a, b) => a[2].localeCompare(b[2]) || a[0].localeCompare(b[0]));
+  return toDelimited([["task", "room", "date", "kind", "actualMin", "estMinAtTime", "doneBy", "reason"], ...rows], delimiter);
+}
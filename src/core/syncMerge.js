@@ -0,0 +1,213 @@
+import { emptyUndo, trimLog } from "./actionLog.js";
+import { isCompletion } from "./history.js";
+
+/**
+ * Conflict resolution for multi-device sync. Shared by the app (sync.js) and
+ * the reference server (server/sync-server.js), so both sides merge the same way.
+ *
+ * Bookkeeping, added by stampChanges() on every local action:
+ *   task.updatedAtISO           last edit of that task
+ *   task.removedHistory         { entryKey: removedAtISO } so an undone Done propagates
+ *   state.tombstones            { taskId: deletedAtISO } so deletes propagate
+ *   state.settingsUpdatedAtISO  last settings edit
+ *   weekPlan.updatedAtISO       last change to the week plan
+ * and todayPlan.createdAtISO / .regenerated, set when the plan is made.
+ *
+ * Merge rules:
+ * - Tasks: the most recently edited copy wins whole. History entries only the
+ *   other copy has (a Done on another device) are added, each together with
+ *   what it did to the task (last done date, snooze), unless the winning copy
+ *   removed that entry after the other copy was edited.
+ * - A tombstone removes a task unless the task was edited after the delete.
+ * - Settings: most recently edited copy wins (remote on a tie).
+ * - Today's plan: the later day wins. For the same day the first automatic
+ *   plan is kept (so the household shares one list) unless someone pressed
+ *   Regenerate, then the newest regenerated plan wins. Completed and skipped
+ *   tasks from both copies are kept.
+ * - Week plan: the one starting later wins, then the most recently changed.
+ * - Log: union by entry id, in time order.
+ */
+
+const TOMBSTONE_DAYS = 180;
+
+function newer(a, b) {
+  return (b ?? "") > (a ?? "");
+}
+
+function sameJSON(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Record what a local action changed (prev -> next); returns next with stamps
+export function stampChanges(prev, next, atISO = new Date().toISOString()) {
+  const before = new Map(prev.tasks.map((t) => [t.id, t]));
+  const live = new Set(next.tasks.map((t) => t.id));
+  const cutoff = new Date(Date.parse(atISO) - TOMBSTONE_DAYS * 86400000).toISOString();
+  const out = {
+    ...next,
+    tasks: next.tasks.map((t) => (before.get(t.id) === t ? t : stampTask(before.get(t.id), t, atISO, cutoff))),
+  };
+
+  const tombstones = { ...(next.tombstones ?? {}) };
+  for (const id of before.keys()) if (!live.has(id)) tombstones[id] = atISO;
+  for (const id of live) delete tombstones[id];
+  for (const [id, at] of Object.entries(tombstones)) if (at < cutoff) delete tombstones[id];
+  out.tombstones = tombstones;
+
+  if (prev.settings !== next.settings) out.settingsUpdatedAtISO = atISO;
+  if (next.weekPlan && prev.weekPlan !== next.weekPlan) out.weekPlan = { ...next.weekPlan, updatedAtISO: atISO };
+  return out;
+}
+
+function entryKey(entry) {
+  return JSON.stringify(Object.keys(entry).sort().map((k) => [k, entry[k]]));
+}
+
+// Stamp an edited task and note history entries the edit removed (e.g. an undone Done)
+function stampTask(prev, task, atISO, cutoff) {
+  const removed = { ...(task.removedHistory ?? {}) };
+  const kept = new Set((task.history ?? []).map(entryKey));
+  for (const entry of prev?.history ?? []) {
+    const key = entryKey(entry);
+    if (!kept.has(key)) removed[key] = atISO;
+  }
+  for (const key of kept) delete removed[key];
+  for (const [key, at] of Object.entries(removed)) if (at < cutoff) delete removed[key];
+
+  const out = { ...task, updatedAtISO: atISO };
+  if (Object.keys(removed).length > 0) out.removedHistory = removed;
+  else delete out.removedHistory;
+  return out;
+}
+
+// What a history entry did to its task, applied on top of the winning copy (see completeTask/deferTask)
+function applyEntry(task, entry) {
+  if (isCompletion(entry) || entry.kind === "not-needed") {
+    if (entry.dateISO <= task.lastDoneISO) return task;
+    const out = { ...task, lastDoneISO: entry.dateISO, snoozeUntilISO: null };
+    if (isCompletion(entry)) out.deadlineISO = null;
+    return out;
+  }
+  if (entry.kind === "snooze" && entry.untilISO > (task.snoozeUntilISO ?? "")) return { ...task, snoozeUntilISO: entry.untilISO };
+  return task;
+}
+
+export function mergeTask(local, remote) {
+  const [base, other] = newer(local.updatedAtISO, remote.updatedAtISO) ? [remote, local] : [local, remote];
+  const removed = { ...(base.removedHistory ?? {}) };
+  for (const [key, at] of Object.entries(other.removedHistory ?? {})) {
+    if (newer(removed[key], at)) removed[key] = at;
+  }
+
+  const seen = new Set((base.history ?? []).map(entryKey));
+  const extra = (other.history ?? []).filter((e) => {
+    const key = entryKey(e);
+    return !seen.has(key) && !newer(other.updatedAtISO, base.removedHistory?.[key]);
+  });
+
+  let merged = { ...base };
+  if (extra.length > 0) {
+    merged = extra.reduce(applyEntry, merged);
+    merged.history = [...(base.history ?? []), ...extra].sort((x, y) => y.dateISO.localeCompare(x.dateISO));
+  }
+  for (const e of merged.history ?? []) delete removed[entryKey(e)];
+  if (Object.keys(removed).length > 0) merged.removedHistory = removed;
+  else delete merged.removedHistory;
+  return sameJSON(merged, local) ? local : merged;
+}
+
+function mergeIds(a, b) {
+  const set = new Set([...(a ?? []), ...(b ?? [])]);
+  return [...set];
+}
+
+function mergePlan(local, remote) {
+  if (!local || !remote) return local ?? remote ?? null;
+  if (local.dateISO !== remote.dateISO) return local.dateISO > remote.dateISO ? local : remote;
+  let base;
+  if (local.regenerated || remote.regenerated) {
+    const at = (p) => (p.regenerated ? p.createdAtISO : "");
+    base = newer(at(remote), at(local)) ? local : remote;
+  } else {
+    base = newer(local.createdAtISO, remote.createdAtISO) ? local : remote; // earlier one
+  }
+  const merged = { ...base, completedIds: mergeIds(local.completedIds, remote.completedIds) };
+  if (local.skippedIds || remote.skippedIds) merged.skippedIds = mergeIds(local.skippedIds, remote.skippedIds);
+  return sameJSON(merged, local) ? local : merged;
+}
+
+function mergeWeekPlan(local, remote) {
+  if (!local || !remote) return local ?? remote ?? null;
+  if (local.startISO !== remote.startISO) return local.startISO > remote.startISO ? local : remote;
+  return newer(remote.updatedAtISO, local.updatedAtISO) || sameJSON(local, remote) ? local : remote;
+}
+
+function mergeLog(a = [], b = []) {
+  const ids = new Set(a.map((e) => e.id));
+  const extra = b.filter((e) => !ids.has(e.id));
+  if (extra.length === 0) return a;
+  return [...a, ...extra].sort((x, y) => x.atISO.localeCompare(y.atISO));
+}
+
+/**
+ * Merge a remote copy into the local state. Device-only parts of `local`
+ * (timer, undo stacks) are kept. Returns `local` itself when nothing changed.
+ */
+export function mergeStates(local, remote) {
+  const tombstones = { ...(remote.tombstones ?? {}) };
+  for (const [id, at] of Object.entries(local.tombstones ?? {})) {
+    if (newer(tombstones[id], at)) tombstones[id] = at;
+  }
+
+  const remoteById = new Map(remote.tasks.map((t) => [t.id, t]));
+  const localIds = new Set(local.tasks.map((t) => t.id));
+  const tasks = [
+    ...local.tasks.map((t) => (remoteById.has(t.id) ? mergeTask(t, remoteById.get(t.id)) : t)),
+    ...remote.tasks.filter((t) => !localIds.has(t.id)),
+  ].filter((t) => !tombstones[t.id] || newer(tombstones[t.id], t.updatedAtISO));
+  for (const t of tasks) delete tombstones[t.id]; // edited after the delete
+
+  const remoteSettings = !newer(remote.settingsUpdatedAtISO, local.settingsUpdatedAtISO);
+  const merged = {
+    ...local,
+    tasks,
+    tombstones,
+    settings: remoteSettings && !sameJSON(remote.settings, local.settings) ? remote.settings : local.settings,
+    settingsUpdatedAtISO: remoteSettings ? remote.settingsUpdatedAtISO ?? null : local.settingsUpdatedAtISO,
+    todayPlan: mergePlan(local.todayPlan, remote.todayPlan),
+    weekPlan: mergeWeekPlan(local.weekPlan ?? null, remote.weekPlan ?? null),
+    log: mergeLog(local.log, remote.log),
+  };
+
+  const unchanged =
+    tasks.length === local.tasks.length &&
+    tasks.every((t, i) => t === local.tasks[i]) &&
+    merged.settings === local.settings &&
+    merged.todayPlan === local.todayPlan &&
+    merged.weekPlan === (local.weekPlan ?? null) &&
+    merged.log === local.log &&
+    sameJSON(tombstones, local.tombstones ?? {}) &&
+    merged.settingsUpdatedAtISO === local.settingsUpdatedAtISO;
+  return unchanged ? local : merged;
+}
+
+// This tab's save lost to another tab's newer one. Rather than drop this tab's
+// change, it goes on top of the saved copy, merged as in a sync, to be saved
+// again. Always a new object (so it is saved), with undo started over.
+export function mergeSavedState(local, stored) {
+  return { ...mergeStates(local, stored), undo: emptyUndo() };
+}
+
+// The part of the state that is shared between devices
+export function syncPayload(state) {
+  return {
+    schemaVersion: state.schemaVersion,
+    tasks: state.tasks,
+    tombstones: state.tombstones ?? {},
+    settings: state.settings,
+    settingsUpdatedAtISO: state.settingsUpdatedAtISO ?? null,
+    todayPlan: state.todayPlan,
+    weekPlan: state.weekPlan ?? null,
+    log: trimLog(state.log),
+  };
+}
@@ -0,0 +1,57 @@
+import { daysBetweenISO } from "./dates.js";
+import { computeDueISO, daysOverdue } from "./planner.js";
+import { clampInt } from "./util.js";
+
+/**
+ * Marking a task done (the app's Done dialog and the CLI), and its due label.
+ */
+
+// Exponentially weighted average: new estimate leans 30% toward the latest time
+export function ewmaUpdate(oldEst, actualMin, alpha = 0.3) {
+  const oldV = Math.max(1, Number(oldEst) || 15);
+  const actV = Math.max(1, Number(actualMin) || oldV);
+  return Math.max(1, Math.round(oldV * (1 - alpha) + actV * alpha));
+}
+
+/**
+ * The task after being done on dateISO in actualMin minutes: history entry
+ * added, estimate updated, snooze and deadline cleared, cycle restarted.
+ */
+export function completeTask(task, { dateISO, actualMin, byMemberId }) {
+  const actual = clampInt(actualMin, 1, 240);
+  const entry = { dateISO, actualMin: actual, estMin: Math.max(1, task.estMin || 15) };
+  if (byMemberId) entry.byMemberId = byMemberId;
+
+  return {
+    ...task,
+    lastDoneISO: dateISO,
+    estMin: ewmaUpdate(task.estMin, actual, 0.3),
+    snoozeUntilISO: null,
+    deadlineISO: null, // met
+    history: [entry, ...(Array.isArray(task.history) ? task.history : [])],
+  };
+}
+
+/**
+ * completeTask on one task of the state; also stops its timer and ticks it
+ * off that day's plan. Returns the state unchanged if the id is unknown.
+ */
+export function markDone(state, taskId, { dateISO, actualMin, byMemberId }) {
+  if (!state.tasks.some((t) => t.id === taskId)) return state;
+  const tasks = state.tasks.map((t) => (t.id === taskId ? completeTask(t, { dateISO, actualMin, byMemberId }) : t));
+  const timer = state.timer?.taskId === taskId ? null : state.timer;
+
+  const plan = state.todayPlan;
+  if (!plan || plan.dateISO !== dateISO) return { ...state, tasks, timer };
+  const completedIds = plan.completedIds?.includes(taskId) ? plan.completedIds : [...(plan.completedIds ?? []), taskId];
+  return { ...state, tasks, timer, todayPlan: { ...plan, completedIds } };
+}
+
+// "Overdue by 3d" / "Due today" / "Due in 2d"; ctx as in planner.js (days away don't count)
+export function formatOverdueLabel(task, nowISO, ctx) {
+  const late = daysOverdue(task, nowISO, ctx);
+  if (late > 0) return `Overdue by ${late}d`;
+  const until = daysBetweenISO(nowISO, computeDueISO(task, ctx));
+  if (until <= 0) return `Due today`;
+  return `Due in ${until}d`;
+}
@@ -0,0 +1,52 @@
+/**
+ * Task timer (state.timer). Only one exists at a time:
+ * { taskId, startedAtMs: number | null, elapsedMs }
+ * startedAtMs is set while running; elapsedMs holds time from earlier runs.
+ * Wall-clock based, so it keeps counting across reloads and tab switches.
+ */
+
+export function startTimer(taskId, nowMs) {
+  return { taskId, startedAtMs: nowMs, elapsedMs: 0 };
+}
+
+export function isRunning(timer) {
+  return !!timer && timer.startedAtMs !== null;
+}
+
+export function timerElapsedMs(timer, nowMs) {
+  if (!timer) return 0;
+  const running = isRunning(timer) ? Math.max(0, nowMs - timer.startedAtMs) : 0;
+  return timer.elapsedMs + running;
+}
+
+export function pauseTimer(timer, nowMs) {
+  if (!isRunning(timer)) return timer;
+  return { ...timer, startedAtMs: null, elapsedMs: timerElapsedMs(timer, nowMs) };
+}
+
+export function resumeTimer(timer, nowMs) {
+  if (!timer || isRunning(timer)) return timer;
+  return { ...timer, startedAtMs: nowMs };
+}
+
+// Whole minutes for the Done form (at least 1)
+export function timerMinutes(timer, nowMs) {
+  return Math.max(1, Math.round(timerElapsedMs(timer, nowMs) / 60000));
+}
+
+export function formatElapsed(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(h ? 2 : 1, "0");
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+// Drop a timer that is malformed or points at a task that no longer exists
+export function normalizeTimer(timer, tasks) {
+  if (!timer || typeof timer !== "object") return null;
+  if (!tasks.some((t) => t.id === timer.taskId)) return null;
+  const elapsedMs = Number(timer.elapsedMs) || 0;
+  const startedAtMs = Number.isFinite(timer.startedAtMs) ? timer.startedAtMs : null;
+  return { taskId: timer.taskId, startedAtMs, elapsedMs: Math.max(0, elapsedMs) };
+}
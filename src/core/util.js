@@ -0,0 +1,9 @@
+export function clampInt(n, min, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return min;
+  return Math.max(min, Math.min(max, Math.round(x)));
+}
+
+export function uid() {
+  return Math.random().toString(36).slice(2, 10) + "-" + Date.now().toString(36);
+}
@@ -0,0 +1,295 @@
+import { addDaysISO, daysBetweenISO } from "./dates.js";
+import { plannedMinutes } from "./estimates.js";
+import { isSnoozed } from "./history.js";
+import { buildHouseholdPlan, computeDueISO, deadlineSchedule, importanceWeight, urgencyScore } from "./planner.js";
+import { rulePeriodDays, taskRule } from "./recurrence.js";
+import { budgetForDate, householdBudgetForDate, isAwayOn, planOptions, scheduleContext } from "./settings.js";
+
+/**
+ * Planning a week at a time (settings.planMode "week").
+ *
+ * state.weekPlan: { startISO, days: { [dateISO]: taskIds[] }, unplannedIds,
+ *   createdAtISO, updatedAtISO }
+ * covers WEEK_DAYS days from startISO, which is the first day not yet over.
+ * Each morning the day's list (state.todayPlan) is taken from it, and it
+ * rolls forward: unfinished tasks from days that ended move to the next
+ * day with room, and a new day is planned on the end.
+ *
+ * Tasks are placed on a day within that day's budget, like the forecast:
+ * - every time a task comes due in the week it is placed once, on or a
+ *   little before its due day (up to a third of its cycle, at most
+ *   MAX_LEAD_DAYS); a day with no room pushes it later
+ * - heavy tasks are placed first, each on the day where it costs least:
+ *   how full the day gets, plus a charge per day early or late. So big
+ *   chores land on different days instead of piling up on one.
+ * - then days with room left are topped up with tasks that come due just
+ *   after the week, lightest days first
+ * - deadline tasks go first and never after their deadline
+ * Tasks that can't be placed anywhere are listed in unplannedIds.
+ *
+ * The household is planned as one budget (every member's minutes); each
+ * day's list is split between people when it becomes todayPlan.
+ */
+
+export const WEEK_DAYS = 7;
+
+const MAX_LEAD_DAYS = 3;
+const EARLY_COST = 0.1; // per day before due
+const LATE_COST = 0.3; // per day after due, times importance
+
+function leadDays(task) {
+  return Math.min(MAX_LEAD_DAYS, Math.floor(rulePeriodDays(taskRule(task)) / 3));
+}
+
+function weekDates(startISO, days) {
+  return Array.from({ length: days }, (_, i) => addDaysISO(startISO, i));
+}
+
+/**
+ * A week plan from startISO. fixedDays: { [dateISO]: taskIds[] } days whose
+ * lists are kept as they are (tasks on them count as done that day); only
+ * the other days get new tasks.
+ */
+export function planWeek(state, startISO, { days = WEEK_DAYS, fixedDays = {}, createdAtISO = new Date().toISOString() } = {}) {
+  const { settings } = state;
+  const { confidence, ctx, budgetForDate: budgetOn } = planOptions(settings);
+  const dates = weekDates(startISO, days);
+  const endISO = dates[dates.length - 1];
+  const byId = new Map(state.tasks.map((t) => [t.id, t]));
+  const est = (t) => plannedMinutes(t, confidence);
+
+  const plan = Object.fromEntries(dates.map((d) => [d, (fixedDays[d] ?? []).filter((id) => byId.has(id))]));
+  const budget = new Map(dates.map((d) => [d, budgetOn(d)]));
+  const load = new Map(dates.map((d) => [d, plan[d].reduce((sum, id) => sum + est(byId.get(id)), 0)]));
+  const open = dates.filter((d) => !(d in fixedDays) && budget.get(d) > 0);
+
+  // Where each task stands after the fixed days: done on the last one it's on
+  const lastDone = new Map(state.tasks.map((t) => [t.id, t.lastDoneISO]));
+  for (const d of dates) for (const id of plan[d]) if (d > lastDone.get(id)) lastDone.set(id, d);
+
+  const deadlines = deadlineSchedule(state.tasks, startISO, budgetOn, { confidence });
+  const hasDeadline = (t) => deadlines.has(t.id) && !dates.some((d) => d in fixedDays && plan[d].includes(t.id));
+
+  // Next time task comes due: { dueISO, earliestISO, latestISO } or null when it's on hold
+  function nextDue(task) {
+    const sim = { ...task, lastDoneISO: lastDone.get(task.id) };
+    const deadline = hasDeadline(task) ? deadlines.get(task.id).deadlineISO : null;
+    const recurring = computeDueISO(sim, ctx);
+    const dueISO = deadline && deadline < recurring ? deadline : recurring;
+    const earliestISO = deadline ? startISO : addDaysISO(dueISO, -leadDays(sim));
+    return { dueISO, earliestISO, latestISO: deadline ?? endISO };
+  }
+
+  function cost(task, d, dueISO) {
+    const ratio = (load.get(d) + est(task)) / Math.max(1, budget.get(d));
+    const offset = daysBetweenISO(dueISO, d);
+    return ratio + (offset < 0 ? -offset * EARLY_COST : offset * LATE_COST * importanceWeight(task));
+  }
+
+  // The cheapest day task fits on, or null
+  function bestDay(task, { dueISO, earliestISO, latestISO }) {
+    let best = null;
+    for (const d of open) {
+      if (d < earliestISO || d > latestISO || d <= lastDone.get(task.id)) continue;
+      if (isSnoozed(task, d) || plan[d].includes(task.id)) continue;
+      if (load.get(d) + est(task) > budget.get(d)) continue;
+      if (!best || cost(task, d, dueISO) < cost(task, best, dueISO)) best = d;
+    }
+    return best;
+  }
+
+  function place(task, d) {
+    plan[d].push(task.id);
+    load.set(d, load.get(d) + est(task));
+    lastDone.set(task.id, d);
+  }
+
+  // Every time each task comes due in the week; deadlines first, then heaviest first
+  const unplanned = new Set();
+  const order = state.tasks
+    .slice()
+    .sort(
+      (a, b) =>
+        hasDeadline(b) - hasDeadline(a) ||
+        est(b) - est(a) ||
+        urgencyScore(b, startISO, ctx) - urgencyScore(a, startISO, ctx)
+    );
+  for (const task of order) {
+    for (;;) {
+      const due = nextDue(task);
+      if (due.dueISO > endISO) break;
+      const d = bestDay(task, due);
+      if (!d) {
+        if (!isSnoozed(task, endISO)) unplanned.add(task.id);
+        break;
+      }
+      place(task, d);
+      if (hasDeadline(task)) deadlines.delete(task.id); // cleared once done
+    }
+  }
+
+  // Top up days with room using what comes due soon after the week, lightest days first
+  const soon = state.tasks
+    .filter((t) => !unplanned.has(t.id))
+    .map((t) => ({ task: t, due: nextDue(t) }))
+    .filter(({ due }) => due.dueISO > endISO && due.earliestISO <= endISO)
+    .sort((a, b) => a.due.dueISO.localeCompare(b.due.dueISO) || est(b.task) - est(a.task));
+  for (const { task, due } of soon) {
+    const fits = open
+      .filter((d) => d >= due.earliestISO && d > lastDone.get(task.id) && !isSnoozed(task, d))
+      .filter((d) => !plan[d].includes(task.id) && load.get(d) + est(task) <= budget.get(d))
+      .sort((a, b) => load.get(a) / budget.get(a) - load.get(b) / budget.get(b) || b.localeCompare(a));
+    if (fits.length > 0) place(task, fits[0]);
+  }
+
+  // Within a day, most urgent first
+  for (const d of open) plan[d].sort((a, b) => urgencyScore(byId.get(b), d, ctx) - urgencyScore(byId.get(a), d, ctx));
+
+  return { startISO, days: plan, unplannedIds: [...unplanned], createdAtISO, updatedAtISO: createdAtISO };
+}
+
+// A day's list as it stands: todayPlan is the record for its own day
+export function weekDayIds(state, dateISO) {
+  if (state.todayPlan?.dateISO === dateISO) return state.todayPlan.pickedIds;
+  return state.weekPlan?.days[dateISO] ?? [];
+}
+
+/**
+ * Move state.weekPlan up to todayISO. Tasks from days that are over and
+ * weren't done go to the first day from today with room (today if none
+ * has), unless they're already on a day within half their cycle of today
+ * (that's the same chore, planned again). Days after the old plan are
+ * planned fresh. A plan that ended before today is replaced by a new one.
+ */
+export function rollWeekPlan(state, todayISO, { days = WEEK_DAYS, createdAtISO } = {}) {
+  const week = state.weekPlan;
+  if (week?.startISO === todayISO) return week;
+  const byId = new Map(state.tasks.map((t) => [t.id, t]));
+  // Deleted tasks are dropped first: a day that only had those is planned afresh
+  const live = Object.fromEntries(Object.entries(week?.days ?? {}).map(([d, ids]) => [d, ids.filter((id) => byId.has(id))]));
+  const kept = Object.keys(live).filter(
+    (d) => d >= todayISO && d < addDaysISO(todayISO, days) && (live[d].length > 0 || week.days[d].length === 0)
+  );
+  if (!week || week.startISO > todayISO || kept.length === 0) return planWeek(state, todayISO, { days, createdAtISO });
+
+  const { settings } = state;
+  const est = (t) => plannedMinutes(t, settings.planConfidence);
+  const halfCycle = (task) => Math.floor(rulePeriodDays(taskRule(task)) / 2);
+  // Tasks done ahead of the plan come off the days they were planned for
+  const pending = (id, d) => byId.get(id).lastDoneISO < addDaysISO(d, -halfCycle(byId.get(id)));
+  const fixedDays = Object.fromEntries(kept.map((d) => [d, live[d].filter((id) => pending(id, d))]));
+  // Already coming up soon enough that carrying it would do it twice
+  const comingUp = (task) => kept.some((d) => fixedDays[d].includes(task.id) && d <= addDaysISO(todayISO, halfCycle(task)));
+
+  const carried = [];
+  for (const d of Object.keys(week.days).sort()) {
+    if (d >= todayISO) continue;
+    for (const id of weekDayIds(state, d)) {
+      const task = byId.get(id);
+      if (task && task.lastDoneISO < d && !carried.includes(task) && !comingUp(task)) carried.push(task);
+    }
+  }
+
+  const room = (d) => householdBudgetForDate(settings, d) - fixedDays[d].reduce((sum, id) => sum + est(byId.get(id)), 0);
+  const ctx = scheduleContext(settings);
+  carried.sort((a, b) => urgencyScore(b, todayISO, ctx) - urgencyScore(a, todayISO, ctx));
+  for (const task of carried) {
+    const allowed = kept.filter((d) => !isSnoozed(task, d) && !fixedDays[d].includes(task.id));
+    if (allowed.length === 0) continue;
+    const d = allowed.find((x) => room(x) >= est(task)) ?? allowed[0];
+    fixedDays[d].push(task.id);
+    // and it now stands in for the same chore planned again a day or two after
+    const soon = addDaysISO(d, halfCycle(task));
+    for (const x of kept) if (x > d && x <= soon) fixedDays[x] = fixedDays[x].filter((id) => id !== task.id);
+  }
+
+  return {
+    ...planWeek(state, todayISO, { days, fixedDays, createdAtISO }),
+    createdAtISO: week.createdAtISO,
+  };
+}
+
+/**
+ * todayPlan for dateISO from the week plan's list for that day. With
+ * household members the list is split between them like a daily plan;
+ * anything the split leaves out goes to its assignee or the least busy
+ * person, so the day's list stays whole.
+ */
+export function planDayFromWeek(state, weekPlan, dateISO, { regenerated = false, createdAtISO = new Date().toISOString() } = {}) {
+  const { settings } = state;
+  const ids = (weekPlan?.days[dateISO] ?? []).filter((id) => state.tasks.some((t) => t.id === id));
+  const made = { createdAtISO, regenerated, fromWeek: true };
+  if (settings.members.length === 0) return { dateISO, pickedIds: ids, completedIds: [], ...made };
+
+  const opts = planOptions(settings);
+  const away = isAwayOn(settings, dateISO);
+  const people = settings.members.map((m) => ({ id: m.id, budgetMin: away ? 0 : budgetForDate(m.budgets, dateISO) }));
+  const tasks = state.tasks.filter((t) => ids.includes(t.id));
+  const { byMember } = buildHouseholdPlan(tasks, dateISO, people, { ...opts, zone: undefined });
+  for (const id of ids) {
+    if (Object.values(byMember).some((list) => list.includes(id))) continue;
+    byMember[memberFor(state, byMember, id)].push(id);
+  }
+  return { dateISO, pickedIds: Object.values(byMember).flat(), byMember, completedIds: [], ...made };
+}
+
+// Who gets a task added to a split list: its assignee, else whoever has the fewest minutes
+function memberFor(state, byMember, taskId) {
+  const task = state.tasks.find((t) => t.id === taskId);
+  if (task?.assigneeId && task.assigneeId in byMember) return task.assigneeId;
+  const minutes = (ids) => ids.reduce((sum, id) => sum + plannedMinutes(state.tasks.find((t) => t.id === id) ?? {}, state.settings.planConfidence), 0);
+  return Object.keys(byMember).sort((a, b) => minutes(byMember[a]) - minutes(byMember[b]))[0];
+}
+
+/**
+ * Move a task in the week plan from one day to another (fromISO null: from
+ * the unplanned list). Moves to or from today also change today's list.
+ * Returns state unchanged if the task is already on toISO.
+ */
+export function moveWeekTask(state, taskId, fromISO, toISO) {
+  const week = state.weekPlan;
+  if (!week || !(toISO in week.days) || week.days[toISO].includes(taskId)) return state;
+
+  const days = { ...week.days, [toISO]: [...week.days[toISO], taskId] };
+  if (fromISO) days[fromISO] = days[fromISO].filter((id) => id !== taskId);
+  const unplannedIds = fromISO ? week.unplannedIds : week.unplannedIds.filter((id) => id !== taskId);
+
+  let plan = state.todayPlan;
+  if (plan && plan.dateISO === fromISO && !plan.completedIds.includes(taskId)) {
+    plan = { ...plan, pickedIds: plan.pickedIds.filter((id) => id !== taskId) };
+    if (plan.byMember) {
+      plan.byMember = Object.fromEntries(Object.entries(plan.byMember).map(([m, ids]) => [m, ids.filter((id) => id !== taskId)]));
+    }
+  }
+  if (plan && plan.dateISO === toISO && !plan.pickedIds.includes(taskId)) {
+    plan = { ...plan, pickedIds: [...plan.pickedIds, taskId], skippedIds: (plan.skippedIds ?? []).filter((id) => id !== taskId) };
+    if (plan.byMember) {
+      const to = memberFor(state, plan.byMember, taskId);
+      plan.byMember = { ...plan.byMember, [to]: [...plan.byMember[to], taskId] };
+    }
+  }
+
+  return { ...state, weekPlan: { ...week, days, unplannedIds }, todayPlan: plan };
+}
+
+/**
+ * Per day of the week plan, for showing it:
+ * [{ dateISO, budgetMin, plannedMin, ids, away }]
+ */
+export function weekSummary(state) {
+  const { settings, weekPlan } = state;
+  if (!weekPlan) return [];
+  const byId = new Map(state.tasks.map((t) => [t.id, t]));
+  return Object.keys(weekPlan.days)
+    .sort()
+    .map((dateISO) => {
+      const ids = weekDayIds(state, dateISO).filter((id) => byId.has(id));
+      return {
+        dateISO,
+        ids,
+        budgetMin: householdBudgetForDate(settings, dateISO),
+        plannedMin: ids.reduce((sum, id) => sum + plannedMinutes(byId.get(id), settings.planConfidence), 0),
+        away: isAwayOn(settings, dateISO),
+      };
+    });
+}
@@ -0,0 +1,508 @@
+/**
+ * English UI text, the reference catalog (see index.js). Keys are grouped by
+ * where they appear; {name} is filled in by tr(), and { one, other } entries
+ * are picked by {count}.
+ */
+
+export default {
+  /* ---- Dates and shared formats ---- */
+  dateTime: "{date}, {time}",
+  dateRange: "{start} – {end}",
+  "dateFormat.label.mdy": "Month first: 4/3/2025 is April 3 (US)",
+  "dateFormat.label.dmy": "Day first: 4/3/2025 is 4 March (UK, most of Europe)",
+  "dateFormat.label.ymd": "Year first: 2025-04-03 (ISO)",
+  "dateFormat.readAs": "Read as {date}",
+  "dateFormat.orIso": "{dateFormat} or {iso}",
+
+  "due.overdue": "Overdue by {days}d",
+  "due.today": "Due today",
+  "due.inDays": "Due in {days}d",
+
+  "estimate.guess": "~{min} min",
+  "estimate.exact": "{min} min",
+  "estimate.range": "{low}–{high} min",
+
+  "rule.weekdays": "Weekdays",
+  "rule.everyNWeeks": "Every {weeks} weeks: {days}",
+  "rule.monthlyNth": "{nth} {weekday} monthly",
+  "rule.nth.1": "1st",
+  "rule.nth.2": "2nd",
+  "rule.nth.3": "3rd",
+  "rule.nth.4": "4th",
+  "rule.nth.-1": "Last",
+  "rule.monthlyDay": "Monthly on day {day}",
+  "rule.yearly": "{months}, day {day}",
+  "rule.everyDays": "Every {days}d",
+
+  "away.labelledRange": "{label} ({range})",
+
+  /* ---- Shell: tabs, dialogs, command palette ---- */
+  "importance.low": "Low",
+  "importance.normal": "Normal",
+  "importance.high": "High",
+  "sample.swiffer": "Swiffer front hallway",
+  "sample.acFilters": "Change AC filters",
+  "error.readFile": "Failed to read file",
+  "error.notJSON": "The data isn’t valid JSON.",
+  "error.notObject": "Saved data is not an object.",
+  "error.noTaskList": "Saved data has no task list.",
+  "error.newerVersion": "Data is from a newer version of the app (schema v{version}). Please update the app.",
+  "error.noMigration": "No migration from schema v{version}.",
+  "error.notBackup": "Invalid backup format.",
+  "error.unreadableSaved": "Saved data is not valid JSON (kept in {keptIn}).",
+  "error.writeAborted": "Storage write was aborted.",
+  "error.syncUnreachable": "Couldn’t reach the sync server.",
+  "error.syncToken": "Wrong sync token.",
+  "error.syncRejected": "The sync server didn’t accept the household ID or the data.",
+  "error.syncNotFound": "No sync server at that address.",
+  "error.syncTooLarge": "The data is too large for the sync server.",
+  "error.syncStatus": "Sync server answered {status}.",
+  "modal.close": "Close (Esc)",
+  "tab.shortcut": "Shortcut: {key}",
+  "tab.today": "Today",
+  "tab.todayTimer": "Today ⏱",
+  "tab.week": "Week",
+  "tab.tasks": "Tasks",
+  "tab.calendar": "Calendar",
+  "tab.import": "Import",
+  "tab.settings": "Settings",
+  "tab.backup": "Backup",
+  "tab.history": "History",
+  "shortcut.palette": "commands",
+  "shortcut.tabs": "switch tabs",
+  "shortcut.move": "next / previous task on Today",
+  "shortcut.done": "done",
+  "shortcut.later": "later…",
+  "shortcut.edit": "edit",
+  "shortcut.timer": "start / stop timer",
+  "shortcut.newTask": "new task",
+  "palette.title": "Commands",
+  "palette.placeholder": "Type a command or task, e.g. “done: vacuum”",
+  "palette.inputLabel": "Command",
+  "palette.noMatches": "No matching commands.",
+
+  /* ---- Action log (History tab) and app messages ---- */
+  "log.someTask": "task",
+  "log.regenerated": "Regenerated today’s plan",
+  "log.done": "Done: {name} ({min} min)",
+  "log.skip": "Skipped: {name}",
+  "log.snooze": "Snoozed {days}d: {name}",
+  "log.not-needed": "Not needed: {name}",
+  "log.edited": "Edited: {name}",
+  "log.added": "Added: {name}",
+  "log.deleted": "Deleted: {name}",
+  "log.frequencyAccepted": "{name}: every {days} days (suggested)",
+  "log.frequencyKept": "{name}: kept every {days} days",
+  "log.settings": "Changed settings",
+  "log.weekMode": "Started planning by the week",
+  "log.dayMode": "Back to planning one day at a time",
+  "log.weekReplanned": "Replanned the week",
+  "log.weekMoved": "Moved {name} to {date}",
+  "log.importReplaced": { one: "Imported {count} task (replaced list)", other: "Imported {count} tasks (replaced list)" },
+  "log.importMerged": "Merged import: {added} added, {changed} updated",
+  "log.restored": "Restored backup ({file})",
+  "log.reset": "Reset all data",
+  "members.former": "Former member",
+  "tasks.noRoom": "No room",
+  "timer.anotherTask": "another task",
+  "timer.confirmSwitch": "Stop the timer for “{name}”? Its {elapsed} will be discarded.",
+  "import.noValidRows": "No valid rows found. Each row needs 4 columns: name, frequency (days), last done ({dateFormat}), minutes. Room and tags are optional 5th and 6th columns.",
+  "import.confirmReplaceWithRejected": { one: "{count} row can’t be imported and will be left out. Replace the list anyway?", other: "{count} rows can’t be imported and will be left out. Replace the list anyway?" },
+  "import.pasteFirst": "Paste some rows first.",
+  "import.nothingSelected": "Nothing selected to import.",
+  "backup.restoreNoTasks": "Restore failed: no usable tasks in {file}",
+  "backup.restoredWithFixes": "Restored {file} with fixes",
+  "backup.restoreFailed": "Restore failed: {error}",
+  "dataReport.loadedTitle": "Saved data was checked",
+
+  /* ---- Command palette commands ---- */
+  "command.goTo": "Go to {tab}",
+  "command.add": "Add task",
+  "command.regenerate": "Regenerate today’s plan",
+  "command.backup": "Backup now",
+  "command.backupKeywords": "download json",
+  "command.exportTasks": "Export tasks (CSV)",
+  "command.exportHistory": "Export history (CSV)",
+  "command.undo": "Undo",
+  "command.redo": "Redo",
+  "command.done": "Done: {name}",
+  "command.edit": "Edit: {name}",
+  "command.later": "Later: {name}",
+  "command.startTimer": "Start timer: {name}",
+
+  /* ---- Header and Today ---- */
+  "app.title": "Housework Queue",
+  "app.updateReady": "A new version of the app is ready.",
+  "app.reloadToUpdate": "Reload to update",
+  "app.saveError": "Couldn’t save changes: {error}. Make a backup before closing the app.",
+  "app.undo": "↶ Undo",
+  "app.redo": "↷ Redo",
+  "app.paletteHint": "Search tasks and actions (Ctrl/⌘ K)",
+  "app.budgetToday": "Budget today",
+  "app.minutes": "{min} min",
+  "app.changeBudget": "Change",
+  "today.heading": "Today ({date})",
+  "today.remaining": "{remaining} / {budget} min remaining (estimated)",
+  "today.locked": "Today’s list is locked. Completing tasks won’t pull in replacements.",
+  "today.fromWeek": "It’s today’s column of the week plan.",
+  "today.buffer": "Times include a buffer so the day fits {confidence}% of the time.",
+  "today.regenerate": "Regenerate",
+  "today.regenerateHint": "Generate a new list for today (optional)",
+  "timer.inProgress": "⏱ In progress",
+  "timer.paused": "⏸ Paused",
+  "today.away": "Away: {period} 🧳",
+  "today.awayNote": "No list while you’re away, and these days don’t count toward anything being overdue.",
+  "today.noPlan": "No plan for today yet.",
+  "today.generate": "Generate Today’s List",
+  "today.importTasks": "Import tasks",
+  "today.allDone": "All done for today ✅",
+  "today.allDoneNote": "Come back tomorrow for a new set — or press Regenerate if you want more.",
+  "today.memberRemaining": "{remaining} / {budget} min remaining",
+  "today.memberDone": "Nothing left for {name} today ✅",
+  "tasks.title": "All Tasks",
+  "tasks.subtitle": "Edit frequency (days), last done date, or time estimate.",
+  "tasks.add": "+ Add Task",
+  "tasks.backToAll": "Back to all tasks",
+  "tasks.reviewFrequencies": "Review frequencies ({count})",
+  "tasks.reviewNote": "Tasks done noticeably more or less often than they’re set to repeat, based on their last few completions. Accepting changes the frequency; dismissing keeps it until the pattern changes.",
+  "tasks.reviewNone": "Every task’s frequency matches its history. ✅",
+
+  /* ---- Tasks tab and Import ---- */
+  "task.edit": "Edit",
+  "task.done": "Done",
+  "task.later": "Later…",
+  "task.laterHint": "Skip today, snooze, or mark not needed",
+  "task.lastDone": "Last {date}",
+  "task.snoozedUntil": "💤 Snoozed until {date}",
+  "task.putOff": "Put off {count}×",
+  "task.putOffHint": "Skips, snoozes and not-needed in the last 60 days",
+  "tasks.room": "Room",
+  "tasks.allRooms": "All rooms",
+  "tasks.tag": "Tag",
+  "tasks.allTags": "All tags",
+  "tasks.groupByRoom": "Group by room",
+  "import.title": "Import from your spreadsheet",
+  "import.howTo": "Paste rows as tab-separated (best) or comma-separated:",
+  "import.example": "Swiffer front hallway [tab] 4 [tab] {date} [tab] 15 [tab] Hallway [tab] floors; quick",
+  "import.dates": "Dates can be {formats}. Room and tags (separated by “;”) are optional.",
+  "import.merge": "Merge",
+  "import.mergeNote": "matches rows to your tasks by name and lets you pick what to apply.",
+  "import.replace": "Replace",
+  "import.replaceNote": "swaps out your whole task list, history included. Weekly, monthly and yearly schedules become every-N-days tasks.",
+  "import.placeholder": "Paste your rows here…",
+  "import.dateFormat": "Dates in these rows",
+  "import.datesOnlyFit": "Some of these dates only make sense as {dateFormat}.",
+  "import.useDateFormat": "Read dates as {dateFormat}",
+  "import.datesAmbiguous": { one: "{count} date could be read either way round; it will be read as {dateFormat}.", other: "{count} dates could be read either way round; they will be read as {dateFormat}." },
+  "import.previewMerge": "Preview merge",
+  "import.replaceList": "Import (Replace list)",
+  "import.clear": "Clear",
+  "import.backToToday": "Back to Today",
+
+  /* ---- Merge preview ---- */
+  "importPreview.title": "Merge preview",
+  "importPreview.note": "Rows are matched to existing tasks by name (ignoring case and punctuation). Matched tasks keep their history.",
+  "importPreview.unchanged": "Unchanged",
+  "importPreview.unchangedNote": { one: "This row already matches its task and will be left alone.", other: "These rows already match their tasks and will be left alone." },
+  "importPreview.show": "Show",
+  "importPreview.hide": "Hide",
+  "importPreview.added": "New tasks",
+  "importPreview.changed": "Updates",
+  "importPreview.line": "line {line}",
+  "importPreview.lineLabel": "Line {line}:",
+  "importPreview.field.freqDays": "Every (days)",
+  "importPreview.field.lastDoneISO": "Last done",
+  "importPreview.field.estMin": "Minutes",
+  "importPreview.field.room": "Room",
+  "importPreview.field.tags": "Tags",
+  "importPreview.ambiguousDate": "Date read as {date} — check the date format if that’s wrong",
+  "importPreview.rejected": "Can’t import ({count})",
+  "importReason.missingName": "Missing task name.",
+  "importReason.tooFewColumns": "Needs at least 3 columns: name, frequency (days), last done.",
+  "importReason.badFrequency": "Frequency “{value}” isn’t a number of days.",
+  "importReason.badLastDone": "Last done “{value}” isn’t a date ({formats}).",
+  "importReason.badMinutes": "Minutes “{value}” isn’t a number.",
+  "importReason.duplicate": "Duplicate of line {line}.",
+  "importPreview.apply": "Apply {count} selected",
+  "common.cancel": "Cancel",
+
+  /* ---- Backup and History ---- */
+  "backup.title": "Backup & Restore",
+  "backup.note": "Data is stored locally on your device ({store}). Use backup to prevent loss. Backups include your settings and every task’s full history.",
+  "backup.noteMemory": "This browser’s storage could not be opened, so data is only kept in this tab and is lost when it closes. Use backup to keep a copy.",
+  "backup.download": "Backup (Download JSON)",
+  "backup.restore": "Restore (Choose JSON)",
+  "backup.confirmReset": "Reset app data? You can undo this until you close the app; after that only a backup brings it back.",
+  "backup.reset": "Reset (Clear all)",
+  "export.title": "Export for spreadsheets",
+  "export.note": "The task list uses the same columns as Import, so you can edit it in a spreadsheet and paste it back. The history export has one row per completion, skip or snooze.",
+  "export.tasksCsv": "Tasks (CSV)",
+  "export.tasksTsv": "Tasks (TSV)",
+  "export.historyCsv": "History (CSV)",
+  "history.title": "History",
+  "history.note": "Every change, newest first. Undo/redo steps back through changes made since the app was opened. The latest {count} changes are kept.",
+  "history.empty": "Nothing recorded yet.",
+
+  /* ---- Dialogs, timer and task badges ---- */
+  "task.notFound": "Task not found.",
+  "doneModal.title": "Mark done",
+  "doneModal.estimate": "Current estimate: {estimate}. This will update based on what you enter.",
+  "doneModal.who": "Who did it?",
+  "doneModal.minutes": "How many minutes did it actually take?",
+  "doneModal.confirm": "Confirm Done",
+  "deferModal.title": "Not today",
+  "deferModal.action": "What should happen?",
+  "deferModal.skip": "Skip today (stays due)",
+  "deferModal.snooze": "Snooze for a few days",
+  "deferModal.not-needed": "Not needed this cycle (reset due date)",
+  "deferModal.days": "Snooze for how many days?",
+  "deferModal.reason": "Reason (optional)",
+  "deferModal.reasonPlaceholder": "e.g., out of supplies",
+  "deferModal.note": "It leaves today’s list without pulling in a replacement. No minutes are logged.",
+  "deferModal.confirm": "Confirm",
+  "editModal.editTitle": "Edit Task",
+  "editModal.addTitle": "Add Task",
+  "editModal.confirmDelete": "Delete this task?",
+  "app.installTip": "Tip: On iPhone (Safari) → Share → “Add to Home Screen”.",
+  "timer.start": "▶ Start",
+  "timer.pause": "⏸ Pause",
+  "timer.resume": "▶ Resume",
+  "timer.stop": "■ Stop",
+  "timer.stopHint": "Stop and mark done with the measured time",
+  "frequency.days": { one: "{count} day", other: "{count} days" },
+  "frequency.every": { one: "Every day", other: "Every {count} days" },
+  "frequency.mayFit": "may fit better.",
+  "frequency.reasonLater": "Set to every {current}, but the last {count} times it was done about every {suggested}, so it keeps showing up overdue.",
+  "frequency.reasonSooner": "Set to every {current}, but the last {count} times it was done about every {suggested}, before it was due.",
+  "frequency.spread": "The gaps ranged from {low} to {high} days.",
+  "frequency.use": { one: "Use 1 day", other: "Use {count} days" },
+  "frequency.dismiss": "Dismiss",
+  "estimate.label": "Est {estimate}",
+  "estimate.unknownHint": "A range shows after {count} timed completions. Until then, planning with a buffer treats it as uncertain.",
+  "estimate.noTimings": "· no timing data yet",
+  "estimate.someTimings": "· {count} of {needed} timings",
+  "flags.onHold": "⏸ On hold {period}",
+  "flags.paused": "⏸ Paused {period}",
+  "flags.resets": "↺ Resets after time away",
+  "flags.resetsHint": "Due again when you’re back instead of piling up",
+  "flags.important": "❗ Important",
+  "flags.lowPriority": "Low priority",
+  "flags.deadlineCritical": "Planned first so it’s done in time",
+  "flags.deadlineStartBy": "Will be planned by {date}",
+  "flags.deadlineMissed": "Deadline missed ({date})",
+  "flags.deadlineToday": "Deadline today",
+  "flags.deadline": "Deadline {date}",
+  "flags.deadlineDoNow": "Deadline {date} · do now",
+
+  /* ---- Task editor ---- */
+  "recurrence.repeats": "Repeats",
+  "recurrence.type.interval": "Every N days",
+  "recurrence.type.weekly": "On certain weekdays",
+  "recurrence.type.monthlyNth": "Monthly on a weekday (e.g. first Saturday)",
+  "recurrence.type.monthlyDay": "Monthly on a date",
+  "recurrence.type.yearly": "In certain months (e.g. spring and fall)",
+  "recurrence.frequency": "Frequency (days)",
+  "recurrence.weekdaysOnly": "Weekdays only",
+  "recurrence.weekends": "Weekends",
+  "recurrence.everyWeeks": "Every how many weeks?",
+  "recurrence.which": "Which",
+  "recurrence.day": "Day",
+  "recurrence.nth.1": "First",
+  "recurrence.nth.2": "Second",
+  "recurrence.nth.3": "Third",
+  "recurrence.nth.4": "Fourth",
+  "recurrence.nth.-1": "Last",
+  "recurrence.dayOfMonthNote": "Day of month (short months use their last day)",
+  "recurrence.dayOfMonth": "Day of month",
+  "editor.nameRequired": "Please enter a task name.",
+  "editor.pickDay": "Pick at least one day for this schedule.",
+  "editor.badLastDone": "Last done date must be {formats}.",
+  "editor.badDeadline": "Deadline must be {formats} (or left empty).",
+  "editor.name": "Task name",
+  "editor.namePlaceholder": "e.g., Swiffer kitchen/pantry",
+  "editor.minutes": "Estimated minutes",
+  "editor.room": "Room",
+  "editor.roomPlaceholder": "e.g., Kitchen",
+  "editor.tags": "Tags (comma separated)",
+  "editor.tagsPlaceholder": "e.g., floors, quick",
+  "editor.importance": "Importance",
+  "editor.deadline": "Deadline (optional, cleared when done)",
+  "editor.example": "e.g., {example}",
+  "editor.assignee": "Who does it?",
+  "editor.anyone": "Anyone",
+  "editor.lastDone": "Last done date ({dateFormat})",
+  "editor.nextDue": "Next due:",
+  "editor.resetAfterAway": "After time away, just do it once when we’re back (e.g., water plants) instead of waiting out the away days",
+  "editor.pause": "Pause this task (it won’t come due or count as overdue on these days)",
+  "editor.save": "Save",
+  "editor.delete": "Delete",
+
+  /* ---- Calendar ---- */
+  "calendar.title": "Workload forecast",
+  "calendar.note": "Projected by planning each day in turn and assuming every day’s list gets done.",
+  "calendar.weeks": { one: "{count} week", other: "{count} weeks" },
+  "calendar.fits": "Due work fits the budget every day in this window ✅",
+  "calendar.overDays": { one: "{count} day where due work is more than the budget.", other: "{count} days where due work is more than the budget." },
+  "calendar.nothingPlanned": "Nothing planned",
+  "calendar.away": "Away",
+  "calendar.planned": "{planned}/{budget}m",
+  "calendar.demand": "due {min}m",
+  "calendar.legend": "Each day shows planned / budget minutes. Red days have more due work than budget; blue days you’re away. Hover for the planned tasks.",
+  "calendar.slipping": "Tasks that keep slipping",
+  "calendar.noSlipping": "Nothing stays overdue for long in this window.",
+  "calendar.passedOver": { one: "Passed over on {count} day, up to {days}d overdue", other: "Passed over on {count} days, up to {days}d overdue" },
+
+  /* ---- Week plan ---- */
+  "week.title": "This week",
+  "week.intro": "Plan the next 7 days at once: heavy chores are spread over different days, each day stays within its budget, and light days take tasks that are nearly due. Anything not finished moves on to the next day with room.",
+  "week.start": "Plan by the week",
+  "week.note": "Each day’s list becomes Today’s list that morning. Use a task’s Move menu to put it on another day (with a mouse you can also drag it; dragging doesn’t work on touch screens).",
+  "week.replan": "Replan week",
+  "week.replanHint": "Plan the coming days again (today’s list stays as it is)",
+  "week.stop": "Back to one day at a time",
+  "week.today": "{day} · Today",
+  "week.move": "Move…",
+  "week.moveTo": "Move {name} to another day",
+  "week.unplanned": "Didn’t fit this week",
+  "week.unplannedNote": "Due this week, but no day had room. Move one onto a day to fit it in anyway.",
+  "week.allPlanned": "Everything due this week has a day. ✅",
+
+  /* ---- Data check, reminders, sync and time away ---- */
+  "dataReport.leftOut": "Left out ({count})",
+  "dataReport.repaired": "Repaired ({count})",
+  "dataReport.note": "Everything else loaded as saved. Make a backup now if you want to keep a copy of the repaired data.",
+  "dataRecord.task": "{name}",
+  "dataRecord.taskNumber": "Task #{number}",
+  "dataRecord.settings": "Settings",
+  "dataRecord.member": "Household member {name}",
+  "dataRecord.todayPlan": "Today’s plan",
+  "dataRecord.weekPlan": "Week plan",
+  "dataRecord.log": "History log",
+  "dataRecord.savedData": "Saved data",
+  "dataIssue.notTask": "Not a task record.",
+  "dataIssue.missingName": "Missing name.",
+  "dataIssue.badLastDone": "Last done date “{value}” is not a valid date.",
+  "dataIssue.lastDoneReadAs": "last done date “{value}” read as {date}",
+  "dataIssue.idReplaced": "duplicate id replaced",
+  "dataIssue.idAdded": "missing id added",
+  "dataIssue.frequencySet": { one: "frequency “{value}” set to {count} day", other: "frequency “{value}” set to {count} days" },
+  "dataIssue.estimateSet": "estimate “{value}” set to {min} min",
+  "dataIssue.scheduleDropped": "unreadable schedule dropped (uses frequency instead)",
+  "dataIssue.roomCleared": "room cleared",
+  "dataIssue.tagsCleaned": "tags cleaned up",
+  "dataIssue.assigneeCleared": "unknown assignee cleared",
+  "dataIssue.importanceReset": "importance “{value}” reset to normal",
+  "dataIssue.deadlineCleared": "deadline “{value}” is not a valid date and was cleared",
+  "dataIssue.deadlineReadAs": "deadline “{value}” read as {date}",
+  "dataIssue.pausesDropped": { one: "{count} unreadable pause dropped", other: "{count} unreadable pauses dropped" },
+  "dataIssue.snoozeCleared": "invalid snooze cleared",
+  "dataIssue.syncStampCleared": "invalid sync timestamp cleared",
+  "dataIssue.historyCleared": "history was not a list and was cleared",
+  "dataIssue.historyDropped": { one: "{count} history entry with a bad date dropped", other: "{count} history entries with bad dates dropped" },
+  "dataIssue.settingsReset": "settings were unreadable and were reset to defaults",
+  "dataIssue.budgetsReset": "time budgets were unreadable and were reset",
+  "dataIssue.weekdayBudgetsReset": "weekday budgets were unreadable and were reset",
+  "dataIssue.weekdayBudgetsClamped": { one: "{count} weekday budget set within 0–{max} min", other: "{count} weekday budgets set within 0–{max} min" },
+  "dataIssue.overridesFixed": { one: "{count} date override with a bad date or minutes fixed or dropped", other: "{count} date overrides with a bad date or minutes fixed or dropped" },
+  "dataIssue.settingReset": "{setting} “{value}” reset to {to}",
+  "dataIssue.setting.planStrategy": "plan strategy",
+  "dataIssue.setting.planConfidence": "planning confidence",
+  "dataIssue.setting.zoneMode": "zone mode",
+  "dataIssue.setting.zoneMaxRooms": "rooms per day",
+  "dataIssue.setting.planMode": "plan mode",
+  "dataIssue.membersDropped": { one: "{count} unreadable household member dropped", other: "{count} unreadable household members dropped" },
+  "dataIssue.memberNamed": "had no name and was given one",
+  "dataIssue.awayDropped": { one: "{count} unreadable away period dropped", other: "{count} unreadable away periods dropped" },
+  "dataIssue.planUnreadable": "today’s plan was unreadable and will be regenerated",
+  "dataIssue.planTasksRemoved": { one: "{count} missing task removed from today’s plan", other: "{count} missing tasks removed from today’s plan" },
+  "dataIssue.weekPlanUnreadable": "the week plan was unreadable and will be made again",
+  "dataIssue.logEntriesDropped": { one: "{count} unreadable entry dropped", other: "{count} unreadable entries dropped" },
+  "dataIssue.unusable": "{error} Started with sample tasks.",
+  "dataIssue.unusableKept": "{error} Started with sample tasks. The old data was kept in {keptIn}.",
+  "dataIssue.notOpened": "{error} Changes in this tab are not saved.",
+  "sync.waiting": { one: "{count} change waiting to sync.", other: "{count} changes waiting to sync." },
+  "sync.lastSynced": "Last synced {time}.",
+  "sync.syncing": "Syncing…",
+  "sync.offline": "Offline.",
+  "sync.failed": "Sync failed: {error}",
+  "sync.never": "Not synced yet.",
+  "sync.needServer": "Enter the server address and a household ID.",
+  "sync.title": "Sync between devices",
+  "sync.note": "Optional. Everyone in the household points the app at the same sync server and household ID. Changes made offline are kept and sent when you’re back online. To run your own server:",
+  "sync.server": "Server address",
+  "sync.household": "Household ID",
+  "sync.token": "Token (if the server needs one)",
+  "sync.save": "Save & sync",
+  "sync.turnOn": "Turn on sync",
+  "sync.now": "Sync now",
+  "sync.turnOff": "Turn off",
+  "reminders.title": "Reminders",
+  "reminders.note": "Notifications on this device only. They arrive while the app is open; installed on the home screen, some browsers also deliver them while it’s closed.",
+  "reminders.unsupported": "This browser can’t show notifications.",
+  "reminders.blocked": "Notifications are blocked for this site. Allow them in the browser’s site settings to use reminders.",
+  "reminders.turnOn": "Turn on reminders",
+  "reminders.turnOff": "Turn off reminders",
+  "reminders.kind.planReady": "Today’s list is ready (morning)",
+  "reminders.kind.openTasks": "Tasks still open (evening)",
+  "reminders.kind.overdueImportant": "An important task is overdue (morning)",
+  "reminders.morning": "Morning",
+  "reminders.evening": "Evening",
+  "reminders.quietFrom": "Quiet from",
+  "reminders.quietUntil": "Quiet until",
+  "reminders.quietNote": "Nothing is shown during quiet hours; reminders due then wait until they end, or are skipped if that is the next day.",
+  "reminders.next": "Next: “{title}” at {time}.",
+  "away.badDates": "Dates must be {formats}.",
+  "away.endBeforeStart": "The last day can’t be before the first day.",
+  "away.remove": "Remove",
+  "away.firstDay": "First day",
+  "away.lastDay": "Last day",
+  "away.note": "Note (optional)",
+  "away.notePlaceholder": "e.g., Beach trip",
+  "away.add": "Add",
+
+  /* ---- Settings ---- */
+  "household.nameRequired": "Please enter a name.",
+  "household.confirmRemove": "Remove this person? Their tasks go back to the shared pool.",
+  "household.title": "Household",
+  "household.note": "Add everyone who does chores. Each person gets their own daily list, sized to their own budget. Shared (“Anyone”) tasks are split to balance minutes and urgency.",
+  "household.name": "Name",
+  "household.remove": "Remove",
+  "household.newPerson": "New person",
+  "household.add": "Add person",
+  "budget.title": "Daily time budget",
+  "budget.note": "Minutes available on each day of the week. Use 0 for a day off. Changes apply to the next plan generated.",
+  "budget.membersNote": "With household members set up, each person’s own budget is used instead.",
+  "overrides.badDate": "Date must be {formats}.",
+  "overrides.title": "Specific dates",
+  "overrides.note": "Override the weekday budget for a single date (holidays, guests, busy days).",
+  "overrides.date": "Date ({dateFormat})",
+  "overrides.minutes": "Minutes",
+  "away.title": "Away",
+  "away.settingsNote": "Trips and other stretches when nobody is home. No list is made on those days and they don’t count toward tasks being overdue, so you don’t come back to a wall of chores.",
+  "zones.title": "Plan by room",
+  "zones.note": "Group today’s list room by room, or stick to the rooms with the most urgent work so you aren’t walking around the whole house. Tasks without a room can always be picked.",
+  "zones.mode.off": "Off",
+  "zones.mode.group": "Group by room",
+  "zones.mode.focus": "Stick to a few rooms",
+  "zones.rooms": { one: "{count} room", other: "{count} rooms" },
+  "planner.title": "Planner",
+  "planner.note": "Best fit packs the most urgency into your budget; Greedy takes tasks in urgency order and skips what doesn’t fit.",
+  "planner.strategy.optimal": "Best fit",
+  "planner.strategy.greedy": "Greedy",
+  "planner.confidenceNote": "Tasks that vary a lot get extra minutes set aside, so a busy day still fits. Tasks without enough timed completions are treated as uncertain.",
+  "planner.typical": "Plan with typical times",
+  "planner.confidence": "Plan so it fits {confidence}% of the time",
+  "locale.title": "Language & dates",
+  "locale.note": "How dates are shown and read on this device, including dates you type and paste in. Other devices keep their own choice.",
+  "locale.language": "Language",
+  "locale.dateFormat": "Date format",
+
+  /* ---- Reminder notifications ---- */
+  "reminder.planReady": "Today’s list is ready",
+  "reminder.planReadyBody": { one: "{count} task, about {min} min.", other: "{count} tasks, about {min} min." },
+  "reminder.planReadyOpen": "Open Housework Queue to see what’s on it.",
+  "reminder.openTasks": { one: "{count} task still open", other: "{count} tasks still open" },
+  "reminder.openTasksMore": "{names} and {more} more",
+  "reminder.overdue": "{name} is overdue",
+  "reminder.overdueBody": "It was due {date}.",
+};
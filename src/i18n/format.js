@@ -0,0 +1,88 @@
+import { computeDueISO, daysBetweenISO, daysOverdue, estimateRange } from "../core/index.js";
+import { acceptedDateFormats, formatDate, monthLabels, tr, weekdayLabels } from "./index.js";
+
+/**
+ * Translated versions of the core's describe/format helpers. The core ones
+ * stay plain English for the CLI; the app shows these. Import rejections,
+ * the data check report and load/sync errors only come as codes, so the CLI
+ * uses the text functions at the end of this file too.
+ */
+
+// "Overdue by 3d" / "Due today" / "Due in 2d" (see formatOverdueLabel)
+export function dueText(task, nowISO, ctx) {
+  const late = daysOverdue(task, nowISO, ctx);
+  if (late > 0) return tr("due.overdue", { days: late });
+  const until = daysBetweenISO(nowISO, computeDueISO(task, ctx));
+  return until <= 0 ? tr("due.today") : tr("due.inDays", { days: until });
+}
+
+// "~15 min" / "12–20 min" (see formatEstimate)
+export function estimateText(task) {
+  const { low, high, known } = estimateRange(task);
+  if (!known) return tr("estimate.guess", { min: low });
+  return low === high ? tr("estimate.exact", { min: low }) : tr("estimate.range", { low, high });
+}
+
+// See describeRule in recurrence.js
+export function ruleText(rule) {
+  const weekdays = weekdayLabels();
+  switch (rule.type) {
+    case "weekly": {
+      const days = rule.weekdays.join() === "1,2,3,4,5" ? tr("rule.weekdays") : rule.weekdays.map((d) => weekdays[d]).join(", ");
+      return rule.everyWeeks > 1 ? tr("rule.everyNWeeks", { weeks: rule.everyWeeks, days }) : days;
+    }
+    case "monthlyNth":
+      return tr("rule.monthlyNth", { nth: tr(`rule.nth.${rule.nth}`), weekday: weekdays[rule.weekday] });
+    case "monthlyDay":
+      return tr("rule.monthlyDay", { day: rule.day });
+    case "yearly": {
+      const months = monthLabels();
+      return tr("rule.yearly", { months: rule.months.map((m) => months[m - 1]).join(" & "), day: rule.day });
+    }
+    default:
+      return tr("rule.everyDays", { days: rule.days });
+  }
+}
+
+// See frequencySuggestion
+export function frequencyReasonText(s) {
+  const days = (count) => tr("frequency.days", { count });
+  const params = { current: days(s.currentDays), suggested: days(s.suggestedDays), count: s.samples };
+  const base = tr(s.suggestedDays > s.currentDays ? "frequency.reasonLater" : "frequency.reasonSooner", params);
+  return s.low === s.high ? base : `${base} ${tr("frequency.spread", { low: s.low, high: s.high })}`;
+}
+
+export function dateRangeText(startISO, endISO) {
+  return startISO === endISO ? formatDate(startISO) : tr("dateRange", { start: formatDate(startISO), end: formatDate(endISO) });
+}
+
+// "Vacation (4/1/2025 – 4/8/2025)" (see formatAwayPeriod)
+export function awayPeriodText(p) {
+  const range = dateRangeText(p.startISO, p.endISO);
+  return p.label ? tr("away.labelledRange", { label: p.label, range }) : range;
+}
+
+// See parseImportRow
+export function importReasonText(reason) {
+  return tr(`importReason.${reason.code}`, { ...reason, formats: acceptedDateFormats(reason.dateFormat) });
+}
+
+// A DataError or SyncError in the user's language; other errors as they come
+export function errorText(e) {
+  if (e?.params && typeof e.code === "string") return tr(`error.${e.code}`, e.params);
+  if (e instanceof SyntaxError) return tr("error.notJSON");
+  return e?.message || String(e);
+}
+
+// Record, issue and reason of validateState's report
+export function dataRecordText(record) {
+  return tr(`dataRecord.${record.code}`, record);
+}
+
+export function dataIssueText(issue) {
+  const params = { ...issue };
+  if (issue.date) params.date = formatDate(issue.date);
+  if (issue.setting) params.setting = tr(`dataIssue.setting.${issue.setting}`);
+  if (issue.error) params.error = errorText(issue.error);
+  return tr(`dataIssue.${issue.code}`, params);
+}
@@ -0,0 +1,162 @@
+import { DATE_FORMAT_HINTS, DATE_FORMATS, formatISODate, isAmbiguousDate, parseDateToISO } from "../core/index.js";
+import en from "./en.js";
+
+/**
+ * UI text and date formats.
+ *
+ * tr("key", { name }) looks the key up in the current language's catalog and
+ * fills in {name}. en.js is the reference catalog: a key missing from another
+ * language falls back to English. A message may be { one, other, ... } keyed
+ * by plural category, picked with params.count.
+ *
+ * To add a language: copy en.js to e.g. de.js, translate the values, and add
+ * it to CATALOGS. Dates are formatted with Intl where words are involved
+ * (weekday and month names), so those follow the language automatically.
+ *
+ * The language and date format are per device (a housemate's phone can read
+ * dates day-first while yours reads them month-first), stored like the sync
+ * config: { language, dateFormat } where dateFormat is one of DATE_FORMATS.
+ */
+
+const CATALOGS = { en };
+const LOCALE_KEY = "housework_queue_locale";
+
+export const LANGUAGES = [{ value: "en", label: "English" }];
+
+let current = { language: "en", dateFormat: "mdy" };
+let plurals = new Intl.PluralRules("en");
+
+// Day/month order of the browser's locale: 31/12 in en-GB, 12/31 in en-US, 2020/12/31 in ja
+export function guessDateFormat(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2020, 11, 31));
+    const order = parts.filter((p) => ["day", "month", "year"].includes(p.type)).map((p) => p.type[0]).join("");
+    return order === "dmy" || order === "ymd" ? order : "mdy";
+  } catch {
+    return "mdy";
+  }
+}
+
+function browserLocale() {
+  return typeof navigator === "undefined" ? "en-US" : navigator.language || "en-US";
+}
+
+export function defaultLocalePrefs(locale = browserLocale()) {
+  const language = String(locale).split("-")[0];
+  return { language: CATALOGS[language] ? language : "en", dateFormat: guessDateFormat(locale) };
+}
+
+export function normalizeLocalePrefs(raw) {
+  const out = defaultLocalePrefs();
+  if (CATALOGS[raw?.language]) out.language = raw.language;
+  if (DATE_FORMATS.includes(raw?.dateFormat)) out.dateFormat = raw.dateFormat;
+  return out;
+}
+
+export function loadLocalePrefs() {
+  try {
+    return normalizeLocalePrefs(JSON.parse(localStorage.getItem(LOCALE_KEY) || "{}"));
+  } catch {
+    return defaultLocalePrefs();
+  }
+}
+
+export function saveLocalePrefs(prefs) {
+  localStorage.setItem(LOCALE_KEY, JSON.stringify(prefs));
+}
+
+// Use prefs for everything tr() and the date helpers below produce from now on
+export function setLocale(prefs) {
+  current = normalizeLocalePrefs(prefs);
+  plurals = new Intl.PluralRules(current.language);
+}
+
+export function currentLocale() {
+  return current;
+}
+
+export function tr(key, params = {}) {
+  let msg = CATALOGS[current.language]?.[key] ?? en[key];
+  if (msg && typeof msg === "object") msg = msg[plurals.select(params.count ?? 0)] ?? msg.other;
+  if (msg === undefined) return key;
+  return msg.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/* ---------- Dates ---------- */
+
+// "YYYY-MM-DD" shown in the user's order, e.g. 4/3/2025
+export function formatDate(iso) {
+  return formatISODate(iso, current.dateFormat);
+}
+
+// Day and month only, for calendar cells: 4/3, 3/4 or 04-03
+export function formatShortDate(iso) {
+  const [, m, d] = String(iso).split("-");
+  if (current.dateFormat === "ymd") return `${m}-${d}`;
+  const parts = current.dateFormat === "dmy" ? [d, m] : [m, d];
+  return parts.map(Number).join("/");
+}
+
+// Spelled out, for confirming what a typed date was read as: "Thu, Apr 3, 2025"
+export function formatDateLong(iso) {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(current.language, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+// A typed date in the user's order (or YYYY-MM-DD) to "YYYY-MM-DD", or null
+export function parseDate(text, dateFormat = current.dateFormat) {
+  return parseDateToISO(text, dateFormat);
+}
+
+// The format as users type it: "M/D/YYYY" (the same hint the CLI shows)
+export function dateFormatHint(dateFormat = current.dateFormat) {
+  return DATE_FORMAT_HINTS[dateFormat];
+}
+
+// What a date field accepts: "M/D/YYYY or YYYY-MM-DD" (ISO always works)
+export function acceptedDateFormats(dateFormat = current.dateFormat) {
+  return dateFormat === "ymd" ? dateFormatHint("ymd") : tr("dateFormat.orIso", { dateFormat: dateFormatHint(dateFormat), iso: dateFormatHint("ymd") });
+}
+
+export function dateFormatLabel(dateFormat) {
+  return tr(`dateFormat.label.${dateFormat}`);
+}
+
+// Non-empty when text is a date that reads differently the other way round
+export function ambiguousDateNote(text, dateFormat = current.dateFormat) {
+  if (dateFormat === "ymd" || !isAmbiguousDate(text)) return "";
+  const iso = parseDateToISO(text, dateFormat);
+  return iso ? tr("dateFormat.readAs", { date: formatDateLong(iso) }) : "";
+}
+
+// Short weekday names, Sunday first: ["Sun", "Mon", ...] in English
+export function weekdayLabels() {
+  const format = new Intl.DateTimeFormat(current.language, { weekday: "short" });
+  return [0, 1, 2, 3, 4, 5, 6].map((i) => format.format(new Date(2023, 0, 1 + i))); // Jan 1 2023 was a Sunday
+}
+
+export function monthLabels() {
+  const format = new Intl.DateTimeFormat(current.language, { month: "short" });
+  return [...Array(12).keys()].map((m) => format.format(new Date(2023, m, 1)));
+}
+
+export function formatTime(ms) {
+  return new Date(ms).toLocaleTimeString(current.language, { hour: "numeric", minute: "2-digit" });
+}
+
+// "Thu 7:05 PM", for things coming up this week
+export function formatWeekdayTime(ms) {
+  return new Date(ms).toLocaleString(current.language, { weekday: "short", hour: "numeric", minute: "2-digit" });
+}
+
+// Date in the user's order plus the time: "4/3/2025, 7:05 PM"
+export function formatDateTime(ms) {
+  const d = new Date(ms);
+  const iso = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  return tr("dateTime", { date: formatDate(iso), time: formatTime(ms) });
+}
@@ -1,10 +1,24 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./pwa.js";
+import { loadSavedState, memoryStorage, openStorage, storageFailure } from "./storage.js";
 import "./index.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+registerServiceWorker();
+
+const root = ReactDOM.createRoot(document.getElementById("root"));
+
+function render(storage, loaded) {
+  root.render(
+    <React.StrictMode>
+      <App storage={storage} loaded={loaded} />
+    </React.StrictMode>
+  );
+}
+
+// Storage is async (IndexedDB), so load before the first render.
+// If it can't be opened at all, run in memory and say so in the data check.
+openStorage()
+  .then(async (storage) => render(storage, await loadSavedState(storage)))
+  .catch((e) => render(memoryStorage(), storageFailure(e)));
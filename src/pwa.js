@@ -0,0 +1,96 @@
+/**
+ * Service worker registration (production builds only; see src/sw.js).
+ *
+ * When a new version has installed and is waiting, subscribers get an
+ * `apply()` function: it tells the waiting worker to take over and reloads
+ * the page once it has.
+ */
+
+const listeners = new Set();
+let pendingApply = null;
+
+function announce(worker) {
+  pendingApply = () => {
+    navigator.serviceWorker.addEventListener("controllerchange", () => location.reload(), { once: true });
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+  for (const fn of listeners) fn(pendingApply);
+}
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then((reg) => {
+    // First install has no controller yet: nothing to update
+    if (reg.waiting && navigator.serviceWorker.controller) announce(reg.waiting);
+
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) announce(worker);
+      });
+    });
+
+    // Long-lived tabs (home screen app) check for a new deploy when brought back
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") reg.update().catch(() => {});
+    });
+  }).catch(() => {}); // no offline support, the app itself still works
+}
+
+// Calls fn(apply) when an update is waiting; returns an unsubscribe function
+export function onUpdateReady(fn) {
+  listeners.add(fn);
+  if (pendingApply) fn(pendingApply);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Notifications for reminders.js. Shown through the service worker when
+ * there is one (required on Android), else with the page's Notification.
+ */
+
+export function notificationsSupported() {
+  return typeof Notification !== "undefined";
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  return Notification.requestPermission();
+}
+
+function activeRegistration() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator) || !navigator.serviceWorker.controller) {
+    return Promise.resolve(null);
+  }
+  return navigator.serviceWorker.ready;
+}
+
+export async function showNotification({ tag, title, body }) {
+  if (notificationPermission() !== "granted") return;
+  const options = { body, tag, icon: `${import.meta.env.BASE_URL}icons/icon-192.png` };
+  const reg = await activeRegistration();
+  if (reg) await reg.showNotification(title, options);
+  else new Notification(title, options);
+}
+
+/**
+ * Hand the upcoming reminders to the service worker, which shows them on
+ * periodic background sync (installed app, where the browser supports it)
+ * while the app is closed. An empty list turns that off.
+ */
+export async function sendRemindersToWorker(reminders) {
+  const reg = await activeRegistration();
+  if (!reg) return;
+  reg.active?.postMessage({ type: "REMINDERS", reminders });
+  try {
+    if (reminders.length > 0) await reg.periodicSync?.register("reminders", { minInterval: 60 * 60 * 1000 });
+    else await reg.periodicSync?.unregister("reminders");
+  } catch {
+    // not allowed (not installed, or no permission): reminders still work while the app is open
+  }
+}
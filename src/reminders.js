@@ -0,0 +1,208 @@
+import { addDaysISO, computeDueISO, daysOverdue, isAwayOn, isSnoozed, plannedMinutes, scheduleContext } from "./core/index.js";
+import { formatDate, tr } from "./i18n/index.js";
+
+/**
+ * Local reminders (opt-in, per device).
+ *
+ * planReminders() turns the state into a list of
+ *   { tag, atMs, title, body }
+ * for today and tomorrow: "today's list is ready" in the morning, "N tasks
+ * still open" in the evening, and "<task> is overdue" for high-importance
+ * tasks. Times that fall in quiet hours move to the end of the quiet hours,
+ * unless that is the next day: each reminder is about its own day, so it's
+ * dropped instead.
+ * Nothing is planned on away days. Text is in the current language (see
+ * i18n/index.js), so replan after changing it.
+ *
+ * Everything takes the time as an argument, and scheduleReminders() takes a
+ * clock ({ now, setTimeout, clearTimeout }), so the schedule can be checked
+ * with a fake clock. The tag doubles as the notification tag, so the page
+ * and the service worker showing the same reminder only show it once.
+ *
+ * Preferences live in their own localStorage key, like the sync config:
+ *   { enabled, planReady, openTasks, overdueImportant,
+ *     morningTime, eveningTime, quietStart, quietEnd, sent }
+ * where sent is { tag: shownAtMs } for the last few days.
+ */
+
+const REMINDERS_KEY = "housework_queue_reminders";
+const GRACE_MS = 2 * 60 * 60 * 1000; // still worth showing this long after its time
+const MAX_WAIT_MS = 60 * 60 * 1000; // recheck at least hourly (sleep, clock changes)
+const KEEP_SENT_MS = 3 * 24 * 60 * 60 * 1000;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function defaultReminderPrefs() {
+  return {
+    enabled: false,
+    planReady: true,
+    openTasks: true,
+    overdueImportant: true,
+    morningTime: "08:00",
+    eveningTime: "19:00",
+    quietStart: "22:00",
+    quietEnd: "07:00",
+    sent: {},
+  };
+}
+
+export function normalizeReminderPrefs(raw) {
+  const base = defaultReminderPrefs();
+  const out = { ...base };
+  for (const key of ["enabled", "planReady", "openTasks", "overdueImportant"]) {
+    if (typeof raw?.[key] === "boolean") out[key] = raw[key];
+  }
+  for (const key of ["morningTime", "eveningTime", "quietStart", "quietEnd"]) {
+    if (TIME.test(raw?.[key] ?? "")) out[key] = raw[key];
+  }
+  if (raw?.sent && typeof raw.sent === "object") out.sent = raw.sent;
+  return out;
+}
+
+export function loadReminderPrefs() {
+  try {
+    return normalizeReminderPrefs(JSON.parse(localStorage.getItem(REMINDERS_KEY) || "{}"));
+  } catch {
+    return defaultReminderPrefs();
+  }
+}
+
+export function saveReminderPrefs(prefs) {
+  localStorage.setItem(REMINDERS_KEY, JSON.stringify(prefs));
+}
+
+function minutesOf(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function localISO(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function atLocalTime(dateISO, time) {
+  const [y, mo, d] = dateISO.split("-").map(Number);
+  const [h, m] = time.split(":").map(Number);
+  return new Date(y, mo - 1, d, h, m).getTime();
+}
+
+// Quiet hours may wrap past midnight (22:00–07:00); equal start and end means none
+export function isQuietTime(prefs, ms) {
+  const start = minutesOf(prefs.quietStart);
+  const end = minutesOf(prefs.quietEnd);
+  if (start === end) return false;
+  const d = new Date(ms);
+  const m = d.getHours() * 60 + d.getMinutes();
+  return start < end ? m >= start && m < end : m >= start || m < end;
+}
+
+// ms itself, or the end of the quiet hours it falls in
+export function afterQuietHours(prefs, ms) {
+  if (!isQuietTime(prefs, ms)) return ms;
+  const day = localISO(ms);
+  const end = atLocalTime(day, prefs.quietEnd);
+  return end > ms ? end : atLocalTime(addDaysISO(day, 1), prefs.quietEnd);
+}
+
+/**
+ * Reminders for todayISO and the day after, soonest first. Includes ones
+ * already past; see dueReminders for what to show now.
+ */
+export function planReminders(state, prefs, todayISO, { days = 2 } = {}) {
+  if (!prefs.enabled) return [];
+  const { settings, todayPlan } = state;
+  const ctx = scheduleContext(settings);
+  const byId = new Map(state.tasks.map((t) => [t.id, t]));
+  const out = [];
+  const add = (tag, dateISO, time, title, body) => {
+    const atMs = afterQuietHours(prefs, atLocalTime(dateISO, time));
+    if (localISO(atMs) === dateISO) out.push({ tag, atMs, title, body });
+  };
+
+  for (let i = 0; i < days; i++) {
+    const dateISO = addDaysISO(todayISO, i);
+    if (isAwayOn(settings, dateISO)) continue;
+    const plan = todayPlan?.dateISO === dateISO ? todayPlan : null;
+
+    if (prefs.planReady) {
+      const picked = (plan?.pickedIds ?? []).map((id) => byId.get(id)).filter(Boolean);
+      const min = picked.reduce((sum, t) => sum + plannedMinutes(t, settings.planConfidence), 0);
+      const body = plan ? tr("reminder.planReadyBody", { count: picked.length, min }) : tr("reminder.planReadyOpen");
+      add(`plan-ready:${dateISO}`, dateISO, prefs.morningTime, tr("reminder.planReady"), body);
+    }
+
+    if (prefs.openTasks && plan) {
+      const closed = new Set([...(plan.completedIds ?? []), ...(plan.skippedIds ?? [])]);
+      const open = plan.pickedIds.filter((id) => !closed.has(id)).map((id) => byId.get(id)).filter(Boolean);
+      if (open.length > 0) {
+        const names = open.slice(0, 3).map((t) => t.name).join(", ");
+        const body = open.length > 3 ? tr("reminder.openTasksMore", { names, more: open.length - 3 }) : names;
+        add(`open-tasks:${dateISO}`, dateISO, prefs.eveningTime, tr("reminder.openTasks", { count: open.length }), body);
+      }
+    }
+
+    if (prefs.overdueImportant) {
+      for (const t of state.tasks) {
+        if (t.importance !== "high" || isSnoozed(t, dateISO)) continue;
+        const late = daysOverdue(t, dateISO, ctx);
+        // First overdue day, or already overdue today; one reminder per missed due date
+        if (late !== 1 && !(i === 0 && late > 0)) continue;
+        const dueISO = computeDueISO(t, ctx);
+        const title = tr("reminder.overdue", { name: t.name });
+        add(`overdue:${t.id}:${dueISO}`, dateISO, prefs.morningTime, title, tr("reminder.overdueBody", { date: formatDate(dueISO) }));
+      }
+    }
+  }
+
+  return out.sort((a, b) => a.atMs - b.atMs);
+}
+
+// Reminders to show at nowMs: their time has come, not too long ago, not shown yet
+export function dueReminders(reminders, nowMs, sent = {}) {
+  return reminders.filter((r) => r.atMs <= nowMs && nowMs - r.atMs <= GRACE_MS && !sent[r.tag]);
+}
+
+export function nextReminderAt(reminders, nowMs, sent = {}) {
+  const next = reminders.find((r) => r.atMs > nowMs && !sent[r.tag]);
+  return next ? next.atMs : null;
+}
+
+// sent plus the new tags, forgetting ones shown more than a few days ago
+export function markSent(sent, tags, nowMs) {
+  const out = {};
+  for (const [tag, at] of Object.entries(sent)) if (nowMs - at < KEEP_SENT_MS) out[tag] = at;
+  for (const tag of tags) out[tag] = nowMs;
+  return out;
+}
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Show each reminder when its time comes: show(reminder) for every due one,
+ * then onSent(sent) with the updated sent record. Returns a cancel function.
+ */
+export function scheduleReminders(reminders, { sent = {}, clock = systemClock, show, onSent }) {
+  let done = sent;
+  let handle = null;
+
+  function tick() {
+    const now = clock.now();
+    const due = dueReminders(reminders, now, done);
+    if (due.length > 0) {
+      due.forEach(show);
+      done = markSent(done, due.map((r) => r.tag), now);
+      onSent?.(done);
+    }
+    const next = nextReminderAt(reminders, now, done);
+    handle = next === null ? null : clock.setTimeout(tick, Math.min(next - now, MAX_WAIT_MS));
+  }
+
+  tick();
+  return () => {
+    if (handle !== null) clock.clearTimeout(handle);
+  };
+}
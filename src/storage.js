@@ -0,0 +1,288 @@
+import { DataError, loadAndValidate } from "./core/index.js";
+
+/**
+ * Where the app state lives. Both backends share one async interface:
+ *   load()          saved state object (tasks with full history) or null
+ *   save(state)     persist a persistable() state; false if another tab saved
+ *                   newer data since our last load/save (nothing is written)
+ *   keepCopy(raw)   stash data that failed validation; returns where it went
+ *   subscribe(fn)   call fn when another tab saves; returns an unsubscribe
+ *
+ * Every save bumps `revision` in the stored state. A tab only writes if the
+ * stored revision is still the one it last loaded or wrote, so a stale tab
+ * can never overwrite newer data: it has to load the newer copy first.
+ *
+ * IndexedDB (preferred): the state document without task history goes in the
+ * "state" store, each task's complete history is one record in "history"
+ * (keyed by task id), so only changed histories are rewritten.
+ *
+ * localStorage (fallback for browsers without IndexedDB): everything in one
+ * key. If the quota runs out, histories are cut to the newest entries.
+ *
+ * The first IndexedDB load picks up data from the localStorage key and
+ * removes that key once the state has been saved to IndexedDB.
+ *
+ * memory (last resort when neither can be opened, e.g. storage blocked in the
+ * browser settings): state lives in this tab only and is gone on reload.
+ */
+
+export const STORAGE_KEY = "housework_queue_v2";
+const UNREADABLE_KEY = `${STORAGE_KEY}_unreadable`;
+const PROBE_KEY = `${STORAGE_KEY}_probe`;
+
+const DB_NAME = "housework_queue";
+const DB_VERSION = 1;
+const DOC_KEY = "current";
+const UNREADABLE_DOC_KEY = "unreadable";
+const FALLBACK_HISTORY_CAP = 20;
+const CHANNEL_NAME = "housework_queue";
+
+function revisionOf(doc) {
+  return Number.isInteger(doc?.revision) ? doc.revision : 0;
+}
+
+let channel = null;
+function announce(revision) {
+  if (typeof BroadcastChannel === "undefined") return;
+  channel ??= new BroadcastChannel(CHANNEL_NAME);
+  channel.postMessage({ type: "saved", revision });
+}
+
+// knownRevision() is the revision this tab last loaded or wrote
+function watchOtherTabs(knownRevision, onChange) {
+  const listener = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(CHANNEL_NAME);
+  listener?.addEventListener("message", (e) => {
+    if (e.data?.type === "saved" && e.data.revision > knownRevision()) onChange();
+  });
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) onChange();
+  };
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listener?.close();
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+function readLocal() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    localStorage.setItem(UNREADABLE_KEY, raw);
+    const keptIn = `localStorage “${UNREADABLE_KEY}”`;
+    throw new DataError("unreadableSaved", `Saved data is not valid JSON (kept in ${keptIn}).`, { keptIn });
+  }
+}
+
+function localStorageBackend() {
+  let revision = 0;
+
+  return {
+    kind: "localStorage",
+    async load() {
+      const doc = readLocal();
+      revision = revisionOf(doc);
+      return doc;
+    },
+    async save(state) {
+      let stored = 0;
+      try {
+        stored = revisionOf(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+      } catch {
+        // unreadable: ours replaces it
+      }
+      if (stored > revision) return false;
+
+      const doc = { ...state, revision: revision + 1 };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(doc));
+      } catch (e) {
+        if (e?.name !== "QuotaExceededError") throw e;
+        const tasks = state.tasks.map((t) => ({ ...t, history: (t.history ?? []).slice(0, FALLBACK_HISTORY_CAP) }));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...doc, tasks }));
+      }
+      revision = doc.revision;
+      announce(revision);
+      return true;
+    },
+    subscribe(onChange) {
+      return watchOtherTabs(() => revision, onChange);
+    },
+    async keepCopy(raw) {
+      localStorage.setItem(UNREADABLE_KEY, JSON.stringify(raw));
+      return `localStorage “${UNREADABLE_KEY}”`;
+    },
+  };
+}
+
+// Nothing is persisted; used when the browser storage could not be opened at all (openError says why)
+export function memoryStorage(openError = null) {
+  let stored = null;
+  return {
+    kind: "memory",
+    openError,
+    async load() {
+      return stored;
+    },
+    async save(state) {
+      stored = { ...state, revision: revisionOf(stored) + 1 };
+      return true;
+    },
+    subscribe() {
+      return () => {};
+    },
+    async keepCopy() {
+      return "memory";
+    },
+  };
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new DataError("writeAborted", "Storage write was aborted."));
+  });
+}
+
+function openDB() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore("state");
+    db.createObjectStore("history");
+  };
+  return request(req);
+}
+
+function withoutHistory(task) {
+  const rest = { ...task };
+  delete rest.history;
+  return rest;
+}
+
+function indexedDBBackend(db) {
+  let written = null; // Map taskId -> history array last saved; null = rewrite everything
+  let legacyPending = false;
+  let revision = 0;
+
+  return {
+    kind: "indexeddb",
+
+    async load() {
+      const tx = db.transaction(["state", "history"], "readonly");
+      const history = tx.objectStore("history");
+      const [doc, ids, lists] = await Promise.all([
+        request(tx.objectStore("state").get(DOC_KEY)),
+        request(history.getAllKeys()),
+        request(history.getAll()),
+      ]);
+
+      if (!doc) {
+        const legacy = readLocal();
+        legacyPending = !!legacy;
+        revision = revisionOf(legacy);
+        return legacy;
+      }
+
+      revision = revisionOf(doc);
+      written = new Map(ids.map((id, i) => [id, lists[i]]));
+      if (!Array.isArray(doc.tasks)) return doc; // schema.js reports it
+      return { ...doc, tasks: doc.tasks.map((t) => ({ ...t, history: written.get(t.id) ?? [] })) };
+    },
+
+    async save(state) {
+      const tasks = state.tasks ?? [];
+      const tx = db.transaction(["state", "history"], "readwrite");
+      const stateStore = tx.objectStore("state");
+      if (revisionOf(await request(stateStore.get(DOC_KEY))) > revision) return false;
+      const next = revision + 1;
+      stateStore.put({ ...state, tasks: tasks.map(withoutHistory), revision: next }, DOC_KEY);
+
+      const history = tx.objectStore("history");
+      if (!written) history.clear();
+      for (const t of tasks) {
+        const list = t.history ?? [];
+        if (written?.get(t.id) !== list) history.put(list, t.id);
+      }
+      const live = new Set(tasks.map((t) => t.id));
+      for (const id of written?.keys() ?? []) if (!live.has(id)) history.delete(id);
+
+      written = new Map(tasks.map((t) => [t.id, t.history ?? []]));
+      try {
+        await completion(tx);
+      } catch (e) {
+        written = null;
+        throw e;
+      }
+      revision = next;
+      announce(revision);
+
+      if (legacyPending) {
+        localStorage.removeItem(STORAGE_KEY);
+        legacyPending = false;
+      }
+      return true;
+    },
+
+    subscribe(onChange) {
+      return watchOtherTabs(() => revision, onChange);
+    },
+
+    async keepCopy(raw) {
+      const tx = db.transaction("state", "readwrite");
+      tx.objectStore("state").put(raw, UNREADABLE_DOC_KEY);
+      await completion(tx);
+      return `IndexedDB “${DB_NAME}/${UNREADABLE_DOC_KEY}”`;
+    },
+  };
+}
+
+export async function openStorage() {
+  if (typeof indexedDB !== "undefined") {
+    try {
+      return indexedDBBackend(await openDB());
+    } catch {
+      // Blocked (some private windows): fall back to localStorage
+    }
+  }
+  try {
+    // Throws where storage is blocked, or is there but can't be written
+    localStorage.setItem(PROBE_KEY, "1");
+    localStorage.removeItem(PROBE_KEY);
+  } catch (e) {
+    return memoryStorage(e);
+  }
+  return localStorageBackend();
+}
+
+function unusable(reason) {
+  return { state: null, report: { repaired: [], rejected: [{ record: { code: "savedData" }, reason }] } };
+}
+
+// { state, report } (state is null if the saved data is unusable), or null if nothing is saved
+export async function loadSavedState(storage) {
+  if (storage.openError) return storageFailure(storage.openError);
+  let raw = null;
+  try {
+    raw = await storage.load();
+    return raw ? loadAndValidate(raw) : null;
+  } catch (e) {
+    if (!raw) return unusable({ code: "unusable", error: e });
+    return unusable({ code: "unusableKept", error: e, keptIn: await storage.keepCopy(raw) });
+  }
+}
+
+// loadSavedState result when storage could not be opened or read (the app runs on memoryStorage)
+export function storageFailure(e) {
+  return unusable({ code: "notOpened", error: e });
+}
@@ -0,0 +1,93 @@
+/**
+ * Service worker (production builds only, registered from pwa.js).
+ *
+ * The serviceWorker() plugin in vite.config.js copies this file to
+ * dist/sw.js and fills in the build's version and file list, so every
+ * deploy installs as a new worker. A new worker waits until the app tells
+ * it to take over (the "new version" banner), then old caches are dropped.
+ *
+ * Precached files are served cache-first; page loads fall back to the cached
+ * app shell, so the app works fully offline.
+ *
+ * Reminders: the app sends its upcoming reminders (see reminders.js) with a
+ * "REMINDERS" message. They are kept in their own cache and shown on
+ * periodic background sync, so they arrive while the app is closed.
+ */
+
+const VERSION = self.__BUILD_VERSION__ ?? "dev";
+const PRECACHE = self.__PRECACHE__ ?? [];
+const CACHE = `housework-queue-${VERSION}`;
+const REMINDER_CACHE = "housework-reminders"; // survives app updates
+const REMINDER_GRACE_MS = 2 * 60 * 60 * 1000;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("housework-queue-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function readReminders() {
+  const hit = await (await caches.open(REMINDER_CACHE)).match("reminders");
+  return hit ? hit.json() : { reminders: [], shown: [] };
+}
+
+async function writeReminders(data) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put("reminders", new Response(JSON.stringify(data), { headers: { "Content-Type": "application/json" } }));
+}
+
+async function showDueReminders() {
+  const { reminders, shown } = await readReminders();
+  const now = Date.now();
+  const due = reminders.filter((r) => r.atMs <= now && now - r.atMs <= REMINDER_GRACE_MS && !shown.includes(r.tag));
+  for (const r of due) {
+    await self.registration.showNotification(r.title, { body: r.body, tag: r.tag, icon: "icons/icon-192.png" });
+  }
+  if (due.length > 0) await writeReminders({ reminders, shown: [...shown, ...due.map((r) => r.tag)].slice(-100) });
+}
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+  if (event.data?.type === "REMINDERS") {
+    const reminders = Array.isArray(event.data.reminders) ? event.data.reminders : [];
+    event.waitUntil(readReminders().then(({ shown }) => writeReminders({ reminders, shown })));
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "reminders") event.waitUntil(showDueReminders());
+});
+
+// Tapping a reminder brings the app to the front (or opens it)
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => "focus" in w);
+      return open ? open.focus() : self.clients.openWindow("./");
+    })
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches.match("./", { cacheName: CACHE }).then((shell) => shell ?? fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE }).then((hit) => hit ?? fetch(request))
+  );
+});
@@ -0,0 +1,82 @@
+import { loadAndValidate, syncPayload } from "./core/index.js";
+
+/**
+ * Client side of multi-device sync (server: server/sync-server.js).
+ *
+ * The sync config is per device and lives in its own localStorage key, so it
+ * is never part of backups or of the synced state:
+ *   { url, householdId, token, changeSeq, syncedSeq, lastSyncAtISO }
+ *
+ * changeSeq counts local actions, syncedSeq is the changeSeq that the last
+ * successful sync included. While they differ (offline, server down) the
+ * changes are queued and go out with the next sync; the state itself is
+ * already saved locally, so nothing is lost on reload.
+ */
+
+const SYNC_KEY = "housework_queue_sync";
+export const SYNC_INTERVAL_MS = 2 * 60 * 1000;
+
+export function defaultSyncConfig() {
+  return { url: "", householdId: "", token: "", changeSeq: 0, syncedSeq: 0, lastSyncAtISO: null };
+}
+
+export function loadSyncConfig() {
+  try {
+    return { ...defaultSyncConfig(), ...JSON.parse(localStorage.getItem(SYNC_KEY) || "{}") };
+  } catch {
+    return defaultSyncConfig();
+  }
+}
+
+export function saveSyncConfig(config) {
+  localStorage.setItem(SYNC_KEY, JSON.stringify(config));
+}
+
+export function syncEnabled(config) {
+  return !!config.url.trim() && !!config.householdId.trim();
+}
+
+export function pendingChanges(config) {
+  return Math.max(0, config.changeSeq - config.syncedSeq);
+}
+
+// A failed sync; code and params name it for i18n/format.js errorText
+export class SyncError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const STATUS_ERRORS = { 400: "syncRejected", 401: "syncToken", 404: "syncNotFound", 413: "syncTooLarge" };
+
+function householdURL(config) {
+  return `${config.url.trim().replace(/\/+$/, "")}/households/${encodeURIComponent(config.householdId.trim())}`;
+}
+
+/**
+ * Send our copy; the server merges it with what other devices sent and
+ * returns the merged state (validated here like any other loaded data).
+ */
+export async function pushAndPull(config, state) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+  let res;
+  try {
+    res = await fetch(householdURL(config), {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ state: syncPayload(state) }),
+    });
+  } catch (e) {
+    throw new SyncError("syncUnreachable", e.message || "Couldn’t reach the sync server.");
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const message = body?.error || `Sync server answered ${res.status}.`;
+    throw new SyncError(STATUS_ERRORS[res.status] ?? "syncStatus", message, { status: res.status });
+  }
+  return loadAndValidate(body?.state).state;
+}
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  adoptSavedState,
+  emptyUndo,
+  loadAndValidate,
+  markDone,
+  MAX_LOG_ENTRIES,
+  persistable,
+  recordAction,
+  SCHEMA_VERSION,
+  stampChanges,
+  syncPayload,
+  undoAction,
+} from "../src/core/index.js";
+
+test("saved and synced state keep only the newest log entries", () => {
+  const log = Array.from({ length: MAX_LOG_ENTRIES + 5 }, (_, i) => ({ id: `e${i}`, atISO: new Date(i * 1000).toISOString(), type: "edit", label: "x" }));
+  const state = { tasks: [], log, undo: emptyUndo() };
+
+  const saved = persistable(state);
+  assert.equal(saved.log.length, MAX_LOG_ENTRIES);
+  assert.equal(saved.log[0].id, "e5");
+  assert.equal("undo" in saved, false);
+  assert.equal(syncPayload(state).log.length, MAX_LOG_ENTRIES);
+  assert.equal(state.log.length, MAX_LOG_ENTRIES + 5);
+});
+
+test("an undo in one tab carries over to another tab", () => {
+  const saved = { schemaVersion: SCHEMA_VERSION, tasks: [{ id: "dishes", name: "Dishes", freqDays: 7, lastDoneISO: "2025-04-01", estMin: 20, history: [] }] };
+  // What the other tab gets when it loads a save (see App's loadFromStorage)
+  const reload = (state) => adoptSavedState(loadAndValidate(persistable(state)).state);
+
+  let tabA = reload(saved);
+  let tabB = reload(saved);
+  tabA = recordAction(tabA, stampChanges(tabA, markDone(tabA, "dishes", { dateISO: "2025-04-10", actualMin: 15 })), "done", "Done: Dishes");
+  tabB = reload(tabA);
+  assert.equal(tabB.tasks[0].lastDoneISO, "2025-04-10");
+
+  tabA = stampChanges(tabA, undoAction(tabA));
+  tabB = reload(tabA);
+  assert.equal(tabB.tasks[0].lastDoneISO, "2025-04-01");
+  assert.deepEqual(tabB.tasks[0].history, []);
+  assert.deepEqual(tabB.undo, emptyUndo());
+});
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { awayDaysBetween, computeDueISO, daysOverdue, urgencyScore } from "../src/core/index.js";
+
+const period = (startISO, endISO) => ({ id: `${startISO}-${endISO}`, startISO, endISO });
+
+function task(freqDays, lastDoneISO, rest = {}) {
+  return { id: "t", name: "t", freqDays, lastDoneISO, estMin: 15, history: [], ...rest };
+}
+
+test("overlapping household and task periods count each day away once", () => {
+  const ctx = { awayPeriods: [period("2025-04-03", "2025-04-05")] };
+  const t = task(7, "2025-04-01", { awayPeriods: [period("2025-04-04", "2025-04-07")] });
+
+  assert.equal(awayDaysBetween([...ctx.awayPeriods, ...t.awayPeriods], "2025-04-01", "2025-04-10"), 5);
+  // Due 04-08 at home, plus the 5 days away from 04-03 to 04-07
+  assert.equal(computeDueISO(t, ctx), "2025-04-13");
+  assert.equal(computeDueISO(t), "2025-04-12", "the task's own 4 days");
+  assert.equal(daysOverdue(t, "2025-04-15", ctx), 2);
+});
+
+test("away days stretch the cycle the urgency score is measured against", () => {
+  const ctx = { awayPeriods: [period("2025-04-03", "2025-04-09")] };
+  const away = task(7, "2025-04-01");
+  // Due 04-15 either way, so five days late on 04-20 is just as urgent
+  const longer = task(14, "2025-04-01");
+  assert.equal(computeDueISO(away, ctx), "2025-04-15");
+  assert.equal(urgencyScore(away, "2025-04-20", ctx), urgencyScore(longer, "2025-04-20"));
+});
+
+test("resetAfterAway tasks that came due while away are due the day you're back", () => {
+  const ctx = { awayPeriods: [period("2025-04-03", "2025-04-08")] };
+  const plants = task(3, "2025-04-01", { resetAfterAway: true });
+  assert.equal(computeDueISO(plants, ctx), "2025-04-09");
+  // Without the flag the three days at home still have to pass
+  assert.equal(computeDueISO({ ...plants, resetAfterAway: false }, ctx), "2025-04-10");
+
+  // Back-to-back household and task periods: back when both are over
+  const onHold = { ...plants, awayPeriods: [period("2025-04-09", "2025-04-10")] };
+  assert.equal(computeDueISO(onHold, ctx), "2025-04-11");
+
+  // Due before leaving: nothing moves
+  assert.equal(computeDueISO(task(1, "2025-04-01", { resetAfterAway: true }), ctx), "2025-04-02");
+});
+
+test("an away period that spans the last done date", () => {
+  // Done on 04-01 in the middle of a trip from 03-30 to 04-05
+  const ctx = { awayPeriods: [period("2025-03-30", "2025-04-05")] };
+  assert.equal(computeDueISO(task(7, "2025-04-01"), ctx), "2025-04-12");
+  assert.equal(computeDueISO(task(1, "2025-04-01", { resetAfterAway: true }), ctx), "2025-04-06");
+  assert.equal(daysOverdue(task(7, "2025-04-01"), "2025-04-12", ctx), 0);
+});
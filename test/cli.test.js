@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../bin/housework.js", import.meta.url));
+const ROWS = "name,freqDays,lastDone,estMin,room,tags\nDishes,1,2025-04-08,15,Kitchen,daily\nVacuum,7,2025-04-01,45,,\nWindows,30,2025-04-05,60,,\n";
+
+let dir;
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "housework-cli-"));
+});
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// Runs the CLI on file; { status, stdout, stderr }
+function housework(file, args, input) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    input,
+    encoding: "utf8",
+    env: { ...process.env, HOUSEWORK_FILE: file },
+    timeout: 30_000,
+  });
+}
+
+async function saved(file) {
+  return JSON.parse(await readFile(file, "utf8")).state;
+}
+
+async function withTasks(name) {
+  const file = join(dir, `${name}.json`);
+  const rows = join(dir, `${name}.csv`);
+  await writeFile(rows, ROWS);
+  assert.equal(housework(file, ["import", rows]).status, 0);
+  return file;
+}
+
+test("import starts a backup from a file, then merges rows from standard input", async () => {
+  const file = join(dir, "import.json");
+  const rows = join(dir, "import.csv");
+  await writeFile(rows, ROWS);
+
+  let run = housework(file, ["import", rows]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(run.stdout, "Merged: 3 added, 0 updated, 0 unchanged.\n");
+  assert.deepEqual((await saved(file)).tasks.map((t) => t.name), ["Dishes", "Vacuum", "Windows"]);
+
+  run = housework(file, ["import", "-"], "Vacuum\t7\t2025-04-01\t30\nMop\t7\t2025-04-02\t20\nbad row\n");
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(run.stdout, "Merged: 1 added, 1 updated, 0 unchanged.\n");
+  assert.match(run.stderr, /^warning: line 3 left out/);
+  const state = await saved(file);
+  assert.equal(state.tasks.find((t) => t.name === "Vacuum").estMin, 30);
+  assert.deepEqual(state.log.map((e) => e.label), ["Merged import: 3 added, 0 updated", "Merged import: 1 added, 1 updated"]);
+
+  run = housework(file, ["import", "-", "--replace"], "Laundry,3,2025-04-09,30\n");
+  assert.equal(run.stdout, "Replaced the list with 1 tasks.\n");
+  assert.deepEqual((await saved(file)).tasks.map((t) => t.name), ["Laundry"]);
+});
+
+test("list shows the most urgent tasks first", async () => {
+  const file = await withTasks("list");
+  const run = housework(file, ["list", "--date", "2025-04-10", "--json"]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(JSON.parse(run.stdout).map((t) => t.name), ["Dishes", "Vacuum", "Windows"]);
+
+  const table = housework(file, ["list", "--date", "2025-04-10"]).stdout.split("\n");
+  assert.match(table[0], /^TASK\s+DUE\s+MIN\s+ROOM$/);
+  assert.match(table[1], /^Dishes\s.*\s15\s+Kitchen$/);
+});
+
+test("plan --save stores the plan, which later runs show as saved", async () => {
+  const file = await withTasks("plan");
+  let run = housework(file, ["plan", "--date", "2025-04-10", "--budget", "60", "--save", "--json"]);
+  assert.equal(run.status, 0, run.stderr);
+  const shown = JSON.parse(run.stdout);
+  assert.equal(shown.locked, false);
+  assert.deepEqual(shown.tasks.map((t) => t.name), ["Dishes", "Vacuum"]);
+
+  const { todayPlan } = await saved(file);
+  assert.equal(todayPlan.dateISO, "2025-04-10");
+  assert.equal(todayPlan.pickedIds.length, 2);
+
+  run = housework(file, ["plan", "--date", "2025-04-10"]);
+  assert.match(run.stdout, /^2025-04-10: 2 tasks, about \d+ min \(saved plan\)\n/);
+});
+
+test("done records the completion and logs it", async () => {
+  const file = await withTasks("done");
+  const run = housework(file, ["done", "vac", "--minutes", "40", "--date", "2025-04-10"]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(run.stdout, "Done: Vacuum (40 min) on 2025-04-10\n");
+
+  const state = await saved(file);
+  const vacuum = state.tasks.find((t) => t.name === "Vacuum");
+  assert.equal(vacuum.lastDoneISO, "2025-04-10");
+  assert.equal(vacuum.history[0].actualMin, 40);
+  assert.equal(state.log.at(-1).label, "Done: Vacuum (40 min)");
+
+  const unknown = housework(file, ["done", "Gutters"]);
+  assert.equal(unknown.status, 1);
+  assert.equal(unknown.stderr, 'No task matches "Gutters".\n');
+});
+
+test("bad usage exits with 2 and leaves the file alone", async () => {
+  const file = await withTasks("usage");
+  const original = await readFile(file, "utf8");
+
+  let run = housework(file, ["done", "Vacuum", "--minutes", "0"]);
+  assert.equal(run.status, 2);
+  assert.match(run.stderr, /^--minutes must be a whole number of minutes above 0, got "0"\.\n\nUsage:/);
+
+  run = housework(file, ["plan", "--date", "2025-02-30"]);
+  assert.equal(run.status, 2);
+  assert.match(run.stderr, /^--date must be YYYY-MM-DD, got "2025-02-30"\./);
+
+  run = housework(file, ["list", "--date", "tomorrow"]);
+  assert.equal(run.status, 2);
+
+  assert.equal(await readFile(file, "utf8"), original);
+});
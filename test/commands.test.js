@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { fuzzyMatch, searchCommands } from "../src/commands.js";
+
+const labels = (results) => results.map((r) => r.command.label);
+const commands = (...list) => list.map((label, i) => (typeof label === "string" ? { id: `c${i}`, label } : { id: `c${i}`, ...label }));
+
+test("letters must appear in order, ignoring case and spaces", () => {
+  assert.deepEqual(fuzzyMatch("dn vac", "Done: Vacuum").positions, [0, 2, 6, 7, 8]);
+  assert.ok(fuzzyMatch("DONEVAC", "Done: Vacuum"));
+  assert.equal(fuzzyMatch("vd", "Done: Vacuum"), null);
+  assert.equal(fuzzyMatch("x", "Done: Vacuum"), null);
+  assert.deepEqual(fuzzyMatch("  ", "Done: Vacuum"), { score: 0, positions: [] });
+});
+
+test("a letter is matched at a word start when there is one", () => {
+  assert.deepEqual(fuzzyMatch("c", "Recycling: Cans").positions, [11]);
+  assert.deepEqual(fuzzyMatch("rc", "Recycling: Cans").positions, [0, 11]);
+});
+
+test("word starts and letters in a row rank first, then shorter labels", () => {
+  const list = commands("Bake a cake", "Go to Backup", "Feed the black cat");
+  // "Bake a cake" has two word starts to "black"'s one, which outweighs the run of letters
+  assert.deepEqual(labels(searchCommands(list, "back")), ["Go to Backup", "Bake a cake", "Feed the black cat"]);
+
+  const mops = commands("Done: Mop (upstairs bathroom)", "Done: Mop");
+  assert.deepEqual(labels(searchCommands(mops, "mop")), ["Done: Mop", "Done: Mop (upstairs bathroom)"]);
+
+  const tabs = commands("Done: Dishes", "Go to Settings", "Done: Vacuum");
+  assert.deepEqual(labels(searchCommands(tabs, "dv")), ["Done: Vacuum"]);
+  assert.deepEqual(labels(searchCommands(tabs, "set")), ["Go to Settings"]);
+});
+
+test("keyword matches come after label matches and highlight nothing", () => {
+  const list = commands({ label: "Go to Backup", keywords: "export download json" }, "Export tasks as CSV");
+  const results = searchCommands(list, "export");
+  assert.deepEqual(labels(results), ["Export tasks as CSV", "Go to Backup"]);
+  assert.deepEqual(results[1].positions, []);
+});
+
+test("an empty query lists commands in their own order, up to the limit", () => {
+  const list = commands("Undo", "Go to Today", "Go to Week", "Go to Tasks");
+  assert.deepEqual(labels(searchCommands(list, "")), ["Undo", "Go to Today", "Go to Week", "Go to Tasks"]);
+  assert.deepEqual(labels(searchCommands(list, " ", 2)), ["Undo", "Go to Today"]);
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildPlan, durationStats, estimateRange, formatEstimate, plannedMinutes } from "../src/core/index.js";
+
+// History is newest first, as markDone writes it
+function timed(id, estMin, actualMins, extra = {}) {
+  const history = actualMins.map((actualMin, i) => ({ dateISO: `2025-03-${String(28 - i).padStart(2, "0")}`, kind: "done", actualMin }));
+  return { id, name: id, freqDays: 7, lastDoneISO: "2025-04-01", estMin, history, ...extra };
+}
+
+test("the spread comes from the actual minutes once there are three", () => {
+  const task = timed("a", 25, [20, 30, 25]);
+  assert.deepEqual(durationStats(task), { est: 25, spread: 5, samples: 3, known: true });
+  assert.deepEqual(estimateRange(task), { low: 20, high: 30, known: true, samples: 3 });
+  assert.equal(formatEstimate(task), "20–30 min");
+});
+
+test("with too little history the spread is a wide guess and the range is unknown", () => {
+  const task = timed("a", 20, [18, 22]);
+  assert.deepEqual(durationStats(task), { est: 20, spread: 8, samples: 2, known: false });
+  assert.equal(formatEstimate(task), "~20 min");
+  assert.equal(plannedMinutes(task, 90), 31); // 20 + 1.28 × 8
+});
+
+test("only timed completions count, the newest twelve", () => {
+  const skips = [
+    { dateISO: "2025-03-30", kind: "skip" },
+    { dateISO: "2025-03-29", kind: "done" },
+  ];
+  const task = timed("a", 10, [...Array(12).fill(10), 500, 500]);
+  const { spread, samples } = durationStats({ ...task, history: [...skips, ...task.history] });
+  assert.deepEqual([spread, samples], [0, 12]);
+});
+
+test("higher confidence sets more minutes aside, never fewer than the estimate", () => {
+  const task = timed("a", 25, [20, 30, 25]);
+  assert.deepEqual([50, 80, 90, 95].map((c) => plannedMinutes(task, c)), [25, 30, 32, 34]);
+  assert.equal(plannedMinutes(task, 70), 25, "unknown levels plan the plain estimate");
+  assert.equal(plannedMinutes(timed("steady", 15, [15, 15, 15]), 95), 15);
+});
+
+test("planning at 90% fits fewer tasks into the same budget", () => {
+  const tasks = [timed("a", 25, [20, 30, 25]), timed("b", 25, [20, 30, 25])];
+  const plain = buildPlan(tasks, "2025-04-10", 60);
+  assert.deepEqual(plain.pickedIds.sort(), ["a", "b"]);
+  assert.equal(plain.totalEstMin, 50);
+
+  const safe = buildPlan(tasks, "2025-04-10", 60, { confidence: 90 });
+  assert.equal(safe.pickedIds.length, 1);
+  assert.equal(safe.totalEstMin, 32);
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { addDaysISO, applyFrequency, completionIntervals, dismissFrequencySuggestion, frequencySuggestion } from "../src/core/index.js";
+
+// A task set to repeat every freqDays, completed after each of these gaps
+function doneEvery(freqDays, gaps, extra = []) {
+  const dates = gaps.reduce((list, gap) => [...list, addDaysISO(list.at(-1), gap)], ["2025-01-01"]);
+  const history = [...dates.map((dateISO) => ({ dateISO, kind: "done" })), ...extra];
+  return { id: "t", name: "t", freqDays, lastDoneISO: dates.at(-1), estMin: 15, history };
+}
+
+test("no suggestion until there are three gaps to go on", () => {
+  assert.equal(frequencySuggestion(doneEvery(7, [14, 14])), null);
+  assert.equal(frequencySuggestion(doneEvery(7, [14, 14, 14])).suggestedDays, 14);
+});
+
+test("only completions count, one per day", () => {
+  const skips = [
+    { dateISO: "2025-01-08", kind: "skip" },
+    { dateISO: "2025-01-22", kind: "snooze" },
+  ];
+  // Done 01-01, 01-15 and 01-29; an entry with no kind (older data) is a completion too
+  const task = doneEvery(7, [14, 14], [...skips, { dateISO: "2025-02-12" }, { dateISO: "2025-01-15", kind: "done" }]);
+  assert.deepEqual(completionIntervals(task), [14, 14, 14]);
+});
+
+test("the median keeps one long gap from skewing the suggestion", () => {
+  const s = frequencySuggestion(doneEvery(7, [14, 13, 60, 14, 15]));
+  assert.equal(s.suggestedDays, 14);
+  assert.deepEqual([s.low, s.high, s.samples], [13, 60, 5]);
+  // Only the last eight gaps are looked at
+  assert.equal(completionIntervals(doneEvery(7, [30, 30, 3, 3, 3, 3, 3, 3, 3, 3])).length, 8);
+  assert.equal(frequencySuggestion(doneEvery(30, [30, 30, 3, 3, 3, 3, 3, 3, 3, 3])).suggestedDays, 3);
+});
+
+test("suggestions are whole days, from the middle two gaps when the count is even", () => {
+  assert.equal(frequencySuggestion(doneEvery(3, [10, 11, 12, 30])).suggestedDays, 12); // 11.5 rounds up
+  assert.equal(frequencySuggestion(doneEvery(3, [10, 10, 11, 30])).suggestedDays, 11); // 10.5
+  assert.equal(frequencySuggestion(doneEvery(7, [1, 1, 1])).suggestedDays, 1);
+});
+
+test("small differences are not worth a suggestion", () => {
+  // Under 25% of the setting
+  assert.equal(frequencySuggestion(doneEvery(10, [12, 12, 12])), null);
+  assert.equal(frequencySuggestion(doneEvery(10, [13, 13, 13])).suggestedDays, 13);
+  // And never less than a day
+  assert.equal(frequencySuggestion(doneEvery(2, [3, 3, 3])).suggestedDays, 3);
+  assert.equal(frequencySuggestion(doneEvery(1, [1, 1, 1])), null);
+});
+
+test("a dismissed suggestion stays quiet until the data moves on", () => {
+  const task = dismissFrequencySuggestion(doneEvery(7, [14, 14, 14]), 14);
+  assert.equal(frequencySuggestion(task), null);
+  assert.equal(frequencySuggestion({ ...task, history: doneEvery(7, [14, 21, 21, 21]).history }).suggestedDays, 21);
+
+  const applied = applyFrequency(task, 14);
+  assert.equal(applied.freqDays, 14);
+  assert.equal("dismissedFreqDays" in applied, false);
+  assert.equal(frequencySuggestion(applied), null);
+});
+
+test("calendar rules get no suggestions", () => {
+  const task = { ...doneEvery(7, [14, 14, 14]), recurrence: { type: "weekly", weekdays: [1] } };
+  assert.equal(frequencySuggestion(task), null);
+});
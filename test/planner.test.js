@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { addDaysISO, buildHouseholdPlan, buildPlan, deadlineSchedule, importanceWeight, urgencyScore } from "../src/core/index.js";
+
+const NOW = "2025-04-10";
+
+function task(id, estMin, { freqDays = 7, lastDaysAgo = 14, ...rest } = {}) {
+  return { id, name: id, freqDays, estMin, lastDoneISO: addDaysISO(NOW, -lastDaysAgo), history: [], ...rest };
+}
+
+test("optimal fills the budget exactly where greedy leaves minutes over", () => {
+  const tasks = [task("a", 40, { lastDaysAgo: 15 }), task("b", 35), task("c", 25)];
+  const optimal = buildPlan(tasks, NOW, 60);
+  assert.deepEqual(optimal.pickedIds.sort(), ["b", "c"]);
+  assert.equal(optimal.totalEstMin, 60);
+
+  const greedy = buildPlan(tasks, NOW, 60, { strategy: "greedy" });
+  assert.deepEqual(greedy.pickedIds, ["a"]);
+  assert.equal(greedy.totalEstMin, 40);
+});
+
+test("equal scores keep the task that came due first", () => {
+  // Both twice their cycle since last done, so the same urgency; "early" was due 5 days sooner
+  const tasks = [task("late", 20, { freqDays: 5, lastDaysAgo: 10 }), task("early", 20, { freqDays: 10, lastDaysAgo: 20 })];
+  for (const strategy of ["optimal", "greedy"]) {
+    assert.deepEqual(buildPlan(tasks, NOW, 30, { strategy }).pickedIds, ["early"], strategy);
+  }
+});
+
+test("a zero budget plans nothing", () => {
+  const plan = buildPlan([task("a", 10)], NOW, 0);
+  assert.deepEqual(plan.pickedIds, []);
+  assert.equal(plan.totalEstMin, 0);
+});
+
+test("overdue tasks are packed before ones that aren't due", () => {
+  const tasks = [task("soon1", 15, { lastDaysAgo: 6 }), task("soon2", 15, { lastDaysAgo: 6 }), task("overdue", 30, { lastDaysAgo: 8 })];
+  assert.deepEqual(buildPlan(tasks, NOW, 30).pickedIds, ["overdue"]);
+});
+
+test("a deadline that can't wait goes in before overdue work", () => {
+  const tasks = [task("overdue", 30, { lastDaysAgo: 30 }), task("deadline", 30, { lastDaysAgo: 1, deadlineISO: NOW })];
+  assert.deepEqual(buildPlan(tasks, NOW, 30).pickedIds, ["deadline"]);
+  assert.deepEqual(buildPlan(tasks, NOW, 30, { strategy: "greedy" }).pickedIds, ["deadline"]);
+});
+
+test("importance scales urgency: high counts double, low half", () => {
+  const normal = task("normal", 20, { lastDaysAgo: 10 });
+  const score = urgencyScore(normal, NOW);
+  assert.equal(urgencyScore({ ...normal, importance: "high" }, NOW), 2 * score);
+  assert.equal(urgencyScore({ ...normal, importance: "low" }, NOW), 0.5 * score);
+  assert.equal(importanceWeight({ importance: "urgent" }), 1, "unknown levels count as normal");
+});
+
+test("with room for one of two equally late tasks, the more important one goes in", () => {
+  const tasks = [task("low", 30, { importance: "low" }), task("normal", 30), task("high", 30, { importance: "high" })];
+  for (const strategy of ["optimal", "greedy"]) {
+    assert.deepEqual(buildPlan(tasks, NOW, 30, { strategy }).pickedIds, ["high"], strategy);
+    assert.deepEqual(buildPlan(tasks.slice(0, 2), NOW, 30, { strategy }).pickedIds, ["normal"], strategy);
+  }
+});
+
+test("on a tight budget, deadlines are started early enough to make it", () => {
+  const due = addDaysISO(NOW, 2);
+  const tasks = [task("a", 30, { deadlineISO: due }), task("b", 30, { deadlineISO: due }), task("c", 30, { deadlineISO: due })];
+
+  // 30 minutes a day: one task per day, so the third has to start today
+  const tight = deadlineSchedule(tasks, NOW, () => 30);
+  assert.deepEqual(
+    [...tight.values()].map((d) => [d.startByISO, d.critical]),
+    [
+      [due, false],
+      [addDaysISO(NOW, 1), false],
+      [NOW, true],
+    ]
+  );
+  // With room for all three on the day itself, none is urgent yet
+  assert.ok([...deadlineSchedule(tasks, NOW, () => 90).values()].every((d) => d.startByISO === due && !d.critical));
+
+  // Days off don't count, and a task longer than any day still gets one to itself
+  const offTomorrow = (iso) => (iso === addDaysISO(NOW, 1) ? 0 : 30);
+  const long = task("long", 45, { deadlineISO: addDaysISO(NOW, 1) });
+  assert.deepEqual(deadlineSchedule([long], NOW, offTomorrow).get("long"), { deadlineISO: long.deadlineISO, startByISO: NOW, critical: true });
+
+  // The critical one goes in ahead of overdue work
+  const overdue = task("overdue", 30, { lastDaysAgo: 30 });
+  assert.deepEqual(buildPlan([overdue, ...tasks], NOW, 30, { budgetForDate: () => 30 }).pickedIds, ["c"]);
+});
+
+test("a deadline already missed is critical", () => {
+  const late = task("late", 20, { deadlineISO: addDaysISO(NOW, -1) });
+  assert.deepEqual(deadlineSchedule([late], NOW, () => 60).get("late"), { deadlineISO: late.deadlineISO, startByISO: NOW, critical: true });
+});
+
+test("snoozed tasks are left out", () => {
+  const tasks = [task("a", 10, { snoozeUntilISO: addDaysISO(NOW, 2) }), task("b", 10)];
+  assert.deepEqual(buildPlan(tasks, NOW, 60).pickedIds, ["b"]);
+});
+
+test("household plans pass a task along to fit one that's stranded", () => {
+  // Handed out one by one, "small" lands on the 31-minute person and "big" fits nobody
+  const tasks = [task("huge", 36, { freqDays: 9, lastDaysAgo: 15 }), task("big", 26, { freqDays: 8, lastDaysAgo: 7 }), task("small", 13, { freqDays: 8, lastDaysAgo: 5 })];
+  const members = [
+    { id: "a", budgetMin: 31 },
+    { id: "b", budgetMin: 21 },
+  ];
+  const plan = buildHouseholdPlan(tasks, NOW, members);
+  assert.deepEqual(plan.byMember, { a: ["big"], b: ["small"] });
+  assert.equal(plan.totalEstMin, 39);
+});
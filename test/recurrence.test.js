@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { nextOccurrenceISO, normalizeRule } from "../src/core/index.js";
+
+test("every 2 weeks finishes the current week before skipping one", () => {
+  // 2025-04-07 is a Monday
+  const rule = normalizeRule({ type: "weekly", weekdays: [1, 4], everyWeeks: 2, startISO: "2025-04-07" });
+  assert.equal(nextOccurrenceISO(rule, "2025-04-07"), "2025-04-10");
+  assert.equal(nextOccurrenceISO(rule, "2025-04-10"), "2025-04-21");
+  // Done late, in the week off: still back on the start week's cycle
+  assert.equal(nextOccurrenceISO(rule, "2025-04-15"), "2025-04-21");
+  assert.equal(nextOccurrenceISO(rule, "2025-04-22"), "2025-04-24");
+});
+
+test("an every-2-weeks rule without a start counts from the week last done", () => {
+  const rule = normalizeRule({ type: "weekly", weekdays: [1, 4], everyWeeks: 2 });
+  assert.equal(rule.startISO, undefined);
+  assert.equal(nextOccurrenceISO(rule, "2025-04-07"), "2025-04-10");
+  assert.equal(nextOccurrenceISO(rule, "2025-04-11"), "2025-04-21");
+});
+
+test("weekly rules keep a start only when they skip weeks", () => {
+  assert.equal(normalizeRule({ type: "weekly", weekdays: [1], startISO: "2025-04-07" }).startISO, undefined);
+  assert.equal(normalizeRule({ type: "weekly", weekdays: [1], everyWeeks: 3, startISO: "2025-02-30" }).startISO, undefined);
+  const rule = normalizeRule({ type: "weekly", weekdays: [1], everyWeeks: 1 });
+  assert.equal(nextOccurrenceISO(rule, "2025-04-07"), "2025-04-14");
+});
+
+test("day 31 of the month falls on the last day of shorter months", () => {
+  const rule = normalizeRule({ type: "monthlyDay", day: 31 });
+  assert.equal(nextOccurrenceISO(rule, "2025-01-31"), "2025-02-28");
+  assert.equal(nextOccurrenceISO(rule, "2025-02-28"), "2025-03-31");
+  assert.equal(nextOccurrenceISO(rule, "2024-01-31"), "2024-02-29");
+  assert.equal(nextOccurrenceISO(rule, "2025-04-15"), "2025-04-30");
+  assert.equal(nextOccurrenceISO(rule, "2025-12-31"), "2026-01-31");
+});
+
+test("the nth weekday of the month", () => {
+  const secondSaturday = normalizeRule({ type: "monthlyNth", nth: 2, weekday: 6 });
+  assert.equal(nextOccurrenceISO(secondSaturday, "2025-04-01"), "2025-04-12");
+  assert.equal(nextOccurrenceISO(secondSaturday, "2025-04-12"), "2025-05-10");
+
+  // March 2025 starts on a Saturday, so its first Saturday is the 1st
+  const firstSaturday = normalizeRule({ type: "monthlyNth", nth: 1, weekday: 6 });
+  assert.equal(nextOccurrenceISO(firstSaturday, "2025-02-28"), "2025-03-01");
+});
+
+test("the last weekday of the month", () => {
+  const lastFriday = normalizeRule({ type: "monthlyNth", nth: -1, weekday: 5 });
+  assert.equal(nextOccurrenceISO(lastFriday, "2025-04-01"), "2025-04-25");
+  assert.equal(nextOccurrenceISO(lastFriday, "2025-04-25"), "2025-05-30");
+  // January 2025 ends on a Friday
+  assert.equal(nextOccurrenceISO(lastFriday, "2024-12-31"), "2025-01-31");
+});
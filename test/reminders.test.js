@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizeSettings } from "../src/core/index.js";
+import { afterQuietHours, defaultReminderPrefs, isQuietTime, planReminders, scheduleReminders } from "../src/reminders.js";
+
+// Local times on 2025-04-10 (no clock change near it in any time zone we run in)
+const at = (day, hh, mm = 0) => new Date(2025, 3, day, hh, mm).getTime();
+const prefs = (overrides = {}) => ({ ...defaultReminderPrefs(), enabled: true, ...overrides });
+
+// setTimeout/clearTimeout that only run when the test moves the time on
+function fakeClock(startMs) {
+  let now = startMs;
+  let timers = [];
+  let nextId = 1;
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      timers.push({ id: nextId, atMs: now + ms, fn });
+      return nextId++;
+    },
+    clearTimeout(id) {
+      timers = timers.filter((t) => t.id !== id);
+    },
+    pending: () => timers.length,
+    advanceTo(ms) {
+      for (;;) {
+        const next = timers.filter((t) => t.atMs <= ms).sort((a, b) => a.atMs - b.atMs)[0];
+        if (!next) break;
+        timers = timers.filter((t) => t !== next);
+        now = next.atMs;
+        next.fn();
+      }
+      now = ms;
+    },
+  };
+}
+
+test("quiet hours that cross midnight cover the late evening and the early morning", () => {
+  const p = prefs({ quietStart: "22:00", quietEnd: "07:00" });
+  assert.equal(isQuietTime(p, at(10, 21, 59)), false);
+  assert.equal(isQuietTime(p, at(10, 22, 0)), true);
+  assert.equal(isQuietTime(p, at(10, 23, 30)), true);
+  assert.equal(isQuietTime(p, at(11, 3, 0)), true);
+  assert.equal(isQuietTime(p, at(11, 7, 0)), false);
+  assert.equal(isQuietTime(p, at(11, 12, 0)), false);
+});
+
+test("quiet hours within one day, and none when start equals end", () => {
+  const midday = prefs({ quietStart: "13:00", quietEnd: "15:00" });
+  assert.equal(isQuietTime(midday, at(10, 12, 59)), false);
+  assert.equal(isQuietTime(midday, at(10, 14, 0)), true);
+  assert.equal(isQuietTime(midday, at(10, 15, 0)), false);
+  assert.equal(isQuietTime(midday, at(10, 23, 0)), false);
+  assert.equal(isQuietTime(prefs({ quietStart: "07:00", quietEnd: "07:00" }), at(10, 3, 0)), false);
+});
+
+test("a time in quiet hours moves to when they end, the next morning if need be", () => {
+  const p = prefs({ quietStart: "22:00", quietEnd: "07:00" });
+  assert.equal(afterQuietHours(p, at(10, 23, 30)), at(11, 7, 0));
+  assert.equal(afterQuietHours(p, at(11, 3, 0)), at(11, 7, 0));
+  assert.equal(afterQuietHours(p, at(10, 12, 0)), at(10, 12, 0));
+  assert.equal(afterQuietHours(prefs({ quietStart: "13:00", quietEnd: "15:00" }), at(10, 14, 0)), at(10, 15, 0));
+});
+
+test("planned reminders skip quiet hours, or are dropped if that is the next day", () => {
+  const state = {
+    tasks: [{ id: "dishes", name: "Dishes", freqDays: 7, lastDoneISO: "2025-04-09", estMin: 20, history: [] }],
+    settings: normalizeSettings({}),
+    todayPlan: { dateISO: "2025-04-10", pickedIds: ["dishes"], completedIds: [] },
+  };
+  const p = prefs({ morningTime: "06:30", eveningTime: "23:00", quietStart: "22:00", quietEnd: "07:00" });
+  const reminders = planReminders(state, p, "2025-04-10");
+
+  assert.deepEqual(
+    reminders.map((r) => [r.tag, r.atMs]),
+    [
+      ["plan-ready:2025-04-10", at(10, 7, 0)],
+      ["plan-ready:2025-04-11", at(11, 7, 0)],
+    ]
+  );
+  const beforeQuiet = planReminders(state, { ...p, eveningTime: "21:30" }, "2025-04-10");
+  assert.deepEqual(beforeQuiet.filter((r) => r.tag.startsWith("open-tasks")).map((r) => r.atMs), [at(10, 21, 30)]);
+  assert.deepEqual(planReminders(state, { ...p, enabled: false }, "2025-04-10"), []);
+});
+
+test("scheduled reminders are shown once when their time comes", () => {
+  const reminders = [
+    { tag: "stale", atMs: at(10, 4, 0), title: "Too late", body: "" },
+    { tag: "morning", atMs: at(10, 8, 0), title: "Morning", body: "" },
+    { tag: "evening", atMs: at(10, 19, 0), title: "Evening", body: "" },
+  ];
+  const clock = fakeClock(at(10, 7, 0));
+  const shown = [];
+  let sent = {};
+  const cancel = scheduleReminders(reminders, { clock, show: (r) => shown.push([r.tag, clock.now()]), onSent: (s) => (sent = s) });
+
+  assert.deepEqual(shown, []);
+  clock.advanceTo(at(10, 12, 0));
+  assert.deepEqual(shown, [["morning", at(10, 8, 0)]]);
+  assert.deepEqual(Object.keys(sent), ["morning"]);
+
+  clock.advanceTo(at(10, 23, 0));
+  assert.deepEqual(shown.map(([tag]) => tag), ["morning", "evening"]);
+  assert.equal(shown[1][1], at(10, 19, 0));
+  assert.equal(clock.pending(), 0);
+  cancel();
+});
+
+test("reminders already shown are not shown again, and cancel stops the schedule", () => {
+  const reminders = [
+    { tag: "morning", atMs: at(10, 8, 0), title: "Morning", body: "" },
+    { tag: "evening", atMs: at(10, 19, 0), title: "Evening", body: "" },
+  ];
+  const clock = fakeClock(at(10, 8, 30));
+  const shown = [];
+  const cancel = scheduleReminders(reminders, { sent: { morning: at(10, 8, 0) }, clock, show: (r) => shown.push(r.tag) });
+
+  assert.deepEqual(shown, []);
+  assert.equal(clock.pending(), 1);
+  cancel();
+  assert.equal(clock.pending(), 0);
+  clock.advanceTo(at(10, 20, 0));
+  assert.deepEqual(shown, []);
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { defaultSettings, parsePasteDetailed, validateState } from "../src/core/index.js";
+import { dataIssueText, dataRecordText, importReasonText } from "../src/i18n/format.js";
+import { setLocale } from "../src/i18n/index.js";
+
+const settingsFixes = (settings) => validateState({ tasks: [], settings }).report.repaired;
+
+test("the data check reports settings it had to repair", () => {
+  const fixes = settingsFixes({
+    planStrategy: "fastest",
+    budgets: { weekday: [999, -5, 30, 30, 30, 30, 30], overrides: { someday: 20 } },
+    members: [{ id: "a", name: "  ", budgets: {} }, { name: "no id" }],
+    awayPeriods: [{ startISO: "soon" }],
+  });
+
+  assert.deepEqual(
+    fixes.map((r) => [r.record.code, r.issue.code]),
+    [
+      ["settings", "weekdayBudgetsClamped"],
+      ["settings", "overridesFixed"],
+      ["settings", "settingReset"],
+      ["settings", "membersDropped"],
+      ["member", "memberNamed"],
+      ["settings", "awayDropped"],
+    ]
+  );
+  assert.equal(dataIssueText(fixes[0].issue), "2 weekday budgets set within 0–480 min");
+  assert.equal(dataIssueText(fixes[2].issue), "plan strategy “fastest” reset to optimal");
+  assert.equal(dataRecordText(fixes[4].record), "Household member Someone");
+});
+
+test("missing or valid settings are not reported", () => {
+  assert.deepEqual(settingsFixes(undefined), []);
+  assert.deepEqual(settingsFixes({ budgets: { weekday: [60, 60] } }), []);
+  assert.deepEqual(settingsFixes(defaultSettings()), []);
+});
+
+test("repairs and import rejections read in the user's date format", () => {
+  const { report } = validateState({ tasks: [{ id: "a", name: "Dishes", freqDays: 7, lastDoneISO: "04/03/2025", estMin: 10 }] });
+  const { rejected } = parsePasteDetailed("Floors,7,31/31/2025,20", { dateFormat: "dmy" });
+
+  setLocale({ language: "en", dateFormat: "dmy" });
+  assert.equal(dataRecordText(report.repaired[0].record), "Dishes");
+  assert.equal(dataIssueText(report.repaired[0].issue), "last done date “04/03/2025” read as 3/4/2025");
+  assert.equal(importReasonText(rejected[0].reason), "Last done “31/31/2025” isn’t a date (D/M/YYYY or YYYY-MM-DD).");
+
+  setLocale({ language: "en", dateFormat: "ymd" });
+  assert.equal(dataIssueText(report.repaired[0].issue), "last done date “04/03/2025” read as 2025-04-03");
+  setLocale({ language: "en", dateFormat: "mdy" });
+});
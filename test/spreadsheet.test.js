@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { applyImportDiff, diffImport, exportTasks, parsePasteDetailed } from "../src/core/index.js";
+
+const TASKS = [
+  { id: "1", name: "Wipe fridge, shelves and door", freqDays: 14, lastDoneISO: "2025-04-01", estMin: 20, room: "Kitchen", tags: ["deep clean", "kitchen"] },
+  { id: "2", name: 'Water the "big" plant', freqDays: 3, lastDoneISO: "2025-04-09", estMin: 5, room: "Living room, east", tags: [] },
+  { id: "3", name: "  Sweep porch", freqDays: 7, lastDoneISO: "2025-03-30", estMin: 10, room: "", tags: ["outside"] },
+];
+
+function fields(t) {
+  return { name: t.name.trim(), freqDays: t.freqDays, lastDoneISO: t.lastDoneISO, estMin: t.estMin, room: t.room, tags: t.tags };
+}
+
+test("exported tasks read back the same, commas and quotes included", () => {
+  for (const delimiter of [",", "\t"]) {
+    const { rows, rejected } = parsePasteDetailed(exportTasks(TASKS, delimiter), { dateFormat: "ymd" });
+    assert.deepEqual(rejected, [], JSON.stringify(delimiter));
+    assert.deepEqual(rows.map((r) => fields(r.task)), TASKS.map(fields), JSON.stringify(delimiter));
+  }
+});
+
+test("merging an export back into the same list changes nothing", () => {
+  const { rows } = parsePasteDetailed(exportTasks(TASKS), { dateFormat: "ymd" });
+  const diff = diffImport(TASKS, rows);
+  assert.deepEqual(diff.map((d) => d.status), ["unchanged", "unchanged", "unchanged"]);
+  assert.deepEqual(applyImportDiff(TASKS, diff), TASKS);
+});
+
+test("a calendar schedule is exported as its typical gap", () => {
+  const weekly = { ...TASKS[0], freqDays: 4, recurrence: { type: "weekly", weekdays: [1, 4], everyWeeks: 1 } };
+  const { rows } = parsePasteDetailed(exportTasks([weekly]), { dateFormat: "ymd" });
+  assert.equal(rows[0].task.freqDays, 4);
+  assert.equal(rows[0].task.recurrence, undefined);
+  // Merged back, the task keeps its rule
+  assert.equal(diffImport([weekly], rows)[0].status, "unchanged");
+});
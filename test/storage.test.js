@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { loadAndValidate, markDone, mergeSavedState, recordAction, SCHEMA_VERSION, stampChanges } from "../src/core/index.js";
+import { loadSavedState, openStorage } from "../src/storage.js";
+
+function fakeLocalStorage({ blocked = false } = {}) {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem(key, value) {
+      if (blocked) throw new DOMException("The operation is insecure.", "SecurityError");
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+// Saves announce themselves to other tabs; an open channel would keep the test process running
+const { BroadcastChannel } = globalThis;
+before(() => {
+  globalThis.BroadcastChannel = undefined;
+});
+after(() => {
+  globalThis.BroadcastChannel = BroadcastChannel;
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+// Node has no indexedDB, so openStorage goes straight to localStorage here
+test("without IndexedDB, a writable localStorage is used", async () => {
+  globalThis.localStorage = fakeLocalStorage();
+  const storage = await openStorage();
+  assert.equal(storage.kind, "localStorage");
+  assert.equal(await loadSavedState(storage), null);
+});
+
+test("blocked localStorage falls back to memory and says so", async () => {
+  globalThis.localStorage = fakeLocalStorage({ blocked: true });
+  const storage = await openStorage();
+  assert.equal(storage.kind, "memory");
+
+  const loaded = await loadSavedState(storage);
+  assert.equal(loaded.state, null);
+  assert.equal(loaded.report.rejected[0].reason.code, "notOpened");
+  assert.equal(loaded.report.rejected[0].reason.error.name, "SecurityError");
+});
+
+test("no localStorage at all falls back to memory", async () => {
+  const storage = await openStorage();
+  assert.equal(storage.kind, "memory");
+  assert.ok(await storage.save({ tasks: [] }));
+  assert.deepEqual(await storage.load(), { tasks: [], revision: 1 });
+});
+
+test("a save that loses to another tab is merged onto its copy, not dropped", async () => {
+  globalThis.localStorage = fakeLocalStorage();
+  const task = (id) => ({ id, name: id, freqDays: 7, lastDoneISO: "2025-04-01", estMin: 20, history: [] });
+  const first = loadAndValidate({ schemaVersion: SCHEMA_VERSION, tasks: [task("dishes"), task("floors")] }).state;
+  await (await openStorage()).save(first);
+
+  // Two tabs load revision 1
+  const tabA = await openStorage();
+  const tabB = await openStorage();
+  let a = (await loadSavedState(tabA)).state;
+  let b = (await loadSavedState(tabB)).state;
+
+  const done = (state, id, atISO) =>
+    recordAction(state, stampChanges(state, markDone(state, id, { dateISO: "2025-04-10", actualMin: 15 }), atISO), "done", `Done ${id}`);
+  a = done(a, "dishes", "2025-04-10T08:00:00.000Z");
+  b = done(b, "floors", "2025-04-10T08:01:00.000Z");
+
+  assert.equal(await tabA.save(a), true);
+  assert.equal(await tabB.save(b), false, "revision 2 is already taken");
+
+  // What App's mergeWithStorage does
+  b = mergeSavedState(b, (await loadSavedState(tabB)).state);
+  assert.equal(await tabB.save(b), true);
+
+  const saved = (await loadSavedState(await openStorage())).state;
+  assert.equal(saved.revision, 3);
+  assert.deepEqual(
+    saved.tasks.map((t) => [t.id, t.lastDoneISO]),
+    [
+      ["dishes", "2025-04-10"],
+      ["floors", "2025-04-10"],
+    ]
+  );
+  assert.deepEqual(b.undo.past, []);
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { createSyncServer } from "../server/sync-server.js";
+import { adoptMergedState, canUndo, loadAndValidate, markDone, mergeStates, recordAction, SCHEMA_VERSION, stampChanges, undoAction } from "../src/core/index.js";
+import { errorText } from "../src/i18n/format.js";
+import { pushAndPull } from "../src/sync.js";
+
+const TOKEN = "secret";
+let server;
+let dataDir;
+let baseUrl;
+
+before(async () => {
+  dataDir = await mkdtemp(join(tmpdir(), "housework-sync-"));
+  server = createSyncServer({ dataDir, token: TOKEN });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+function post(household, state, token = TOKEN) {
+  return fetch(`${baseUrl}/households/${household}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ state }),
+  });
+}
+
+// Push a device's state and merge the answer back in, as sync.js does
+async function sync(household, device) {
+  const res = await post(household, device);
+  assert.equal(res.status, 200);
+  return adoptMergedState(device, mergeStates(device, (await res.json()).state));
+}
+
+function newDevice() {
+  const task = (id) => ({ id, name: id, freqDays: 7, lastDoneISO: "2025-04-01", estMin: 20, history: [] });
+  return loadAndValidate({ schemaVersion: SCHEMA_VERSION, tasks: [task("dishes"), task("floors"), task("windows")] }).state;
+}
+
+// One user action (stamped like App's commit), then undo
+const act = (device, next, atISO, label) => recordAction(device, stampChanges(device, next, atISO), "edit", label);
+const undo = (device, atISO) => stampChanges(device, undoAction(device), atISO);
+const done = (device, id, actualMin, atISO) => act(device, markDone(device, id, { dateISO: "2025-04-10", actualMin }), atISO, `Done ${id} ${atISO}`);
+const task = (device, id) => device.tasks.find((t) => t.id === id);
+
+test("two devices completing the same task keep both completions", async () => {
+  let phone = await sync("home-1", newDevice());
+  let tablet = await sync("home-1", newDevice());
+
+  phone = await sync("home-1", done(phone, "dishes", 10, "2025-04-10T08:00:00.000Z"));
+  tablet = await sync("home-1", done(tablet, "dishes", 25, "2025-04-10T08:05:00.000Z"));
+  phone = await sync("home-1", phone);
+
+  for (const device of [phone, tablet]) {
+    assert.equal(task(device, "dishes").lastDoneISO, "2025-04-10");
+    assert.deepEqual(task(device, "dishes").history.map((h) => h.actualMin).sort(), [10, 25]);
+  }
+});
+
+test("an undone completion stays undone after another device syncs", async () => {
+  let phone = await sync("home-2", newDevice());
+  let tablet = await sync("home-2", newDevice());
+
+  phone = await sync("home-2", done(phone, "floors", 30, "2025-04-10T08:00:00.000Z"));
+  tablet = await sync("home-2", tablet);
+  assert.equal(task(tablet, "floors").history.length, 1);
+
+  phone = await sync("home-2", undo(phone, "2025-04-10T08:10:00.000Z"));
+  tablet = await sync("home-2", tablet);
+  phone = await sync("home-2", phone);
+
+  for (const device of [phone, tablet]) {
+    assert.equal(task(device, "floors").lastDoneISO, "2025-04-01");
+    assert.deepEqual(task(device, "floors").history, []);
+  }
+});
+
+test("undo after a sync can't wipe completions from other devices", async () => {
+  let phone = await sync("home-4", newDevice());
+  const tablet = await sync("home-4", newDevice());
+
+  phone = await sync("home-4", done(phone, "dishes", 10, "2025-04-10T08:00:00.000Z"));
+  assert.ok(canUndo(phone), "nothing came in, so the completion can still be undone");
+
+  await sync("home-4", done(tablet, "floors", 30, "2025-04-10T08:05:00.000Z"));
+  phone = await sync("home-4", phone);
+  assert.equal(canUndo(phone), false);
+
+  phone = await sync("home-4", undo(phone, "2025-04-10T08:10:00.000Z"));
+  assert.equal(task(phone, "floors").lastDoneISO, "2025-04-10");
+  assert.equal(task(phone, "dishes").lastDoneISO, "2025-04-10");
+
+  // Steps taken after the merge undo as usual
+  phone = done(phone, "windows", 15, "2025-04-10T08:15:00.000Z");
+  phone = undo(phone, "2025-04-10T08:16:00.000Z");
+  assert.equal(task(phone, "windows").lastDoneISO, "2025-04-01");
+  assert.equal(task(phone, "floors").history.length, 1);
+});
+
+test("a deleted task is not brought back by a device that still has it", async () => {
+  let phone = await sync("home-3", newDevice());
+  let tablet = await sync("home-3", newDevice());
+
+  const next = { ...phone, tasks: phone.tasks.filter((t) => t.id !== "windows") };
+  phone = await sync("home-3", act(phone, next, "2025-04-10T08:00:00.000Z", "Delete windows"));
+  tablet = await sync("home-3", tablet);
+  phone = await sync("home-3", phone);
+
+  for (const device of [phone, tablet]) {
+    assert.equal(task(device, "windows"), undefined);
+    assert.ok(device.tombstones.windows);
+  }
+});
+
+test("the server rejects a wrong token and a bad household ID", async () => {
+  const wrongToken = await post("home-4", newDevice(), "guess");
+  assert.equal(wrongToken.status, 401);
+
+  const badId = await post("no!", newDevice());
+  assert.equal(badId.status, 400);
+  assert.match((await badId.json()).error, /Household ID/);
+});
+
+test("the app names sync failures in the user's language", async () => {
+  const config = { url: baseUrl, householdId: "home-5", token: "guess" };
+  await assert.rejects(pushAndPull(config, newDevice()), (e) => errorText(e) === "Wrong sync token.");
+  await assert.rejects(pushAndPull({ ...config, householdId: "no!", token: TOKEN }, newDevice()), (e) => e.params.status === 400 && /household ID/.test(errorText(e)));
+  await assert.rejects(pushAndPull({ ...config, url: "http://127.0.0.1:1" }, newDevice()), (e) => errorText(e) === "Couldn’t reach the sync server.");
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { addDaysISO, moveWeekTask, normalizeSettings, planWeek, rollWeekPlan, weekSummary } from "../src/core/index.js";
+
+const TODAY = "2025-04-10";
+const day = (n) => addDaysISO(TODAY, n);
+const task = (id, lastDaysAgo, estMin = 20) => ({ id, name: id, freqDays: 7, lastDoneISO: day(-lastDaysAgo), estMin, history: [] });
+const budgets = (min) => normalizeSettings({ budgets: { weekday: Array(7).fill(min) } });
+const created = { createdAtISO: "2025-04-10T06:00:00.000Z" };
+const dayOf = (week, id) => Object.keys(week.days).filter((d) => week.days[d].includes(id));
+
+test("a day that only held deleted tasks is planned again when the week rolls", () => {
+  const state = {
+    tasks: [task("dishes", 8), task("floors", 9)],
+    settings: normalizeSettings({ budgets: { weekday: [30, 30, 30, 30, 30, 30, 30] } }),
+    todayPlan: null,
+    weekPlan: {
+      startISO: day(-1),
+      days: { [day(-1)]: [], [day(0)]: ["dishes"], [day(1)]: ["gone"], [day(2)]: [] },
+      unplannedIds: [],
+      createdAtISO: "2025-04-09T06:00:00.000Z",
+    },
+  };
+
+  const rolled = rollWeekPlan(state, TODAY, { createdAtISO: "2025-04-10T06:00:00.000Z" });
+  assert.deepEqual(rolled.days[day(0)], ["dishes"]);
+  assert.deepEqual(rolled.days[day(1)], ["floors"]);
+  assert.deepEqual(rolled.days[day(2)], []); // emptied on purpose, stays empty
+  assert.equal(Object.values(rolled.days).flat().includes("gone"), false);
+});
+
+test("heavy chores due the same day are spread over the week", () => {
+  // All due in 3 days; any one day could hold two of them
+  const state = { tasks: [task("floors", 4, 60), task("bathroom", 4, 60), task("windows", 4, 60)], settings: budgets(150) };
+  const week = planWeek(state, TODAY, created);
+
+  // First time each is planned (the one done earliest is back at the end of the week)
+  const placed = ["floors", "bathroom", "windows"].map((id) => dayOf(week, id)[0]);
+  assert.equal(new Set(placed).size, 3);
+  assert.ok(placed.every((d) => d >= day(1) && d <= day(4)), "up to two days early, or a day late");
+  assert.deepEqual(week.unplannedIds, []);
+
+  for (const d of weekSummary({ ...state, weekPlan: week, todayPlan: null })) assert.ok(d.plannedMin <= d.budgetMin, d.dateISO);
+});
+
+test("a task that doesn't fit any day is listed as unplanned", () => {
+  const state = { tasks: [task("attic", 8, 120), task("dishes", 8)], settings: budgets(60) };
+  const week = planWeek(state, TODAY, created);
+  assert.deepEqual(week.unplannedIds, ["attic"]);
+  assert.deepEqual(dayOf(week, "dishes"), [day(0), day(6)]);
+});
+
+test("unfinished tasks carry forward when the week rolls, done ones don't", () => {
+  const state = {
+    // vacuum wasn't done yesterday; dishes was; mop is planned again tomorrow anyway
+    tasks: [task("vacuum", 8), task("dishes", 1), task("mop", 8)],
+    settings: budgets(30),
+    todayPlan: null,
+    weekPlan: {
+      startISO: day(-1),
+      days: { [day(-1)]: ["vacuum", "dishes", "mop"], [day(0)]: [], [day(1)]: ["mop"], [day(2)]: [], [day(3)]: [], [day(4)]: [], [day(5)]: [] },
+      unplannedIds: [],
+      createdAtISO: "2025-04-09T06:00:00.000Z",
+    },
+  };
+
+  const rolled = rollWeekPlan(state, TODAY, created);
+  assert.equal(rolled.startISO, TODAY);
+  assert.equal(day(-1) in rolled.days, false);
+  assert.deepEqual(rolled.days[day(0)], ["vacuum"]);
+  assert.deepEqual(dayOf(rolled, "mop"), [day(1)]);
+  assert.deepEqual(dayOf(rolled, "dishes"), [day(6)], "a week after it was done");
+  assert.equal(rolled.createdAtISO, "2025-04-09T06:00:00.000Z");
+});
+
+test("moving a task between days keeps today's list in step", () => {
+  const state = {
+    tasks: [task("dishes", 8), task("floors", 8), task("windows", 8)],
+    settings: budgets(60),
+    todayPlan: { dateISO: TODAY, pickedIds: ["dishes", "floors"], completedIds: ["floors"], skippedIds: [] },
+    weekPlan: { startISO: TODAY, days: { [day(0)]: ["dishes", "floors"], [day(1)]: [], [day(2)]: [] }, unplannedIds: ["windows"] },
+  };
+
+  let next = moveWeekTask(state, "dishes", day(0), day(2));
+  assert.deepEqual(next.weekPlan.days[day(0)], ["floors"]);
+  assert.deepEqual(next.weekPlan.days[day(2)], ["dishes"]);
+  assert.deepEqual(next.todayPlan.pickedIds, ["floors"]);
+
+  next = moveWeekTask(next, "windows", null, day(0));
+  assert.deepEqual(next.weekPlan.unplannedIds, []);
+  assert.deepEqual(next.todayPlan.pickedIds, ["floors", "windows"]);
+
+  // A task already done today stays on today's list as the record of it
+  next = moveWeekTask(next, "floors", day(0), day(1));
+  assert.deepEqual(next.todayPlan.pickedIds, ["floors", "windows"]);
+  assert.deepEqual(next.weekPlan.days[day(1)], ["floors"]);
+
+  assert.equal(moveWeekTask(next, "floors", day(0), day(1)), next, "already on that day");
+  assert.equal(moveWeekTask(next, "floors", day(1), day(9)), next, "not in the plan");
+});
@@ -1,7 +1,52 @@
+import { createHash } from "node:crypto";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { join, relative, resolve } from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((e) =>
+    e.isDirectory() ? listFiles(join(dir, e.name)) : [join(dir, e.name)]
+  );
+}
+
+/**
+ * Emits dist/sw.js from src/sw.js with the build's precache list (every
+ * bundled file plus public/) and a version hash of their contents.
+ */
+function serviceWorker() {
+  let config;
+  return {
+    name: "housework-service-worker",
+    apply: "build",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash("sha256");
+      const files = [];
+      for (const [name, out] of Object.entries(bundle)) {
+        hash.update(name).update(out.type === "chunk" ? out.code : out.source);
+        files.push(name);
+      }
+      if (config.publicDir && existsSync(config.publicDir)) {
+        for (const path of listFiles(config.publicDir)) {
+          const name = relative(config.publicDir, path).split("\\").join("/");
+          hash.update(name).update(readFileSync(path));
+          files.push(name);
+        }
+      }
+
+      const precache = ["./", ...files.filter((f) => f !== "sw.js" && !f.endsWith(".map")).sort()];
+      const source = readFileSync(resolve(config.root, "src/sw.js"), "utf8")
+        .replace('self.__BUILD_VERSION__ ?? "dev"', JSON.stringify(hash.digest("hex").slice(0, 12)))
+        .replace("self.__PRECACHE__ ?? []", JSON.stringify(precache));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
 export default defineConfig({
   base: "/housework-queue/",
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 });